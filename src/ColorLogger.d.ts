@@ -333,19 +333,927 @@ interface ColorLoggerIs {
    */
   get trace(): boolean;
 }
+/**
+ * Provides the lazy logging API where function arguments are thunks only invoked when the level is enabled.
+ *
+ * @example
+ * ```js
+ * logger.lazy.trace('state:', () => buildHugeDump());
+ * ```
+ */
+interface ColorLoggerLazy {
+  /**
+   * Lazy fatal log.
+   *
+   * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+   *
+   * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+   *          enabled.
+   */
+  fatal(...msg: any[]): string | Promise<string | undefined> | undefined;
+  /**
+   * Lazy error log.
+   *
+   * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+   *
+   * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+   *          enabled.
+   */
+  error(...msg: any[]): string | Promise<string | undefined> | undefined;
+  /**
+   * Lazy warn log.
+   *
+   * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+   *
+   * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+   *          enabled.
+   */
+  warn(...msg: any[]): string | Promise<string | undefined> | undefined;
+  /**
+   * Lazy info log.
+   *
+   * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+   *
+   * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+   *          enabled.
+   */
+  info(...msg: any[]): string | Promise<string | undefined> | undefined;
+  /**
+   * Lazy debug log.
+   *
+   * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+   *
+   * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+   *          enabled.
+   */
+  debug(...msg: any[]): string | Promise<string | undefined> | undefined;
+  /**
+   * Lazy verbose log.
+   *
+   * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+   *
+   * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+   *          enabled.
+   */
+  verbose(...msg: any[]): string | Promise<string | undefined> | undefined;
+  /**
+   * Lazy trace log.
+   *
+   * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+   *
+   * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+   *          enabled.
+   */
+  trace(...msg: any[]): string | Promise<string | undefined> | undefined;
+}
+/**
+ * Defines a log output sink that can be added to {@link ColorLogger} via `addTransport`. Each transport receives all
+ * log messages that pass the logger level and its own optional level threshold.
+ */
+interface ColorLoggerTransport {
+  /**
+   * The minimum log level output by this transport; default: `all`.
+   */
+  readonly level?: LogLevel;
+  /**
+   * When true the transport receives messages without ANSI color codes.
+   */
+  readonly noColor?: boolean;
+  /**
+   * Outputs a formatted log message. A returned promise marks the destination as blocked; output of the `batch`
+   * option waits until it settles.
+   *
+   * @param message - Formatted log message.
+   *
+   * @param entry - Log entry data.
+   */
+  write(message: string, entry: TransportEntry): void | Promise<void>;
+  /**
+   * Outputs batched messages of the `batch` option in one chunk. When not defined `write` is invoked for each
+   * message.
+   *
+   * @param messages - Formatted log messages.
+   *
+   * @param entries - Log entry data.
+   */
+  writeBatch?(messages: string[], entries: TransportEntry[]): void | Promise<void>;
+}
+/**
+ * Defines the log entry data passed to {@link ColorLoggerTransport.write}.
+ */
+interface TransportEntry {
+  /**
+   * The original log arguments.
+   */
+  args: any[];
+  /**
+   * Arguments for `console` methods from the browser backend with `%c` CSS styles and live object arguments.
+   */
+  consoleArgs?: any[];
+  /**
+   * Context fields bound to the logger.
+   */
+  context?: Record<string, any>;
+  /**
+   * The log level of the entry.
+   */
+  level: LogLevel;
+  /**
+   * The formatted log message without ANSI color codes.
+   */
+  message: string;
+  /**
+   * When true the entry is logged with the raw format.
+   */
+  raw: boolean;
+  /**
+   * The structured log record when the `json` format is enabled.
+   */
+  record?: LogRecord;
+}
+/**
+ * Defines the structured log record output by the `json` format.
+ */
+interface LogRecord {
+  /**
+   * Context fields bound to the logger.
+   */
+  context?: Record<string, any>;
+  /**
+   * Object arguments.
+   */
+  data?: object[];
+  /**
+   * Error arguments.
+   */
+  errors?: LogRecordError[];
+  /**
+   * File name / line / column of where the log method is invoked.
+   */
+  info: string;
+  /**
+   * The log level name.
+   */
+  level: LogLevel;
+  /**
+   * The log level value.
+   */
+  levelValue: number;
+  /**
+   * The message text from all non-object arguments.
+   */
+  msg: string;
+  /**
+   * The logger tag.
+   */
+  tag?: string;
+  /**
+   * ISO 8601 timestamp.
+   */
+  time: string;
+  /**
+   * The tagged template of the message with numbered placeholders; IE `Loaded {0} plugins from {1}`.
+   */
+  template?: string;
+  /**
+   * Stack trace for the `trace` level.
+   */
+  trace?: string;
+  /**
+   * The interpolated values of a tagged template message.
+   */
+  values?: any[];
+}
+/**
+ * Defines the console methods that log levels may be routed to.
+ */
+type ConsoleMethod = 'debug' | 'error' | 'info' | 'log' | 'warn';
+/**
+ * Defines the options for {@link ConsoleTransport}.
+ */
+interface ConsoleTransportOptions extends TransportOptions {
+  /**
+   * Log level to console method routing merged with the default routing.
+   */
+  methods?: Record<string, ConsoleMethod>;
+  /**
+   * When true levels routed to `console.error` / `console.warn` are written to `process.stderr` in Node; default:
+   * `false`.
+   */
+  stderr?: boolean;
+}
+/**
+ * Defines the writable stream of {@link StreamTransport}; IE a Node `Writable`. Batched writes of the `batch` logger
+ * option wait for `drain` when `write` returns false and the stream emits events.
+ */
+interface StreamTransportTarget {
+  /**
+   * True once the stream is destroyed.
+   */
+  destroyed?: boolean;
+  /**
+   * Adds a one-time event listener.
+   */
+  once?(event: string, listener: (...args: any[]) => void): unknown;
+  /**
+   * Removes an event listener.
+   */
+  removeListener?(event: string, listener: (...args: any[]) => void): unknown;
+  /**
+   * Writes a chunk; `false` when the stream buffer is full.
+   */
+  write(chunk: string): unknown;
+}
+/**
+ * Defines the options for the built-in transports.
+ */
+interface TransportOptions {
+  /**
+   * The minimum log level output by the transport; default: `all`.
+   */
+  level?: LogLevel;
+  /**
+   * When true messages are output without ANSI color codes; default: `false`.
+   */
+  noColor?: boolean;
+}
+/**
+ * Defines a color theme for the `theme` option. Each style is a space separated list of tokens: modifiers (`bold`,
+ * `dim`, `italic`, `underline`, `inverse`, `strikethrough`), basic color names (`red`, `brightRed`, `gray`), 256
+ * color indexes (`0` - `255`) or hex truecolor (`#rrggbb`). Colors prefixed by `bg:` set the background color.
+ *
+ * Any line part without a style uses the level style.
+ *
+ * @example
+ * ```js
+ * const theme = {
+ *    levels: { error: 'bold #ff5f5f', info: '114' },
+ *    time: 'dim',
+ *    info: 'italic 245'
+ * };
+ * ```
+ */
+interface ThemeDefinition {
+  /**
+   * Styles by log level name including custom levels. Levels without a style use the level color.
+   */
+  levels?: Record<string, string>;
+  /**
+   * Style of the tag.
+   */
+  tag?: string;
+  /**
+   * Style of the log level badge.
+   */
+  badge?: string;
+  /**
+   * Style of the timestamp.
+   */
+  time?: string;
+  /**
+   * Style of the file info.
+   */
+  info?: string;
+  /**
+   * Style of the message.
+   */
+  message?: string;
+  /**
+   * Style of interpolated tagged template values. Default: `bold`.
+   */
+  highlight?: string;
+}
+/**
+ * Defines the data passed to custom template tokens of the `tokens` option.
+ */
+interface TemplateTokenData {
+  /**
+   * The original log arguments.
+   */
+  args: any[];
+  /**
+   * Context fields bound to the logger.
+   */
+  context: Record<string, any>;
+  /**
+   * The date of the log entry.
+   */
+  date: Date;
+  /**
+   * The log level of the entry.
+   */
+  level: LogLevel;
+  /**
+   * The logger tag.
+   */
+  tag?: string;
+}
+/**
+ * A custom timestamp formatter for the `timestamp` option.
+ *
+ * @param date - The date of the log entry.
+ *
+ * @param timing - Elapsed milliseconds since the logger started and since the last entry.
+ */
+type TimestampFormatter = (
+  date: Date,
+  timing: {
+    delta: number;
+    elapsed: number;
+  },
+) => string;
+/**
+ * Defines the `serializer` option for serialized object arguments.
+ */
+interface SerializerOptions {
+  /**
+   * When `true` object keys and values are colored with default styles when color output is enabled. An object
+   * defines styles by value type; IE `{ key: 'cyan', string: 'green' }`. Value types are `key`, `string`, `number`,
+   * `bigint`, `boolean`, `null`, `undefined`, `symbol`, `date` and `special` (functions, circular / depth markers).
+   * Default: `false`.
+   */
+  colors?: boolean | Record<string, string>;
+  /**
+   * Maximum depth of nested errors; the `cause` chain and `AggregateError` inner errors. Default: `5`.
+   */
+  causeDepth?: number;
+  /**
+   * Maximum nesting depth; deeper objects are output as `[Object]`. Default: `6`.
+   */
+  depth?: number;
+  /**
+   * Maximum array / Map / Set entries; remaining entries are output as `…N more`. Default: `100`.
+   */
+  maxArrayLength?: number;
+  /**
+   * Maximum string length; remaining characters are output as `…N more`. Default: `10000`.
+   */
+  maxStringLength?: number;
+}
+/**
+ * Defines the `redact` option replacing sensitive fields before formatting.
+ */
+interface RedactOptions {
+  /**
+   * Replacement string. Default: `[REDACTED]`.
+   */
+  censor?: string;
+  /**
+   * Key names redacted at any depth; matched case-insensitively. IE `['password', 'authorization']`.
+   */
+  keys?: string[];
+  /**
+   * Dotted key paths from each logged object or the bound context where `*` matches any single key; IE
+   * `['req.headers.*', 'users.*.token']`.
+   */
+  paths?: string[];
+  /**
+   * Regular expressions replacing matching parts of string values; IE `[/Bearer\s+\S+/]`.
+   */
+  patterns?: RegExp[];
+}
+/**
+ * Defines the `batch` option buffering output.
+ */
+interface BatchOptions {
+  /**
+   * Milliseconds until pending entries are written; `0` writes on the next microtask. Default: `0`.
+   */
+  interval?: number;
+  /**
+   * Pending entry count written immediately. Default: `100`.
+   */
+  size?: number;
+  /**
+   * Maximum pending entries while a destination is blocked. Default: `10000`.
+   */
+  limit?: number;
+  /**
+   * Policy when `limit` entries are pending while a destination is blocked; `drop` discards and counts new entries.
+   * `backpressure` keeps them without a bound and `ColorLogger.getBatchStats` reports `writable: false`; producers
+   * await `ColorLogger.flush` to wait for pending entries. Default: `drop`.
+   */
+  overflow?: 'drop' | 'backpressure';
+}
+/**
+ * Defines statistics of the `batch` option returned by `ColorLogger.getBatchStats`.
+ */
+interface BatchStats {
+  /**
+   * Count of entries dropped by the `drop` overflow policy.
+   */
+  dropped: number;
+  /**
+   * Count of entries pending output.
+   */
+  pending: number;
+  /**
+   * False while `limit` or more entries are pending.
+   */
+  writable: boolean;
+}
+/**
+ * Defines an entry of the `buffer` option ring buffer.
+ */
+interface BufferEntry {
+  /**
+   * Whether the entry was displayed when logged; displayed entries are not written again by `dumpBuffer`.
+   */
+  displayed: boolean;
+  /**
+   * Log level.
+   */
+  level: LogLevel;
+  /**
+   * Formatted log message without ANSI color codes.
+   */
+  message: string;
+  /**
+   * Structured record of the `json` format.
+   */
+  record?: LogRecord;
+  /**
+   * Logger tag.
+   */
+  tag?: string;
+  /**
+   * Entry time in milliseconds since the epoch.
+   */
+  time: number;
+}
+/**
+ * Defines the `buffer` option recording recent entries.
+ */
+interface BufferOptions {
+  /**
+   * Maximum count of buffered entries.
+   */
+  size: number;
+  /**
+   * Capture level that may be lower than the display level. Default: `trace`.
+   */
+  level?: LogLevel;
+  /**
+   * Writes the buffered history before `fatal` entries and on uncaught exceptions. Default: `false`.
+   */
+  dump?: boolean;
+}
+/**
+ * Defines filters of `ColorLogger.queryBuffer`.
+ */
+interface BufferQuery {
+  /**
+   * Entries at or above the level.
+   */
+  level?: LogLevel;
+  /**
+   * Tag name also matching nested child tags or a pattern.
+   */
+  tag?: string | RegExp;
+  /**
+   * Text included in or pattern matching the formatted message.
+   */
+  text?: string | RegExp;
+}
+/**
+ * Defines an entry collected by `CaptureTransport`.
+ */
+interface CapturedEntry {
+  /**
+   * The original log arguments.
+   */
+  args: any[];
+  /**
+   * Log level.
+   */
+  level: LogLevel;
+  /**
+   * Formatted log message without ANSI escape sequences.
+   */
+  text: string;
+}
+/**
+ * Defines the `dedupe` option folding identical consecutive log entries.
+ */
+interface DedupeOptions {
+  /**
+   * Milliseconds after the first repeat when the `(repeated N times)` summary is output if no different entry
+   * arrives before. Default: `1000`.
+   */
+  timeout?: number;
+}
+/**
+ * Defines the `rateLimit` option limiting log entries per key.
+ */
+interface RateLimitOptions {
+  /**
+   * Maximum entries per key and interval.
+   */
+  limit: number;
+  /**
+   * Interval in milliseconds. Default: `1000`.
+   */
+  interval?: number;
+  /**
+   * Returns the rate limit key of an entry. Default: the log level and message text.
+   */
+  key?: (level: LogLevel, message: string) => string;
+}
+/**
+ * Defines a structured error of the `json` format.
+ */
+interface LogRecordError {
+  /**
+   * The error `cause`; an error record or JSON safe value.
+   */
+  cause?: LogRecordError | any;
+  /**
+   * The inner errors of an `AggregateError`.
+   */
+  errors?: (LogRecordError | any)[];
+  /**
+   * The error message.
+   */
+  message: string;
+  /**
+   * The error name.
+   */
+  name: string;
+  /**
+   * Own error properties; IE `code`, `errno` or `status`.
+   */
+  props?: Record<string, any>;
+  /**
+   * The stack trace.
+   */
+  trace: string;
+}
+/**
+ * Defines a parsed stack frame.
+ */
+interface StackFrame {
+  /**
+   * 1-based column.
+   */
+  column: number;
+  /**
+   * File path or URL.
+   */
+  file: string;
+  /**
+   * Function name when available.
+   */
+  function?: string;
+  /**
+   * 1-based line.
+   */
+  line: number;
+  /**
+   * The original stack frame line.
+   */
+  source: string;
+}
+/**
+ * Defines the timer handle returned by `ColorLogger.startTimer`.
+ */
+interface LogTimer {
+  /**
+   * Logs the message with the elapsed duration; IE `Config loaded (12.3ms)`.
+   *
+   * @param msg - Log message; default: `done`.
+   *
+   * @param args - Additional log arguments.
+   *
+   * @returns Formatted log message or undefined if the log level is not enabled.
+   */
+  done(msg?: string, ...args: any[]): string | undefined;
+  /**
+   * @returns The elapsed milliseconds; `0` when the log level is disabled.
+   */
+  elapsed(): number;
+}
+
+/**
+ * Provides a transport that invokes a custom callback for each log message.
+ *
+ * @example
+ * import {
+ *    CallbackTransport,
+ *    ColorLogger }           from '@typhonjs-utils/logger-color';
+ *
+ * const logger = new ColorLogger();
+ *
+ * logger.addTransport(new CallbackTransport((message, entry) => remoteService.send(entry.level, message),
+ *  { level: 'warn', noColor: true }));
+ *
+ * @implements {import('../types').ColorLoggerTransport}
+ */
+declare class CallbackTransport implements ColorLoggerTransport {
+  /**
+   * @param {(message: string, entry: import('../types').TransportEntry) => void | Promise<void>}   callback -
+   *        Callback invoked for each log message.
+   *
+   * @param {import('../types').TransportOptions}   [options] - Optional transport options.
+   */
+  constructor(
+    callback: (message: string, entry: TransportEntry) => void | Promise<void>,
+    { level, noColor }?: TransportOptions,
+  );
+  /**
+   * @returns {import('../ColorLogger').LogLevel} The minimum log level output by this transport.
+   */
+  get level(): LogLevel;
+  /**
+   * @returns {boolean} Whether messages are output without ANSI color codes.
+   */
+  get noColor(): boolean;
+  /**
+   * Invokes the callback with the message and entry data.
+   *
+   * @param {string}   message - Formatted log message.
+   *
+   * @param {import('../types').TransportEntry}   entry - Log entry data.
+   *
+   * @returns {void | Promise<void>} The callback result; a promise marks the destination as blocked.
+   */
+  write(message: string, entry: TransportEntry): void | Promise<void>;
+  #private;
+}
+
+/**
+ * Provides a transport that collects log entries in memory for test assertions. Usually created by
+ * `ColorLogger.capture` which disables console output until {@link CaptureTransport.restore} is invoked or by
+ * `ColorLogger.withCapture` which restores automatically.
+ *
+ * @example
+ * import { ColorLogger }     from '@typhonjs-utils/logger-color';
+ *
+ * const logger = new ColorLogger();
+ *
+ * const capture = await logger.withCapture(() => service.connect());
+ *
+ * capture.expectLogged('warn', /retry/);
+ * capture.expectNotLogged('error');
+ *
+ * @implements {import('../types').ColorLoggerTransport}
+ */
+declare class CaptureTransport implements ColorLoggerTransport {
+  /**
+   * @param {object}   [options] - Optional transport options.
+   *
+   * @param {import('../ColorLogger').LogLevel}   [options.level='all'] - The minimum log level collected.
+   *
+   * @param {() => void}  [options.restore] - Invoked once by {@link CaptureTransport.restore}.
+   */
+  constructor({ level, restore }?: { level?: LogLevel; restore?: () => void });
+  /**
+   * @returns {import('../types').CapturedEntry[]} A copy of all collected entries from oldest to newest.
+   */
+  get entries(): CapturedEntry[];
+  /**
+   * @returns {import('../ColorLogger').LogLevel} The minimum log level collected by this transport.
+   */
+  get level(): LogLevel;
+  /**
+   * @returns {boolean} Always true; messages are collected without ANSI color codes.
+   */
+  get noColor(): boolean;
+  /**
+   * Removes all collected entries.
+   */
+  clear(): void;
+  /**
+   * Asserts that at least one collected entry matches and returns the first match.
+   *
+   * @param {import('../ColorLogger').LogLevel}   [level] - Log level to match; any level when undefined.
+   *
+   * @param {string | RegExp}   [pattern] - Text included in or pattern matching the entry text.
+   *
+   * @returns {import('../types').CapturedEntry} The first matching entry.
+   *
+   * @throws {Error} When no matching entry was collected; the message lists all collected entries.
+   */
+  expectLogged(level?: LogLevel, pattern?: string | RegExp): CapturedEntry;
+  /**
+   * Asserts that no collected entry matches.
+   *
+   * @param {import('../ColorLogger').LogLevel}   [level] - Log level to match; any level when undefined.
+   *
+   * @param {string | RegExp}   [pattern] - Text included in or pattern matching the entry text.
+   *
+   * @throws {Error} When a matching entry was collected.
+   */
+  expectNotLogged(level?: LogLevel, pattern?: string | RegExp): void;
+  /**
+   * Returns the collected entries matching the level and text pattern.
+   *
+   * @param {import('../ColorLogger').LogLevel}   [level] - Log level to match; any level when undefined.
+   *
+   * @param {string | RegExp}   [pattern] - Text included in or pattern matching the entry text.
+   *
+   * @returns {import('../types').CapturedEntry[]} Matching entries.
+   */
+  filter(level?: LogLevel, pattern?: string | RegExp): CapturedEntry[];
+  /**
+   * Restores the logger output settings replaced when capturing started. Further calls have no effect.
+   */
+  restore(): void;
+  /**
+   * Collects a log entry.
+   *
+   * @param {string}   message - Formatted log message.
+   *
+   * @param {import('../types').TransportEntry}   entry - Log entry data.
+   */
+  write(message: string, entry: TransportEntry): void;
+  #private;
+}
+
+/**
+ * Provides a transport that outputs log messages to the console. This is the default transport of {@link ColorLogger}
+ * which is enabled / disabled by the `consoleEnabled` option. Additional console transports may be added with a
+ * separate level threshold or color setting.
+ *
+ * Log levels are routed to matching console methods, so shells, process supervisors and browser devtools level filters
+ * apply: `fatal` / `error` -> `console.error`, `warn` -> `console.warn`, `info` -> `console.info` and `verbose` /
+ * `debug` / `trace` -> `console.debug`. Custom levels use `console.log` unless mapped by the `methods` option. In Node
+ * the `stderr` option writes levels routed to `console.error` / `console.warn` directly to `process.stderr`.
+ *
+ * @implements {import('../types').ColorLoggerTransport}
+ */
+declare class ConsoleTransport implements ColorLoggerTransport {
+  /**
+   * @param {import('../types').ConsoleTransportOptions}   [options] - Optional transport options.
+   */
+  constructor({ level, methods, noColor, stderr }?: ConsoleTransportOptions);
+  /**
+   * @returns {import('../ColorLogger').LogLevel} The minimum log level output by this transport.
+   */
+  get level(): LogLevel;
+  /**
+   * @returns {Readonly<Record<string, import('../types').ConsoleMethod>>} Log level to console method routing.
+   */
+  get methods(): Readonly<Record<string, ConsoleMethod>>;
+  /**
+   * @returns {boolean} Whether messages are output without ANSI color codes.
+   */
+  get noColor(): boolean;
+  /**
+   * @returns {boolean} Whether `error` / `warn` routed levels are written to `process.stderr`.
+   */
+  get stderr(): boolean;
+  /**
+   * Outputs the message to the console method routed by log level. Raw entries output the original arguments and
+   * entries from the browser backend output the CSS styled `console` arguments.
+   *
+   * @param {string}   message - Formatted log message.
+   *
+   * @param {import('../types').TransportEntry}   entry - Log entry data.
+   */
+  write(message: string, entry: TransportEntry): void;
+  /**
+   * Outputs batched messages of the `batch` logger option. Consecutive messages routed to the same console method or
+   * `process.stderr` are joined into one call; raw and browser backend entries are output separately.
+   *
+   * @param {string[]} messages - Formatted log messages.
+   *
+   * @param {import('../types').TransportEntry[]}   entries - Log entry data.
+   */
+  writeBatch(messages: string[], entries: TransportEntry[]): void;
+  #private;
+}
+
+/**
+ * Provides a transport that writes log messages to any writable stream such as a Node `Writable`, `process.stderr`
+ * or a file stream. Each message is written on a separate line.
+ *
+ * @example
+ * import fs                  from 'node:fs';
+ *
+ * import {
+ *    ColorLogger,
+ *    StreamTransport }       from '@typhonjs-utils/logger-color';
+ *
+ * const logger = new ColorLogger();
+ *
+ * // Errors are also written without color to `app.log`.
+ * logger.addTransport(new StreamTransport(fs.createWriteStream('app.log'), { level: 'error', noColor: true }));
+ *
+ * @implements {import('../types').ColorLoggerTransport}
+ */
+declare class StreamTransport implements ColorLoggerTransport {
+  /**
+   * @param {import('../types').StreamTransportTarget}  stream - A writable stream.
+   *
+   * @param {import('../types').TransportOptions}   [options] - Optional transport options.
+   */
+  constructor(stream: StreamTransportTarget, { level, noColor }?: TransportOptions);
+  /**
+   * @returns {import('../ColorLogger').LogLevel} The minimum log level output by this transport.
+   */
+  get level(): LogLevel;
+  /**
+   * @returns {boolean} Whether messages are output without ANSI color codes.
+   */
+  get noColor(): boolean;
+  /**
+   * @returns {import('../types').StreamTransportTarget} The associated writable stream.
+   */
+  get stream(): StreamTransportTarget;
+  /**
+   * Writes the message to the stream followed by a new line.
+   *
+   * @param {string}   message - Formatted log message.
+   */
+  write(message: string): void;
+  /**
+   * Writes batched messages of the `batch` logger option to the stream in one chunk. When the stream buffer is full
+   * the logger waits for the returned promise before writing further batches.
+   *
+   * @param {string[]} messages - Formatted log messages.
+   *
+   * @returns {Promise<void> | undefined} A promise resolved on `drain` or `close` and rejected on `error` when the
+   *          stream buffer is full.
+   */
+  writeBatch(messages: string[]): Promise<void> | undefined;
+  #private;
+}
+
+/**
+ * Resolves generated file locations to original source locations through source maps. Source maps are loaded from
+ * the `sourceMappingURL` comment of a generated file; either inline `data:` URLs or local `.map` files, falling back
+ * to `<file>.map`. Loaded maps and decoded mappings are cached by generated file path.
+ *
+ * Resolution requires Node. Node 20.16+ loads the `fs` / `path` modules on first use through
+ * `process.getBuiltinModule`; older Node versions import them asynchronously by {@link SourceMapResolver.load} and
+ * locations are not resolved until loaded.
+ */
+declare class SourceMapResolver {
+  /**
+   * Clears all cached source maps.
+   */
+  clear(): void;
+  /**
+   * Loads the Node `fs` / `path` modules used for resolution. Node versions without `process.getBuiltinModule`
+   * import them asynchronously.
+   *
+   * @returns {Promise<boolean>} Whether locations can be resolved.
+   */
+  load(): Promise<boolean>;
+  /**
+   * Resolves all frame locations of a stack trace to original source locations. Frames without a source map are
+   * unchanged.
+   *
+   * @param {string}   stack - Stack trace.
+   *
+   * @returns {string} Resolved stack trace.
+   */
+  mapStack(stack: string): string;
+  /**
+   * Resolves a generated file location to the original source location.
+   *
+   * @param {string}   file - Generated file path or `file://` URL.
+   *
+   * @param {number}   line - 1-based line.
+   *
+   * @param {number}   column - 1-based column.
+   *
+   * @returns {{ source: string, line: number, column: number, name?: string } | undefined} Original location or
+   *          undefined when the location can not be resolved.
+   */
+  resolve(
+    file: string,
+    line: number,
+    column: number,
+  ):
+    | {
+        source: string;
+        line: number;
+        column: number;
+        name?: string;
+      }
+    | undefined;
+  #private;
+}
 
 /**
  * Provides a color coded logger for ANSI terminal usage.
  *
  * There are several format options to display additional data / info including location where the log method is
- * invoked in addition to a time stamp. By default, the time stamp option is disabled.
+ * invoked in addition to a time stamp. By default, the time stamp option is disabled; the `timestamp` option selects
+ * the time stamp format.
+ *
+ * The `sourceMaps` option resolves call-site info and stack traces of built / bundled code to the original source.
  *
  * When passing in an Error for logging the stack trace of the error will be used for info and trace creation. The
- * `trace` method will automatically generate a stack trace.
+ * `trace` method will automatically generate a stack trace. Errors are rendered as `Name: message` with own properties
+ * and any `cause` chain / `AggregateError` inner errors as indented sections.
  *
  * format:
  * ``[Tag] [LogLevel] [Time] [File] log text``
  *
+ * The line format is replaced by the `template` option; IE `'{time} {level:pad5} {tag} {file} - {msg}'`.
+ *
  * Log level and color:
  * - fatal: light red
  * - error: red
@@ -358,6 +1266,68 @@ interface ColorLoggerIs {
  * Each log method for the log levels above have alternate versions that are accessed via the extended API,
  * {@link ColorLogger.ext}, by appending `Compact`, `NoColor`, `Raw`, or `Time` to the method name.
  *
+ * Setting the `format` option to `json` outputs one JSON object per line (NDJSON) including the level, ISO timestamp,
+ * tag, call-site info, message text and any object / Error arguments as separate fields.
+ *
+ * The `theme` option styles each level and each line part (tag, level badge, timestamp, file info, message)
+ * separately with support for modifiers, 256 color indexes and hex truecolor. Built-in themes are `dark`, `light` and
+ * `high-contrast`.
+ *
+ * The color level is detected at construction from `NO_COLOR`, `FORCE_COLOR`, TTY status and `TERM` / `COLORTERM`.
+ * Levels routed to `console.error` / `console.warn` use the detected color level of `process.stderr` in Node. Explicit
+ * `colorLevel` or `noColor` options override detection.
+ *
+ * In the browser console output is styled with `%c` CSS with the same level / theme colors and object arguments are
+ * kept as live inspectable values. The `backend` option selects the console backend explicitly.
+ *
+ * Console output is routed by log level to the matching console method; IE `error` to `console.error`. The routing is
+ * configured by the `consoleMethods` option and the `stderr` option writes `fatal` / `error` / `warn` directly to
+ * `process.stderr` in Node.
+ *
+ * By default, log messages are output to the console. Additional output sinks are attached with
+ * {@link ColorLogger.addTransport}. Included are {@link ConsoleTransport}, {@link StreamTransport} for any writable
+ * stream and {@link CallbackTransport} for a custom callback. Each transport may define its own log level threshold and
+ * color setting.
+ *
+ * Custom log levels are registered at construction with the `levels` option. Each custom level adds a logging method
+ * in addition to `is` and `ext` API entries and eventbus bindings.
+ * IE `new ColorLogger({ levels: { notice: { priority: 4.5, color: '36', type: '[N]' } } })` adds `logger.notice()`.
+ *
+ * Child loggers are created with {@link ColorLogger.child} for subsystems. A child logger follows the log level,
+ * options and transports of its parent unless overridden, nests its tag after the parent tag and may bind context
+ * fields that are added to every log entry.
+ *
+ * Loggers are also created from environment variables with {@link ColorLogger.fromEnv}; IE `LOG_LEVEL` and
+ * `LOG_NO_COLOR`, from a config object with {@link ColorLogger.fromConfig} or from a JSON config file with
+ * {@link ColorLogger.fromFile}.
+ *
+ * {@link ColorLogger.group} / {@link ColorLogger.groupEnd} and {@link ColorLogger.withGroup} indent every line of
+ * following log entries with optional tree guides by the `groupGuides` option.
+ *
+ * Log methods also accept tagged templates; IE ``logger.info`Loaded ${count} plugins from ${dir}` ``. Interpolated
+ * values are highlighted within the level color by the theme `highlight` style (default: bold), objects are
+ * serialized in place and the `json` format keeps the `template` and `values` as separate fields.
+ *
+ * {@link ColorLogger.lazy} only invokes function arguments when the level is enabled to skip expensive formatting;
+ * IE `logger.lazy.trace(() => buildHugeDump())`. Thunks returning promises are written once settled; while they are
+ * pending following log calls are written after them in call order and return `undefined`.
+ *
+ * {@link ColorLogger.capture} and {@link ColorLogger.withCapture} collect entries without console output for test
+ * assertions; IE `capture.expectLogged('warn', /retry/)`.
+ *
+ * The `batch` option buffers output written in chunks for chatty services; `await logger.flush()` writes all
+ * pending entries.
+ *
+ * The `buffer` option records recent entries below the display level for crash context; IE
+ * `{ size: 200, level: 'debug', dump: true }` writes the last 200 entries before a `fatal` entry or uncaught exception.
+ *
+ * The `dedupe` option folds repeated messages of hot loops into a `(repeated N times)` summary and the `rateLimit`
+ * option limits entries per key and interval. `fatal` entries are never suppressed.
+ *
+ * The `namespaces` option or `LOG_NAMESPACES` environment variable overrides the log level by logger tag with glob
+ * patterns; IE `app:db:*=trace,app:http=warn,*=info` enables `trace` only for loggers tagged `app:db:<name>`. An
+ * invalid `LOG_NAMESPACES` value is ignored with a warning.
+ *
  * @example
  * import { ColorLogger } from '@typhonjs-utils/logger-color';
  *
@@ -369,12 +1339,128 @@ interface ColorLoggerIs {
  * @implements {import('./types').BasicLogger}
  */
 declare class ColorLogger implements BasicLogger {
+  /**
+   * Detects the color level supported by an output stream from `NO_COLOR`, `FORCE_COLOR`, TTY status and
+   * `TERM` / `COLORTERM` environment variables. The detected level of `process.stdout` is the default `colorLevel`
+   * option.
+   *
+   * @param {object}   [options] - Options.
+   *
+   * @param {{ isTTY?: boolean }}  [options.stream] - The target stream; default: `process.stdout`.
+   *
+   * @param {Record<string, string | undefined>} [options.env] - Environment variables; default: `process.env`.
+   *
+   * @returns {0 | 1 | 2 | 3} Color level: `0` no color, `1` basic 16 colors, `2` 256 colors, `3` truecolor.
+   */
+  static detectColorLevel(options?: {
+    stream?: {
+      isTTY?: boolean;
+    };
+    env?: Record<string, string | undefined>;
+  }): 0 | 1 | 2 | 3;
+  /**
+   * Parses a V8 (Node / Chromium), SpiderMonkey (Firefox) or JavaScriptCore (Safari) stack trace into structured
+   * frames.
+   *
+   * @param {string}   stack - A stack trace; IE `error.stack`.
+   *
+   * @returns {import('./types').StackFrame[]} Parsed stack frames.
+   */
+  static parseStack(stack: string): StackFrame[];
+  /**
+   * Creates a logger from a config object with logger options and the log level; IE
+   * `{ "level": "debug", "tag": "app", "showDate": true }`. The `levels` key registers custom levels.
+   *
+   * @param {Record<string, *>}   config - Config object.
+   *
+   * @param {Partial<ColorLoggerOptions>}   [options] - Default options overridden by config values.
+   *
+   * @returns {ColorLogger} A new logger.
+   * @throws {TypeError} When the config contains unknown keys or invalid values.
+   */
+  static fromConfig(config: Record<string, any>, options?: Partial<ColorLoggerOptions>): ColorLogger;
+  /**
+   * Creates a logger from environment variables. Each variable name is the prefix followed by the option name in
+   * upper snake case:
+   * - `LOG_LEVEL`: log level.
+   * - `LOG_BACKEND`, `LOG_COLOR_LEVEL`, `LOG_FORMAT`, `LOG_NAMESPACES`, `LOG_PATH_DISPLAY`, `LOG_TAG`,
+   *   `LOG_TEMPLATE`, `LOG_THEME` (name or JSON) and `LOG_TIMESTAMP`.
+   * - `LOG_CONSOLE_ENABLED`, `LOG_GROUP_GUIDES`, `LOG_NO_COLOR`, `LOG_SHOW_DATE`, `LOG_SHOW_INFO`, `LOG_SHOW_LEVEL`,
+   *   `LOG_SOURCE_MAPS` and `LOG_STDERR` booleans as `1` / `true` / `yes` / `on` or `0` / `false` / `no` / `off`.
+   *
+   * @param {object}   [opts] - Options.
+   *
+   * @param {Record<string, string | undefined>} [opts.env] - Environment variables; default: `process.env`.
+   *
+   * @param {string}   [opts.prefix='LOG_'] - Environment variable name prefix.
+   *
+   * @param {Partial<ColorLoggerOptions>}   [opts.options] - Default options overridden by environment variables.
+   *
+   * @returns {ColorLogger} A new logger.
+   * @throws {TypeError} When an environment variable has an invalid value.
+   */
+  static fromEnv({
+    env,
+    prefix,
+    options,
+  }?: {
+    env?: Record<string, string | undefined>;
+    prefix?: string;
+    options?: Partial<ColorLoggerOptions>;
+  }): ColorLogger;
+  /**
+   * Creates a logger from a JSON config file in Node. See {@link ColorLogger.fromConfig} for the config format.
+   *
+   * @param {string | URL}   filepath - Config file path.
+   *
+   * @param {Partial<ColorLoggerOptions>}   [options] - Default options overridden by config values.
+   *
+   * @returns {Promise<ColorLogger>} A new logger.
+   * @throws {Error} When the config file can not be read or parsed.
+   * @throws {TypeError} When the config contains unknown keys or invalid values.
+   */
+  static fromFile(filepath: string | URL, options?: Partial<ColorLoggerOptions>): Promise<ColorLogger>;
   /**
    * Instantiates ColorLogger allowing optional options to be set.
    *
-   * @param {Partial<ColorLoggerOptions>}   [options] - Optional ColorLoggerOptions to set.
+   * @param {Partial<ColorLoggerOptions> & { levels?: Record<string, LogLevelDefinition> }}   [options] - Optional
+   *        ColorLoggerOptions to set. Custom log levels may only be registered by `levels` at construction.
+   */
+  constructor(
+    options?: Partial<ColorLoggerOptions> & {
+      levels?: Record<string, LogLevelDefinition>;
+    },
+  );
+  /**
+   * Adds an output transport. All log messages that pass the logger level and the optional transport level threshold
+   * are written to the transport.
+   *
+   * @param {import('./types').ColorLoggerTransport}   transport - Transport to add.
+   *
+   * @returns {boolean} True if the transport was added; false if already added.
+   */
+  addTransport(transport: ColorLoggerTransport): boolean;
+  /**
+   * Creates a child logger that follows the log level, options and transports of this logger unless overridden. The
+   * child tag is nested after the parent tag; IE `app:db`. Any `context` fields are merged with the parent context
+   * and added to every log entry.
+   *
+   * @param {Partial<ColorLoggerOptions> & { context?: Record<string, *> }}   [options] - Optional child options.
+   *
+   * @returns {ColorLogger} Child logger.
+   *
+   * @example
+   * const dbLogger = logger.child({ tag: 'db', context: { pool: 'main' } });
+   * const poolLogger = dbLogger.child({ tag: 'pool' });
+   *
+   * poolLogger.info('Connected'); // [app:db:pool] Connected {"pool":"main"}
    */
-  constructor(options?: Partial<ColorLoggerOptions>);
+  child({
+    context,
+    ...options
+  }?: Partial<ColorLoggerOptions> & {
+    context?: Record<string, any>;
+  }): ColorLogger;
   /**
    * @returns {import('./types').ColorLoggerExt} Extended logging API.
    */
@@ -383,6 +1469,19 @@ declare class ColorLogger implements BasicLogger {
    * @returns {import('./types').ColorLoggerIs} Is log level accessor API.
    */
   get is(): ColorLoggerIs;
+  /**
+   * Lazy logging API where function arguments are thunks only invoked when the level is enabled. Thunks may return
+   * promises; the entry is then written once all promises settle and later entries of this logger and related child
+   * loggers wait to keep the call order.
+   *
+   * @returns {import('./types').ColorLoggerLazy} Lazy logging API.
+   *
+   * @example
+   * logger.lazy.trace('state:', () => buildHugeDump());
+   *
+   * await logger.lazy.debug(async () => `rows: ${await db.count()}`);
+   */
+  get lazy(): ColorLoggerLazy;
   /**
    * Get the log level string.
    *
@@ -411,6 +1510,14 @@ declare class ColorLogger implements BasicLogger {
    * @returns {boolean} True if the given log level provided is valid.
    */
   isValidLevel(level: string): boolean;
+  /**
+   * Removes a previously added output transport.
+   *
+   * @param {import('./types').ColorLoggerTransport}   transport - Transport to remove.
+   *
+   * @returns {boolean} True if the transport was removed.
+   */
+  removeTransport(transport: ColorLoggerTransport): boolean;
   /**
    * Sets the current log level.
    *
@@ -481,6 +1588,145 @@ declare class ColorLogger implements BasicLogger {
    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
    */
   trace(...msg: any[]): string | undefined;
+  /**
+   * Writes all pending output; entries of the `batch` option and `lazy` entries awaiting promises.
+   *
+   * @returns {Promise<void>} Resolves when all pending entries are written.
+   *
+   * @example
+   * logger.info('shutting down');
+   *
+   * await logger.flush();
+   */
+  flush(): Promise<void>;
+  /**
+   * @returns {import('./types').BatchStats} Pending and dropped entry counts of the `batch` option.
+   */
+  getBatchStats(): BatchStats;
+  /**
+   * Clears the buffered history of the `buffer` option.
+   */
+  clearBuffer(): void;
+  /**
+   * Writes the buffered history of the `buffer` option to the console and all transports regardless of the log
+   * level and clears the buffer. Entries already displayed are skipped.
+   *
+   * @returns {number} Count of written entries.
+   */
+  dumpBuffer(): number;
+  /**
+   * Returns the buffered history of the `buffer` option from oldest to newest.
+   *
+   * @param {import('./types').BufferQuery}   [query] - Optional filters; all given filters must match.
+   *
+   * @returns {import('./types').BufferEntry[]} Matching entries.
+   *
+   * @example
+   * logger.queryBuffer({ level: 'warn', tag: 'app:db', text: /timeout/i });
+   */
+  queryBuffer({ level, tag, text }?: BufferQuery): BufferEntry[];
+  /**
+   * Starts collecting log entries of this logger and child loggers for test assertions. Console output of this
+   * logger is disabled until {@link CaptureTransport.restore} is invoked; other transports are unchanged.
+   *
+   * @param {object}   [options] - Options.
+   *
+   * @param {LogLevel} [options.level] - Log level set while capturing; IE `trace` to capture all entries.
+   *
+   * @returns {CaptureTransport} Capture controller.
+   *
+   * @example
+   * const capture = logger.capture();
+   *
+   * logger.warn('retry 1');
+   *
+   * capture.expectLogged('warn', /retry/);
+   * capture.restore();
+   */
+  capture({ level }?: { level?: LogLevel }): CaptureTransport;
+  /**
+   * Runs a function while capturing log entries and restores the output settings when the function returns or
+   * throws.
+   *
+   * @param {(capture: CaptureTransport) => unknown}  fn - Function to run.
+   *
+   * @param {object}   [options] - Options.
+   *
+   * @param {LogLevel} [options.level] - Log level set while capturing.
+   *
+   * @returns {Promise<CaptureTransport>} Capture controller with the collected entries.
+   */
+  withCapture(
+    fn: (capture: CaptureTransport) => unknown,
+    options?: {
+      level?: LogLevel;
+    },
+  ): Promise<CaptureTransport>;
+  /**
+   * Starts a group indenting all following log entries of this logger until {@link ColorLogger.groupEnd}. The optional
+   * label is logged at the `info` level before indentation increases.
+   *
+   * @param {string}   [label] - Group label.
+   *
+   * @returns {string | undefined} Formatted label or undefined if no label is logged.
+   */
+  group(label?: string): string | undefined;
+  /**
+   * Ends the current group. Extra calls are ignored.
+   *
+   * @returns {number} The group depth after ending the group.
+   */
+  groupEnd(): number;
+  /**
+   * Runs a function inside a group that ends when the function returns or throws. Concurrent groups of the same
+   * logger share the group depth; use child loggers to indent concurrent tasks separately.
+   *
+   * @template T
+   *
+   * @param {string}   label - Group label.
+   *
+   * @param {() => T | Promise<T>}   fn - Function to run.
+   *
+   * @returns {Promise<T>} The function result.
+   */
+  withGroup<T>(label: string, fn: () => T | Promise<T>): Promise<T>;
+  /**
+   * Starts a timer that returns a handle to log the elapsed duration. When the log level is disabled a no-op handle is
+   * returned and no time is measured.
+   *
+   * @param {LogLevel}   [level='debug'] - Log level of the elapsed duration.
+   *
+   * @returns {import('./types').LogTimer} Timer handle.
+   * @throws {TypeError} When the log level is not valid.
+   *
+   * @example
+   * const timer = logger.startTimer();
+   * await loadConfig();
+   * timer.done('Config loaded');   // Config loaded (12.3ms)
+   */
+  startTimer(level?: LogLevel): LogTimer;
+  /**
+   * Starts a timer by label. The elapsed duration is logged by {@link ColorLogger.timeEnd}. Timers are separate for
+   * each logger, so child loggers may time nested operations with the same label.
+   *
+   * @param {string}   [label='default'] - Timer label.
+   *
+   * @returns {boolean} True if the timer started; false if a timer with the label is already running.
+   */
+  time(label?: string): boolean;
+  /**
+   * Ends a timer started by {@link ColorLogger.time} and logs the elapsed duration as `label: duration`. Nothing is
+   * formatted when the log level is disabled.
+   *
+   * @param {string}   [label='default'] - Timer label.
+   *
+   * @param {LogLevel}   [level='debug'] - Log level of the elapsed duration.
+   *
+   * @returns {string | undefined} Formatted log message or undefined if the log level is not enabled or the timer
+   *          does not exist.
+   * @throws {TypeError} When the log level is not valid.
+   */
+  timeEnd(label?: string, level?: LogLevel): string | undefined;
   /**
    * Wires up ColorLogger on the plugin eventbus.
    *
@@ -493,23 +1739,138 @@ declare class ColorLogger implements BasicLogger {
   onPluginLoad(ev: object): void;
   #private;
 }
+
 /**
  * The valid
  * log level names.
  */
 type LogLevel = 'off' | 'fatal' | 'error' | 'warn' | 'info' | 'debug' | 'verbose' | 'trace' | 'all';
+/**
+ * Defines a custom log level registered at construction by the `levels`
+ * option.
+ */
+type LogLevelDefinition = {
+  /**
+   * The level priority between `all` (0) and `off` (8) exclusive; IE `4.5` is between
+   * `info` and `warn`. Priorities must be unique.
+   */
+  priority: number;
+  /**
+   * ANSI SGR parameters for the level color; IE `36` for cyan or `1;32` for bold green.
+   */
+  color: string;
+  /**
+   * Short type badge displayed with the `showLevel` option; default: `[<first letter>]`.
+   */
+  type?: string;
+  /**
+   * Logging method name added to the logger; default: the level name.
+   */
+  method?: string;
+};
 /**
  * Provides ColorLoggerOptions
  */
 type ColorLoggerOptions = {
   /**
-   * If true output to `console.log` is enabled.
+   * The console output backend. `ansi` outputs ANSI color codes and
+   * `browser` outputs `%c` CSS styles with object arguments kept as live inspectable values. `auto` selects
+   * `browser` when running in a browser.
+   */
+  backend: 'auto' | 'ansi' | 'browser';
+  /**
+   * Buffers output and writes entries in chunks on the next
+   * microtask, after `interval` milliseconds or when `size` entries are pending. Destinations returning a
+   * promise from `write` are blocked until it settles; while `limit` entries are pending the `overflow` policy
+   * drops and counts new entries or applies backpressure keeping them with
+   * {@link ColorLogger.getBatchStats} reporting the logger as not writable; await {@link ColorLogger.flush}
+   * to wait for pending entries.
+   * Pending entries are written by {@link ColorLogger.flush}, on process `beforeExit` waiting for blocked
+   * destinations and synchronously on `exit`. Entries of {@link ColorLogger.capture} are collected
+   * synchronously. `true` enables the defaults. Set to `null` or `false` to reset.
+   */
+  batch?: BatchOptions;
+  /**
+   * Records the last `size` entries at or above the capture
+   * `level` (default: `trace`) in a ring buffer shared with child loggers, even when the level is not
+   * displayed. Query the history with {@link ColorLogger.queryBuffer}. When `dump` is set the entries not
+   * already displayed are written by {@link ColorLogger.dumpBuffer} before a `fatal` entry and on uncaught
+   * exceptions in Node. Set to `null` to reset.
+   */
+  buffer?: BufferOptions;
+  /**
+   * The color level of the default console transport: `0` no color, `1` basic 16
+   * colors, `2` 256 colors, `3` truecolor. Theme styles are converted to the nearest supported color. Defaults
+   * to the level detected by {@link ColorLogger.detectColorLevel}.
+   */
+  colorLevel: 0 | 1 | 2 | 3;
+  /**
+   * If true output to the default console transport is enabled.
    */
   consoleEnabled: boolean;
   /**
-   * If true output does not contain ANSI color codes.
+   * Log level to console method routing
+   * merged with the default routing: `fatal` / `error` -> `console.error`, `warn` -> `console.warn`, `info` ->
+   * `console.info` and `verbose` / `debug` / `trace` -> `console.debug`. Custom levels use `console.log`.
+   */
+  consoleMethods: Record<string, ConsoleMethod>;
+  /**
+   * Folds identical consecutive entries of a logger; the first
+   * entry is output and repeats are summarized as `<message> (repeated N times)` when a different entry arrives
+   * or `timeout` milliseconds (default: `1000`) after the first repeat. `true` enables the default timeout. Set
+   * to `null` or `false` to reset.
+   */
+  dedupe?: DedupeOptions;
+  /**
+   * The output format; `json` outputs one JSON object per line (NDJSON) with
+   * structured fields for log shippers.
+   */
+  format: 'text' | 'json';
+  /**
+   * If true group indentation draws `│` tree guides.
+   */
+  groupGuides: boolean;
+  /**
+   * Stack frames matching any pattern are ignored for call-site info
+   * and traces in addition to ColorLogger frames. Strings match any part of a frame line.
+   */
+  ignoreFrames: (string | RegExp)[];
+  /**
+   * Level rules by logger tag as comma separated `pattern=level` pairs where `*`
+   * matches any characters; IE `app:db:*=trace,app:http=warn,*=info`. The most specific matching rule
+   * overrides the logger level. Defaults to the `LOG_NAMESPACES` environment variable. Set to `null` to reset.
+   */
+  namespaces?: string;
+  /**
+   * If true output does not contain ANSI color codes. Explicitly setting `false` at
+   * construction enables color when no color support is detected.
    */
   noColor: boolean;
+  /**
+   * The call-site info file display; `basename` (default),
+   * the path relative to `process.cwd()` or the `full` path / URL.
+   */
+  pathDisplay: 'basename' | 'relative' | 'full';
+  /**
+   * Outputs at most `limit` entries per key and `interval`
+   * milliseconds (default: `1000`). The key defaults to the log level and message text. Suppressed entries
+   * are counted and reported as `<message> (rate limited: N suppressed)` when the interval ends. Set to `null`
+   * to reset.
+   */
+  rateLimit?: RateLimitOptions;
+  /**
+   * Replaces sensitive fields of logged objects, bound context
+   * fields and string values with `[REDACTED]` before formatting by key names, dotted paths with `*` wildcards
+   * and value patterns; IE `{ keys: ['password'], paths: ['req.headers.*'], patterns: [/Bearer\s+\S+/] }`.
+   * Set to `null` to reset.
+   */
+  redact?: RedactOptions;
+  /**
+   * Object serialization limits and colors. Objects are
+   * serialized without throwing; circular references, BigInt, Map / Set, typed arrays, Dates, Symbols,
+   * functions and class names are rendered readably and nesting / array length / string length are capped.
+   */
+  serializer: SerializerOptions;
   /**
    * If true the date is added to format results
    */
@@ -522,11 +1883,80 @@ type ColorLoggerOptions = {
    * If true the log level is prepended to the log output.
    */
   showLevel: boolean;
+  /**
+   * If true in Node call-site info and stack traces are resolved to original source
+   * locations through source maps; inline `sourceMappingURL` data or local `.map` files. Parsed source maps
+   * are cached. Before Node 20.16 resolution starts once the Node modules are imported asynchronously after
+   * enabling this option.
+   */
+  sourceMaps: boolean;
+  /**
+   * If true in Node levels routed to `console.error` / `console.warn` are written directly
+   * to `process.stderr`.
+   */
+  stderr: boolean;
   /**
    * Custom tag to prepend to log output.
    */
   tag: string;
+  /**
+   * A line format template replacing the default format and the `showDate`,
+   * `showInfo` and `showLevel` options; IE `'{time} {level:pad5} {tag} {file} - {msg}'`. Tokens are `{time}`,
+   * `{level}` (full name), `{badge}` (short type), `{tag}`, `{file}`, `{msg}`, `{context}` and any custom
+   * `tokens`. Modifiers are appended with `:`; `upper` / `lower`, `padN` or `<N` (left align), `>N` (right align)
+   * and `^N` (center). `{{` / `}}` output literal braces. Set to `null` to reset.
+   */
+  template?: string;
+  /**
+   *           Timestamp format for `showDate`, the `*Time` ext methods and the `{time}` template token; `iso` (default)
+   *           is UTC ISO-8601, `local` is local time with the UTC offset, `time` is local time of day, `elapsed` is
+   *           milliseconds since the logger started and `delta` milliseconds since the last entry. A formatter function
+   *           may also be provided. The `json` format always uses UTC ISO-8601.
+   */
+  timestamp: 'iso' | 'local' | 'time' | 'elapsed' | 'delta' | TimestampFormatter;
+  /**
+   * Custom template tokens
+   * invoked for each log entry.
+   */
+  tokens?: Record<string, (data: TemplateTokenData) => any>;
+  /**
+   * A built-in theme name or
+   * theme definition that styles each level and line part separately. When unset the whole line is colored
+   * with the level color. Set to `null` to reset.
+   */
+  theme?: 'dark' | 'light' | 'high-contrast' | ThemeDefinition;
 };
 
-export { ColorLogger };
-export type { BasicLogger, ColorLoggerExt, ColorLoggerIs, ColorLoggerOptions, LogLevel };
+export { CallbackTransport, CaptureTransport, ColorLogger, ConsoleTransport, StreamTransport };
+export type {
+  BasicLogger,
+  BatchOptions,
+  BatchStats,
+  BufferEntry,
+  BufferOptions,
+  BufferQuery,
+  CapturedEntry,
+  ColorLoggerExt,
+  ColorLoggerIs,
+  ColorLoggerLazy,
+  ColorLoggerOptions,
+  ColorLoggerTransport,
+  ConsoleMethod,
+  ConsoleTransportOptions,
+  DedupeOptions,
+  LogLevel,
+  LogLevelDefinition,
+  LogRecord,
+  LogRecordError,
+  LogTimer,
+  RateLimitOptions,
+  RedactOptions,
+  SerializerOptions,
+  StackFrame,
+  StreamTransportTarget,
+  TemplateTokenData,
+  ThemeDefinition,
+  TimestampFormatter,
+  TransportEntry,
+  TransportOptions,
+};
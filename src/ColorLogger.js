@@ -1,15 +1,44 @@
+import {
+   parseEnvConfig,
+   validateConfig }           from './config/index.js';
+
+import {
+   SERIALIZE_DEFAULTS,
+   createRedactor,
+   serialize,
+   toJSONValue }              from './serialize/index.js';
+
+import { SourceMapResolver }  from './sourcemap/index.js';
+import { parseStack }         from './stack/index.js';
+
+import {
+   detectColorLevel,
+   parseStyle,
+   sgrToCss,
+   themes }                   from './theme/index.js';
+
+import {
+   CaptureTransport,
+   ConsoleTransport }         from './transport/index.js';
+
 /**
  * Provides a color coded logger for ANSI terminal usage.
  *
  * There are several format options to display additional data / info including location where the log method is
- * invoked in addition to a time stamp. By default, the time stamp option is disabled.
+ * invoked in addition to a time stamp. By default, the time stamp option is disabled; the `timestamp` option selects
+ * the time stamp format.
+ *
+ * The `sourceMaps` option resolves call-site info and stack traces of built / bundled code to the original source.
  *
  * When passing in an Error for logging the stack trace of the error will be used for info and trace creation. The
- * `trace` method will automatically generate a stack trace.
+ * `trace` method will automatically generate a stack trace. Errors are rendered as `Name: message` with own properties
+ * and any `cause` chain / `AggregateError` inner errors as indented sections.
  *
  * format:
  * ``[Tag] [LogLevel] [Time] [File] log text``
  *
+ * The line format is replaced by the `template` option; IE `'{time} {level:pad5} {tag} {file} - {msg}'`.
+ *
  * Log level and color:
  * - fatal: light red
  * - error: red
@@ -22,6 +51,68 @@
  * Each log method for the log levels above have alternate versions that are accessed via the extended API,
  * {@link ColorLogger.ext}, by appending `Compact`, `NoColor`, `Raw`, or `Time` to the method name.
  *
+ * Setting the `format` option to `json` outputs one JSON object per line (NDJSON) including the level, ISO timestamp,
+ * tag, call-site info, message text and any object / Error arguments as separate fields.
+ *
+ * The `theme` option styles each level and each line part (tag, level badge, timestamp, file info, message)
+ * separately with support for modifiers, 256 color indexes and hex truecolor. Built-in themes are `dark`, `light` and
+ * `high-contrast`.
+ *
+ * The color level is detected at construction from `NO_COLOR`, `FORCE_COLOR`, TTY status and `TERM` / `COLORTERM`.
+ * Levels routed to `console.error` / `console.warn` use the detected color level of `process.stderr` in Node. Explicit
+ * `colorLevel` or `noColor` options override detection.
+ *
+ * In the browser console output is styled with `%c` CSS with the same level / theme colors and object arguments are
+ * kept as live inspectable values. The `backend` option selects the console backend explicitly.
+ *
+ * Console output is routed by log level to the matching console method; IE `error` to `console.error`. The routing is
+ * configured by the `consoleMethods` option and the `stderr` option writes `fatal` / `error` / `warn` directly to
+ * `process.stderr` in Node.
+ *
+ * By default, log messages are output to the console. Additional output sinks are attached with
+ * {@link ColorLogger.addTransport}. Included are {@link ConsoleTransport}, {@link StreamTransport} for any writable
+ * stream and {@link CallbackTransport} for a custom callback. Each transport may define its own log level threshold and
+ * color setting.
+ *
+ * Custom log levels are registered at construction with the `levels` option. Each custom level adds a logging method
+ * in addition to `is` and `ext` API entries and eventbus bindings.
+ * IE `new ColorLogger({ levels: { notice: { priority: 4.5, color: '36', type: '[N]' } } })` adds `logger.notice()`.
+ *
+ * Child loggers are created with {@link ColorLogger.child} for subsystems. A child logger follows the log level,
+ * options and transports of its parent unless overridden, nests its tag after the parent tag and may bind context
+ * fields that are added to every log entry.
+ *
+ * Loggers are also created from environment variables with {@link ColorLogger.fromEnv}; IE `LOG_LEVEL` and
+ * `LOG_NO_COLOR`, from a config object with {@link ColorLogger.fromConfig} or from a JSON config file with
+ * {@link ColorLogger.fromFile}.
+ *
+ * {@link ColorLogger.group} / {@link ColorLogger.groupEnd} and {@link ColorLogger.withGroup} indent every line of
+ * following log entries with optional tree guides by the `groupGuides` option.
+ *
+ * Log methods also accept tagged templates; IE ``logger.info`Loaded ${count} plugins from ${dir}` ``. Interpolated
+ * values are highlighted within the level color by the theme `highlight` style (default: bold), objects are
+ * serialized in place and the `json` format keeps the `template` and `values` as separate fields.
+ *
+ * {@link ColorLogger.lazy} only invokes function arguments when the level is enabled to skip expensive formatting;
+ * IE `logger.lazy.trace(() => buildHugeDump())`. Thunks returning promises are written once settled; while they are
+ * pending following log calls are written after them in call order and return `undefined`.
+ *
+ * {@link ColorLogger.capture} and {@link ColorLogger.withCapture} collect entries without console output for test
+ * assertions; IE `capture.expectLogged('warn', /retry/)`.
+ *
+ * The `batch` option buffers output written in chunks for chatty services; `await logger.flush()` writes all
+ * pending entries.
+ *
+ * The `buffer` option records recent entries below the display level for crash context; IE
+ * `{ size: 200, level: 'debug', dump: true }` writes the last 200 entries before a `fatal` entry or uncaught exception.
+ *
+ * The `dedupe` option folds repeated messages of hot loops into a `(repeated N times)` summary and the `rateLimit`
+ * option limits entries per key and interval. `fatal` entries are never suppressed.
+ *
+ * The `namespaces` option or `LOG_NAMESPACES` environment variable overrides the log level by logger tag with glob
+ * patterns; IE `app:db:*=trace,app:http=warn,*=info` enables `trace` only for loggers tagged `app:db:<name>`. An
+ * invalid `LOG_NAMESPACES` value is ignored with a warning.
+ *
  * @example
  * import { ColorLogger } from '@typhonjs-utils/logger-color';
  *
@@ -82,21 +173,19 @@ export class ColorLogger
    });
 
    /**
-    * Stores the log level name to level value.
+    * Caches CSS converted from ANSI escape sequences for the browser backend.
     *
-    * @type {Record<string, LogLevel>}
-    */
-   static #LOG_LEVEL_STRINGS = Object.freeze({
-      8: 'off',
-      7: 'fatal',
-      6: 'error',
-      5: 'warn',
-      4: 'info',
-      3: 'verbose',
-      2: 'debug',
-      1: 'trace',
-      0: 'all'
-   });
+    * @type {Map<string, string>}
+    */
+   static #CSS_CACHE = new Map();
+
+   /**
+    * Whether the runtime is a browser.
+    *
+    * @type {boolean}
+    */
+   static #IS_BROWSER = typeof globalThis.window?.document === 'object' &&
+    typeof globalThis.process?.versions?.node !== 'string';
 
    /**
     * Provides a RegExp to ignore ColorLogger.js for locally processed trace.
@@ -106,486 +195,3584 @@ export class ColorLogger
    static #REGEX_COLOR_LOGGER = /ColorLogger\.js/;
 
    /**
-    * @type {import('./types').ColorLoggerExt}
+    * Resolves stack frames to original source locations for the `sourceMaps` option. Shared by all loggers to cache
+    * parsed source maps.
+    *
+    * @type {SourceMapResolver}
     */
-   #extAPI;
+   static #SOURCE_MAPS = new SourceMapResolver();
 
    /**
-    * @type {import('./types').ColorLoggerIs}
+    * Timer handle returned by {@link ColorLogger.startTimer} when the log level is disabled.
+    *
+    * @type {import('./types').LogTimer}
     */
-   #isAPI;
+   static #NOOP_TIMER = Object.freeze({ done: () => void 0, elapsed: () => 0 });
 
    /**
-    * Stores the current internal log level.
+    * Default ANSI style of tagged template values when the theme does not define `highlight`.
     *
-    * @type {number}
+    * @type {string}
     */
-   #logLevel;
+   static #HIGHLIGHT = '[1m';
 
    /**
-    * Stores ColorLogger options.
+    * Matches template tokens and escaped braces.
     *
-    * @type {ColorLoggerOptions}
+    * @type {RegExp}
     */
-   #options;
+   static #REGEX_TEMPLATE = /\{\{|\}\}|\{([a-zA-Z_$][\w$]*)((?::[^:{}]+)*)\}/g;
 
    /**
-    * Instantiates ColorLogger allowing optional options to be set.
+    * Built-in template tokens.
     *
-    * @param {Partial<ColorLoggerOptions>}   [options] - Optional ColorLoggerOptions to set.
+    * @type {Set<string>}
     */
-   constructor(options = {})
-   {
-      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
+   static #TEMPLATE_TOKENS = new Set(['badge', 'context', 'file', 'level', 'msg', 'tag', 'time']);
 
-      this.#options =
-      {
-         consoleEnabled: true,
-         noColor: false,
-         showDate: false,
-         showInfo: false,
-         showLevel: false,
-         tag: void 0
-      };
+   /**
+    * Default styles of serialized object keys and values when the `serializer.colors` option is `true`.
+    *
+    * @type {Readonly<Record<string, string>>}
+    */
+   static #SERIALIZER_COLORS = Object.freeze({
+      key: 'cyan',
+      string: 'green',
+      number: 'yellow',
+      bigint: 'yellow',
+      boolean: 'yellow',
+      null: 'bold',
+      undefined: 'gray',
+      symbol: 'green',
+      date: 'magenta',
+      special: 'brightBlue'
+   });
 
-      this.#logLevel = ColorLogger.#LOG_LEVELS['info'];
+   /**
+    * Validates custom level / method names.
+    *
+    * @type {RegExp}
+    */
+   static #REGEX_LEVEL_NAME = /^[a-zA-Z_$][\w$]*$/;
 
-      this.setOptions(options);
-   }
+   /**
+    * Loggers with a `buffer` option dumping the history on uncaught exceptions. A single `uncaughtExceptionMonitor`
+    * listener is registered in Node and loggers are weakly referenced.
+    *
+    * @type {{ loggers: Set<WeakRef<ColorLogger>>, monitor?: () => void }}
+    */
+   static #CRASH_DUMP = { loggers: new Set(), monitor: void 0 };
 
    /**
-    * Validates that the current / requested levels are numbers and that current level is less than requested level.
+    * States of the `batch` option with pending entries written on process exit. Single `beforeExit` / `exit`
+    * listeners are registered in Node; states are removed once their pending entries are written.
     *
-    * @param {number}   currentLevel - The current ColorLogger level.
+    * @type {{ states: Set<object>, registered: boolean }}
+    */
+   static #BATCH_EXIT = { states: new Set(), registered: false };
+
+   /**
+    * Invalid `LOG_NAMESPACES` environment variable values already warned about.
     *
-    * @param {number}   requestedLevel - The requested level to log.
+    * @type {Set<string>}
+    */
+   static #WARNED_ENV_NAMESPACES = new Set();
+
+   /**
+    * The default console transport enabled by the `consoleEnabled` option and the options it was created from. It is
+    * recreated when the `consoleMethods` or `stderr` options change.
     *
-    * @returns {boolean} True if the requested level is greater than or equal to the current enabled log level.
+    * @type {{ options: { consoleMethods: Record<string, import('./types').ConsoleMethod>, stderr: boolean },
+    *  transport: ConsoleTransport }}
     */
-   static #IS_LEVEL_ENABLED(currentLevel, requestedLevel)
-   {
-      return Number.isInteger(currentLevel) && Number.isInteger(requestedLevel) && currentLevel <= requestedLevel;
-   }
+   #consoleTransport;
 
    /**
-    * Parses a V8 stack trace and pulls out the first file name / line / col not from ColorLogger.js
+    * Context fields bound to this logger and added to every log entry.
     *
-    * @param {string}   stack - A stack from an Error.
+    * @type {Record<string, *>}
+    */
+   #context = {};
+
+   /**
+    * @type {import('./types').ColorLoggerExt}
+    */
+   #extAPI;
+
+   /**
+    * Stores the compiled `theme` option.
     *
-    * @returns {{trace: string, info: string}} The parsed trace.
+    * @type {{ source: string | import('./types').ThemeDefinition, colorLevel: number, levels: Record<string, string>,
+    *  tag?: string, badge?: string, time?: string, info?: string, message?: string }}
     */
-   static #PARSE_STACK_TRACE(stack)
-   {
-      const lines = stack.split('\n');
-      let cntr = 0;
+   #compiledTheme;
 
-      let info = 'no stack trace';
-      const trace = [];
+   /**
+    * Stores the compiled `serializer.colors` option.
+    *
+    * @type {{ source: boolean | Record<string, string>, colorLevel: number, colors: Record<string, string> }}
+    */
+   #compiledSerializerColors;
 
-      for (; cntr < lines.length; cntr++)
-      {
-         if (ColorLogger.#REGEX_COLOR_LOGGER.test(lines[cntr])) { continue; }
+   /**
+    * Stores the compiled `redact` option.
+    *
+    * @type {{ source: import('./types').RedactOptions, redact: (value: *) => * }}
+    */
+   #compiledRedact;
 
-         const matched = lines[cntr].match(/([\w\d\-_.]*:\d+:\d+)/);
+   /**
+    * Stores the compiled `template` option.
+    *
+    * @type {{ source: string, parts: ({ literal: string } | { token: string, modifiers: string[] })[],
+    *  hasTime: boolean }}
+    */
+   #compiledTemplate;
 
-         if (matched !== null)
-         {
-            info = matched[1];
-            break;
-         }
-      }
+   /**
+    * Stores the compiled `namespaces` option.
+    *
+    * @type {{ source: string, rules: { regex: RegExp, specificity: number, value: number }[],
+    *  cache: Map<string, number | undefined> }}
+    */
+   #compiledNamespaces;
 
-      // If gathering trace info continue to push lines to `trace`. Ignoring any lines that originate from ColorLogger.
-      for (; cntr < lines.length; cntr++)
-      {
-         if (ColorLogger.#REGEX_COLOR_LOGGER.test(lines[cntr])) { continue; }
+   /**
+    * @type {import('./types').ColorLoggerIs}
+    */
+   #isAPI;
 
-         trace.push(lines[cntr]);
-      }
+   /**
+    * @type {import('./types').ColorLoggerLazy}
+    */
+   #lazyAPI;
 
-      return { info, trace: trace.join('\n') };
-   }
+   /**
+    * Stores the log level registry of built-in and custom levels by level name.
+    *
+    * @type {Map<string, { value: number, color?: string, type?: string, method?: string }>}
+    */
+   #levels;
 
    /**
-    * @returns {import('./types').ColorLoggerExt} Extended logging API.
+    * Stores the current internal log level. For child loggers this is undefined unless the level is overridden.
+    *
+    * @type {number | undefined}
     */
-   get ext()
-   {
-      if (!this.#extAPI)
-      {
-         /** @type {import('./types').ColorLoggerExt} */
-         this.#extAPI = Object.freeze({
-            fatalCompact: (...msg) => this.#output('fatal', true, false, false, false, ...msg),
-            fatalNoColor: (...msg) => this.#output('fatal', false, true, false, false, ...msg),
-            fatalRaw: (...msg) => this.#output('fatal', false, true, true, false, ...msg),
-            fatalTime: (...msg) => this.#output('fatal', false, false, false, true, ...msg),
-            errorCompact: (...msg) => this.#output('error', true, false, false, false, ...msg),
-            errorNoColor: (...msg) => this.#output('error', false, true, false, false, ...msg),
-            errorRaw: (...msg) => this.#output('error', false, true, true, false, ...msg),
-            errorTime: (...msg) => this.#output('error', false, false, false, true, ...msg),
-            warnCompact: (...msg) => this.#output('warn', true, false, false, false, ...msg),
-            warnNoColor: (...msg) => this.#output('warn', false, true, false, false, ...msg),
-            warnRaw: (...msg) => this.#output('warn', false, true, true, false, ...msg),
-            warnTime: (...msg) => this.#output('warn', false, false, false, true, ...msg),
-            infoCompact: (...msg) => this.#output('info', true, false, false, false, ...msg),
-            infoNoColor: (...msg) => this.#output('info', false, true, false, false, ...msg),
-            infoRaw: (...msg) => this.#output('info', false, true, true, false, ...msg),
-            infoTime: (...msg) => this.#output('info', false, false, false, true, ...msg),
-            debugCompact: (...msg) => this.#output('debug', true, false, false, false, ...msg),
-            debugNoColor: (...msg) => this.#output('debug', false, true, false, false, ...msg),
-            debugRaw: (...msg) => this.#output('debug', false, true, true, false, ...msg),
-            debugTime: (...msg) => this.#output('debug', false, false, false, true, ...msg),
-            verboseCompact: (...msg) => this.#output('verbose', true, false, false, false, ...msg),
-            verboseNoColor: (...msg) => this.#output('verbose', false, true, false, false, ...msg),
-            verboseRaw: (...msg) => this.#output('verbose', false, true, true, false, ...msg),
-            verboseTime: (...msg) => this.#output('verbose', false, false, false, true, ...msg),
-            traceCompact: (...msg) => this.#output('trace', true, false, false, false, ...msg),
-            traceNoColor: (...msg) => this.#output('trace', false, true, false, false, ...msg),
-            traceRaw: (...msg) => this.#output('trace', false, true, true, false, ...msg),
-            traceTime: (...msg) => this.#output('trace', false, false, false, true, ...msg)
-         });
-      }
+   #logLevel;
 
-      return this.#extAPI;
-   }
+   /**
+    * Stores ColorLogger options.
+    *
+    * @type {ColorLoggerOptions}
+    */
+   #options;
 
    /**
-    * @returns {import('./types').ColorLoggerIs} Is log level accessor API.
+    * The parent logger when created by {@link ColorLogger.child}.
+    *
+    * @type {ColorLogger | undefined}
     */
-   get is()
-   {
-      if (!this.#isAPI)
-      {
-         const logger = this;
+   #parent;
 
-         this.#isAPI = Object.freeze({
-            get fatal() { return logger.isLevelEnabled('fatal'); },
-            get error() { return logger.isLevelEnabled('error'); },
-            get warn() { return logger.isLevelEnabled('warn'); },
-            get info() { return logger.isLevelEnabled('info'); },
-            get debug() { return logger.isLevelEnabled('debug'); },
-            get verbose() { return logger.isLevelEnabled('verbose'); },
-            get trace() { return logger.isLevelEnabled('trace'); }
-         });
-      }
+   /**
+    * The detected color level of `process.stderr` for levels routed to `console.error` / `console.warn`. `null` when
+    * the `colorLevel` / `noColor` options are set explicitly and `undefined` in child loggers which use the parent
+    * level.
+    *
+    * @type {0 | 1 | 2 | 3 | null | undefined}
+    */
+   #stderrColorLevel = ColorLogger.detectColorLevel({ stream: globalThis.process?.stderr });
 
-      return this.#isAPI;
-   }
+   /**
+    * Stores the logger start time and the time of the last entry in milliseconds. Shared with child loggers.
+    *
+    * @type {{ start: number, last?: number }}
+    */
+   #timing = { start: Date.now(), last: void 0 };
 
    /**
-    * Get the log level string.
+    * Stores additional transports.
     *
-    * @returns {LogLevel} Log level string.
+    * @type {Set<import('./types').ColorLoggerTransport>}
     */
-   getLogLevel()
-   {
-      return ColorLogger.#LOG_LEVEL_STRINGS[this.#logLevel];
-   }
+   #transports = new Set();
 
    /**
-    * Returns a copy of the logger options.
+    * Stores the ring buffer of the `buffer` option.
     *
-    * @returns {ColorLoggerOptions} - Logger options.
+    * @type {{ size: number, level: string, dump: boolean, entries: import('./types').BufferEntry[], index: number }
+    *  | undefined}
     */
-   getOptions()
-   {
-      return JSON.parse(JSON.stringify(this.#options));
-   }
+   #buffer;
 
    /**
-    * Generates log information from where the logger invocation originated.
+    * Weak reference of this logger registered to dump the `buffer` option history on uncaught exceptions.
     *
-    * @param {Error}    error - An optional Error to trace instead of artificially generating one.
+    * @type {WeakRef<ColorLogger> | undefined}
+    */
+   #crashDumpRef;
+
+   /**
+    * Stores the current group depth.
     *
-    * @returns {{info: string, trace: string}} info: file name and line number; trace: remaining stack trace if enabled.
+    * @type {number}
     */
-   #getTraceInfo(error)
+   #groupDepth = 0;
+
+   /**
+    * Stores the start times of timers by label.
+    *
+    * @type {Map<string, number>}
+    */
+   #timers = new Map();
+
+   /**
+    * Stores the last entry for the `dedupe` option and the count of following identical entries.
+    *
+    * @type {{ key: string, level: string, message: string, count: number, timer?: * } | undefined}
+    */
+   #repeat;
+
+   /**
+    * Stores the current `rateLimit` interval by key with the count of output and suppressed entries.
+    *
+    * @type {Map<string, { start: number, count: number, suppressed: number, level: string, message: string,
+    *  timer?: * }>}
+    */
+   #rateWindows = new Map();
+
+   /**
+    * The logger state at call time of a deferred entry while it is output.
+    *
+    * @type {{ callSite: Error, date: Date, groupDepth: number, mode: { buffer?: object, display: boolean,
+    *  capture: boolean }, options: ColorLoggerOptions, tag?: string } | undefined}
+    */
+   #deferred;
+
+   /**
+    * Stores the count of entries deferred by pending promises of the `lazy` API. Entries are output in call order
+    * through the promise chain ending at `tail`. Shared with child loggers.
+    *
+    * @type {{ tail?: Promise<void>, size: number, running: boolean }}
+    */
+   #queue = { tail: void 0, size: 0, running: false };
+
+   /**
+    * Stores entries pending output by the `batch` option as transport writes and the count of dropped entries.
+    * Shared with child loggers.
+    *
+    * @type {{ pending: [import('./types').ColorLoggerTransport, string, import('./types').TransportEntry][][],
+    *  dropped: number, flushing?: Promise<void>, scheduled: boolean, timer?: * }}
+    */
+   #batchState = { pending: [], dropped: 0, flushing: void 0, scheduled: false, timer: void 0 };
+
+   /**
+    * True while a suppression summary is output.
+    *
+    * @type {boolean}
+    */
+   #summarizing = false;
+
+   /**
+    * Instantiates ColorLogger allowing optional options to be set.
+    *
+    * @param {Partial<ColorLoggerOptions> & { levels?: Record<string, LogLevelDefinition> }}   [options] - Optional
+    *        ColorLoggerOptions to set. Custom log levels may only be registered by `levels` at construction.
+    */
+   constructor(options = {})
    {
-      let processError = error;
+      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
 
-      if (!(processError instanceof Error))
+      this.#levels = ColorLogger.#CREATE_LEVELS(options.levels);
+
+      for (const [name, data] of this.#levels)
       {
-         try { throw new Error(); }
-         catch (err) { processError = err; }
+         if (data.method !== void 0 && !(data.method in this))
+         {
+            this[data.method] = (...msg) => this.#output(name, false, false, false, false, ...msg);
+         }
       }
 
-      // Make sure there is a entry in `processError`.
-      if (typeof processError.stack === 'string')
+      this.#options =
       {
-         // Attempt to parse error with @typhonjs-utils/error-parser if there is an eventbus assigned.
-         if (this._eventbus !== void 0)
+         backend: 'auto',
+         batch: void 0,
+         buffer: void 0,
+         colorLevel: ColorLogger.detectColorLevel(),
+         consoleEnabled: true,
+         consoleMethods: {},
+         dedupe: void 0,
+         format: 'text',
+         groupGuides: false,
+         ignoreFrames: [],
+         namespaces: void 0,
+         noColor: false,
+         pathDisplay: 'basename',
+         rateLimit: void 0,
+         redact: void 0,
+         serializer: { ...SERIALIZE_DEFAULTS, causeDepth: 5, colors: false },
+         showDate: false,
+         showInfo: false,
+         showLevel: false,
+         sourceMaps: false,
+         stderr: false,
+         tag: void 0,
+         template: void 0,
+         theme: void 0,
+         timestamp: 'iso',
+         tokens: void 0
+      };
+
+      this.#logLevel = this.#levels.get('info').value;
+
+      const envNamespaces = globalThis.process?.env?.LOG_NAMESPACES;
+
+      // Namespace level rules may be set by the `LOG_NAMESPACES` environment variable. An invalid value is ignored
+      // with a single warning as it would otherwise fail every logger of the process.
+      if (options.namespaces === void 0 && typeof envNamespaces === 'string' && envNamespaces !== '')
+      {
+         try
          {
-            try
+            this.setOptions({ namespaces: envNamespaces });
+         }
+         catch (err)
+         {
+            if (!ColorLogger.#WARNED_ENV_NAMESPACES.has(envNamespaces))
             {
-               const parsed = this._eventbus.triggerSync('typhonjs:utils:error:parser:filter', { error: processError });
-
-               if (parsed !== void 0)
-               {
-                  return { info: parsed.firstFilenameLineCol, trace: parsed.toStringTrace() };
-               }
+               ColorLogger.#WARNED_ENV_NAMESPACES.add(envNamespaces);
+               console.warn(`@typhonjs-utils/logger-color - ignoring LOG_NAMESPACES: ${err.message}`);
             }
-            catch (err) { /* noop */ }
          }
+      }
 
-         return ColorLogger.#PARSE_STACK_TRACE(processError.stack);
+      this.setOptions(options);
+
+      // Explicitly enabling color overrides a detected color level of `0`.
+      if (options.noColor === false && options.colorLevel === void 0 && this.#options.colorLevel === 0)
+      {
+         this.#options.colorLevel = 1;
       }
 
-      return { info: 'no stack trace', trace: '' };
+      if (options.noColor === false) { this.#stderrColorLevel = null; }
    }
 
    /**
-    * Returns whether the given log level is enabled.
+    * Creates the log level registry from the built-in levels and any custom level definitions.
     *
-    * @param {LogLevel}   level - log level
+    * @param {Record<string, LogLevelDefinition>}   [customLevels] - Custom level definitions.
     *
-    * @returns {boolean} True if the log level is enabled.
+    * @returns {Map<string, { value: number, color?: string, type?: string, method?: string }>} Log level registry.
     */
-   isLevelEnabled(level)
+   static #CREATE_LEVELS(customLevels)
    {
-      const requestedLevel = ColorLogger.#LOG_LEVELS[level];
+      const levels = new Map();
 
-      if (requestedLevel === void 0)
+      for (const [name, value] of Object.entries(ColorLogger.#LOG_LEVELS))
       {
-         console.log(`isLevelEnabled - unknown log level: ${level}`);
-         return false;
+         const builtin = name !== 'off' && name !== 'all';
+
+         levels.set(name, {
+            value,
+            color: ColorLogger.#LEVEL_TO_COLOR[name],
+            type: ColorLogger.#LEVEL_TO_TYPE[name],
+            method: builtin ? name : void 0
+         });
       }
 
-      return ColorLogger.#IS_LEVEL_ENABLED(this.#logLevel, requestedLevel);
-   }
+      if (customLevels === void 0) { return levels; }
 
-   /**
-    * Returns true if the given level is a valid log level.
+      if (typeof customLevels !== 'object' || customLevels === null)
+      {
+         throw new TypeError(`'levels' is not an object.`);
+      }
+
+      const methods = new Set();
+
+      for (const [name, def] of Object.entries(customLevels))
+      {
+         if (levels.has(name) || !ColorLogger.#REGEX_LEVEL_NAME.test(name))
+         {
+            throw new TypeError(`'levels' contains an invalid or duplicate level name: ${name}`);
+         }
+
+         if (typeof def !== 'object' || def === null) { throw new TypeError(`'levels.${name}' is not an object.`); }
+
+         const { priority, color, type = `[${name[0].toUpperCase()}]`, method = name } = def;
+
+         if (typeof priority !== 'number' || !(priority > levels.get('all').value) ||
+          !(priority < levels.get('off').value))
+         {
+            throw new TypeError(`'levels.${name}.priority' must be a number between the 'all' and 'off' levels.`);
+         }
+
+         for (const data of levels.values())
+         {
+            if (data.value === priority)
+            {
+               throw new TypeError(`'levels.${name}.priority' is already in use: ${priority}`);
+            }
+         }
+
+         if (typeof color !== 'string') { throw new TypeError(`'levels.${name}.color' is not a string.`); }
+         if (typeof type !== 'string') { throw new TypeError(`'levels.${name}.type' is not a string.`); }
+
+         if (typeof method !== 'string' || !ColorLogger.#REGEX_LEVEL_NAME.test(method) || method.startsWith('_') ||
+          method in ColorLogger.prototype || methods.has(method))
+         {
+            throw new TypeError(`'levels.${name}.method' is not a valid or available method name: ${method}`);
+         }
+
+         methods.add(method);
+
+         levels.set(name, { value: priority, color: `[${color}m`, type, method });
+      }
+
+      return levels;
+   }
+
+   /**
+    * Compiles a built-in theme name or theme definition into ANSI escape sequences.
+    *
+    * @param {string | import('./types').ThemeDefinition}  source - Theme name or definition.
+    *
+    * @param {number}   colorLevel - The color level to convert styles to.
+    *
+    * @returns {{ source: string | import('./types').ThemeDefinition, colorLevel: number, levels: Record<string, string>,
+    *  tag?: string, badge?: string, time?: string, info?: string, message?: string }} Compiled theme.
+    */
+   static #COMPILE_THEME(source, colorLevel)
+   {
+      const theme = typeof source === 'string' ? themes[source] : source;
+
+      if (typeof theme !== 'object' || theme === null) { throw new TypeError(`'theme' is not a valid theme: ${source}`); }
+
+      const compiled = { source, colorLevel, levels: {} };
+
+      if (theme.levels !== void 0)
+      {
+         if (typeof theme.levels !== 'object' || theme.levels === null)
+         {
+            throw new TypeError(`'theme.levels' is not an object.`);
+         }
+
+         for (const [level, style] of Object.entries(theme.levels)) { compiled.levels[level] = parseStyle(style, colorLevel); }
+      }
+
+      for (const part of ['tag', 'badge', 'time', 'info', 'message', 'highlight'])
+      {
+         if (theme[part] !== void 0) { compiled[part] = parseStyle(theme[part], colorLevel); }
+      }
+
+      return compiled;
+   }
+
+   /**
+    * Converts an ANSI escape sequence to CSS for the browser backend.
+    *
+    * @param {string}   sequence - ANSI escape sequence.
+    *
+    * @returns {string} CSS declarations.
+    */
+   static #CSS(sequence)
+   {
+      let css = ColorLogger.#CSS_CACHE.get(sequence);
+
+      if (css === void 0)
+      {
+         css = sgrToCss(sequence);
+         ColorLogger.#CSS_CACHE.set(sequence, css);
+      }
+
+      return css;
+   }
+
+   /**
+    * Compiles namespace level rules; IE `app:db:*=trace,app:http=warn,*=info`. Rules are comma or whitespace
+    * separated `pattern=level` pairs where `*` in a pattern matches any characters.
+    *
+    * @param {string}   source - Namespace level rules.
+    *
+    * @param {Map<string, { value: number }>}   levels - Log level registry.
+    *
+    * @returns {{ source: string, rules: { regex: RegExp, specificity: number, value: number }[],
+    *  cache: Map<string, number | undefined> }} Compiled namespace rules.
+    */
+   static #COMPILE_NAMESPACES(source, levels)
+   {
+      const rules = [];
+
+      for (const rule of source.split(/[\s,]+/))
+      {
+         if (rule === '') { continue; }
+
+         const index = rule.lastIndexOf('=');
+         const pattern = rule.slice(0, index);
+         const level = rule.slice(index + 1);
+
+         if (index <= 0 || !levels.has(level))
+         {
+            throw new TypeError(`'namespaces' contains an invalid rule: '${rule}'; expected 'pattern=level'.`);
+         }
+
+         const regex = new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('.*')}$`);
+
+         rules.push({ regex, specificity: pattern.replaceAll('*', '').length, value: levels.get(level).value });
+      }
+
+      return { source, rules, cache: new Map() };
+   }
+
+   /**
+    * Compiles a line format template into literal and token parts.
+    *
+    * @param {string}   template - Line format template.
+    *
+    * @param {Record<string, Function>}   tokens - Custom tokens.
+    *
+    * @returns {{ source: string, parts: ({ literal: string } | { token: string, modifiers: string[] })[],
+    *  hasTime: boolean }} Compiled template.
+    */
+   static #COMPILE_TEMPLATE(template, tokens)
+   {
+      const parts = [];
+
+      let literal = '';
+      let lastIndex = 0;
+
+      for (const match of template.matchAll(ColorLogger.#REGEX_TEMPLATE))
+      {
+         literal += template.slice(lastIndex, match.index);
+         lastIndex = match.index + match[0].length;
+
+         if (match[1] === void 0)
+         {
+            // Escaped `{{` or `}}`.
+            literal += match[0][0];
+            continue;
+         }
+
+         const token = match[1];
+         const modifiers = match[2] === '' ? [] : match[2].slice(1).split(':');
+
+         if (!ColorLogger.#TEMPLATE_TOKENS.has(token) && typeof tokens?.[token] !== 'function')
+         {
+            throw new TypeError(`'template' contains an unknown token: {${token}}`);
+         }
+
+         for (const modifier of modifiers)
+         {
+            if (!(/^(?:upper|lower|pad\d+|[<>^]\d+)$/).test(modifier))
+            {
+               throw new TypeError(`'template' contains an unknown modifier: {${token}:${modifier}}`);
+            }
+         }
+
+         if (literal !== '') { parts.push({ literal }); }
+         literal = '';
+
+         parts.push({ token, modifiers });
+      }
+
+      literal += template.slice(lastIndex);
+
+      if (literal !== '') { parts.push({ literal }); }
+
+      return { source: template, parts, hasTime: parts.some((part) => part.token === 'time') };
+   }
+
+   /**
+    * Applies template modifiers to a token value.
+    *
+    * - `upper` / `lower`: changes case.
+    * - `padN` / `<N`: left aligns and pads to width `N`.
+    * - `>N`: right aligns and pads to width `N`.
+    * - `^N`: centers and pads to width `N`.
+    *
+    * @param {string}   value - Token value.
+    *
+    * @param {string[]} modifiers - Template modifiers.
+    *
+    * @returns {string} Modified token value.
+    */
+   static #APPLY_MODIFIERS(value, modifiers)
+   {
+      for (const modifier of modifiers)
+      {
+         if (modifier === 'upper') { value = value.toUpperCase(); continue; }
+         if (modifier === 'lower') { value = value.toLowerCase(); continue; }
+
+         const width = Number(modifier.replace(/^(?:pad|[<>^])/, ''));
+
+         if (modifier.startsWith('>'))
+         {
+            value = value.padStart(width);
+         }
+         else if (modifier.startsWith('^'))
+         {
+            value = value.padStart(value.length + Math.floor(Math.max(width - value.length, 0) / 2)).padEnd(width);
+         }
+         else
+         {
+            value = value.padEnd(width);
+         }
+      }
+
+      return value;
+   }
+
+   /**
+    * Copies option values. Plain objects and arrays are copied; functions and other values are kept by reference.
+    *
+    * @param {*}  value - Option value.
+    *
+    * @returns {*} Copied option value.
+    */
+   static #COPY_OPTION(value)
+   {
+      if (Array.isArray(value)) { return value.map((entry) => ColorLogger.#COPY_OPTION(entry)); }
+
+      if (typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype)
+      {
+         const copy = {};
+
+         for (const [key, entry] of Object.entries(value)) { copy[key] = ColorLogger.#COPY_OPTION(entry); }
+
+         return copy;
+      }
+
+      return value;
+   }
+
+   /**
+    * Wraps a line part in an ANSI style. Any trailing whitespace is not styled.
+    *
+    * @param {string}   style - ANSI escape sequence.
+    *
+    * @param {string}   value - Line part.
+    *
+    * @returns {string} Styled line part.
+    */
+   static #STYLE(style, value)
+   {
+      const text = value.trimEnd();
+
+      // Whitespace is not styled.
+      if (text === '') { return value; }
+
+      return `${style}${text}[0m${value.slice(text.length)}`;
+   }
+
+   /**
+    * Detects the color level supported by an output stream from `NO_COLOR`, `FORCE_COLOR`, TTY status and
+    * `TERM` / `COLORTERM` environment variables. The detected level of `process.stdout` is the default `colorLevel`
+    * option.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {{ isTTY?: boolean }}  [options.stream] - The target stream; default: `process.stdout`.
+    *
+    * @param {Record<string, string | undefined>} [options.env] - Environment variables; default: `process.env`.
+    *
+    * @returns {0 | 1 | 2 | 3} Color level: `0` no color, `1` basic 16 colors, `2` 256 colors, `3` truecolor.
+    */
+   static detectColorLevel(options)
+   {
+      return detectColorLevel(options);
+   }
+
+   /**
+    * Parses a V8 (Node / Chromium), SpiderMonkey (Firefox) or JavaScriptCore (Safari) stack trace into structured
+    * frames.
+    *
+    * @param {string}   stack - A stack trace; IE `error.stack`.
+    *
+    * @returns {import('./types').StackFrame[]} Parsed stack frames.
+    */
+   static parseStack(stack)
+   {
+      return parseStack(stack);
+   }
+
+   /**
+    * Creates a logger from a config object with logger options and the log level; IE
+    * `{ "level": "debug", "tag": "app", "showDate": true }`. The `levels` key registers custom levels.
+    *
+    * @param {Record<string, *>}   config - Config object.
+    *
+    * @param {Partial<ColorLoggerOptions>}   [options] - Default options overridden by config values.
+    *
+    * @returns {ColorLogger} A new logger.
+    * @throws {TypeError} When the config contains unknown keys or invalid values.
+    */
+   static fromConfig(config, options = {})
+   {
+      return ColorLogger.#FROM_CONFIG(config, (key) => key === void 0 ? 'config' : `config.${key}`, options);
+   }
+
+   /**
+    * Creates a logger from environment variables. Each variable name is the prefix followed by the option name in
+    * upper snake case:
+    * - `LOG_LEVEL`: log level.
+    * - `LOG_BACKEND`, `LOG_COLOR_LEVEL`, `LOG_FORMAT`, `LOG_NAMESPACES`, `LOG_PATH_DISPLAY`, `LOG_TAG`,
+    *   `LOG_TEMPLATE`, `LOG_THEME` (name or JSON) and `LOG_TIMESTAMP`.
+    * - `LOG_CONSOLE_ENABLED`, `LOG_GROUP_GUIDES`, `LOG_NO_COLOR`, `LOG_SHOW_DATE`, `LOG_SHOW_INFO`, `LOG_SHOW_LEVEL`,
+    *   `LOG_SOURCE_MAPS` and `LOG_STDERR` booleans as `1` / `true` / `yes` / `on` or `0` / `false` / `no` / `off`.
+    *
+    * @param {object}   [opts] - Options.
+    *
+    * @param {Record<string, string | undefined>} [opts.env] - Environment variables; default: `process.env`.
+    *
+    * @param {string}   [opts.prefix='LOG_'] - Environment variable name prefix.
+    *
+    * @param {Partial<ColorLoggerOptions>}   [opts.options] - Default options overridden by environment variables.
+    *
+    * @returns {ColorLogger} A new logger.
+    * @throws {TypeError} When an environment variable has an invalid value.
+    */
+   static fromEnv({ env = globalThis.process?.env ?? {}, prefix = 'LOG_', options = {} } = {})
+   {
+      const { config, sources } = parseEnvConfig(env, prefix);
+
+      // Only the given environment variables set namespace rules; the constructor does not read `LOG_NAMESPACES`.
+      const defaults = typeof options === 'object' && options !== null ? { namespaces: null, ...options } : options;
+
+      return ColorLogger.#FROM_CONFIG(config, (key) => sources[key] ?? 'env', defaults);
+   }
+
+   /**
+    * Creates a logger from a JSON config file in Node. See {@link ColorLogger.fromConfig} for the config format.
+    *
+    * @param {string | URL}   filepath - Config file path.
+    *
+    * @param {Partial<ColorLoggerOptions>}   [options] - Default options overridden by config values.
+    *
+    * @returns {Promise<ColorLogger>} A new logger.
+    * @throws {Error} When the config file can not be read or parsed.
+    * @throws {TypeError} When the config contains unknown keys or invalid values.
+    */
+   static async fromFile(filepath, options = {})
+   {
+      if (typeof filepath !== 'string' && !(filepath instanceof URL))
+      {
+         throw new TypeError(`'filepath' is not a string or URL.`);
+      }
+
+      const { readFile } = await import('node:fs/promises');
+
+      let config;
+
+      try
+      {
+         config = JSON.parse(await readFile(filepath, 'utf-8'));
+      }
+      catch (err)
+      {
+         throw new Error(`Could not load config file '${filepath}': ${err.message}`, { cause: err });
+      }
+
+      return ColorLogger.#FROM_CONFIG(config, (key) => key === void 0 ? `'${filepath}'` : `'${filepath}' ${key}`,
+       options);
+   }
+
+   /**
+    * Creates a logger from a config object.
+    *
+    * @param {Record<string, *>}   config - Config object.
+    *
+    * @param {(key?: string) => string}   source - Returns the source name of a config key for error messages.
+    *
+    * @param {Partial<ColorLoggerOptions>}   options - Default options overridden by config values.
+    *
+    * @returns {ColorLogger} A new logger.
+    */
+   static #FROM_CONFIG(config, source, options)
+   {
+      if (typeof options !== 'object' || options === null) { throw new TypeError(`'options' is not an object.`); }
+
+      const { level, options: configOptions } = validateConfig(config, source);
+
+      let logger;
+
+      try
+      {
+         logger = new ColorLogger({ ...options, ...configOptions });
+      }
+      catch (err)
+      {
+         throw new TypeError(`${ColorLogger.#FIND_CONFIG_SOURCE(configOptions, source, options)}: ${err.message}`,
+          { cause: err });
+      }
+
+      if (level !== void 0)
+      {
+         if (!logger.isValidLevel(level))
+         {
+            throw new TypeError(`${source('level')}: '${level}' is not a valid log level; expected: ${
+             [...logger.#levels.keys()].join(', ')}.`);
+         }
+
+         logger.setLogLevel(level);
+      }
+
+      return logger;
+   }
+
+   /**
+    * Finds the config key whose value fails logger construction by adding config values one at a time; custom
+    * `levels` first as other options may refer to them.
+    *
+    * @param {Partial<ColorLoggerOptions>}   configOptions - Logger options of the config.
+    *
+    * @param {(key?: string) => string}   source - Returns the source name of a config key for error messages.
+    *
+    * @param {Partial<ColorLoggerOptions>}   options - Default options overridden by config values.
+    *
+    * @returns {string} Source name of the failing config key or of the whole config.
+    */
+   static #FIND_CONFIG_SOURCE(configOptions, source, options)
+   {
+      const keys = Object.keys(configOptions).sort((a, b) => Number(b === 'levels') - Number(a === 'levels'));
+      const probe = { ...options };
+
+      for (const key of keys)
+      {
+         probe[key] = configOptions[key];
+
+         try
+         {
+            new ColorLogger(probe);
+         }
+         catch
+         {
+            return source(key);
+         }
+      }
+
+      return source();
+   }
+
+   /**
+    * Formats a duration with human-friendly units; IE `850µs`, `12.3ms`, `1.25s`, `2m 5s` or `1h 3m`.
+    *
+    * @param {number}   ms - Duration in milliseconds.
+    *
+    * @returns {string} Formatted duration.
+    */
+   static #FORMAT_DURATION(ms)
+   {
+      if (ms < 1) { return `${Math.round(ms * 1000)}µs`; }
+      if (ms < 10) { return `${ms.toFixed(2)}ms`; }
+      if (ms < 100) { return `${ms.toFixed(1)}ms`; }
+      if (ms < 1000) { return `${Math.round(ms)}ms`; }
+      if (ms < 60000) { return `${(ms / 1000).toFixed(2)}s`; }
+
+      const seconds = Math.floor(ms / 1000);
+
+      if (seconds < 3600) { return `${Math.floor(seconds / 60)}m ${seconds % 60}s`; }
+
+      return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+   }
+
+   /**
+    * Formats the timestamp of a log entry by the `timestamp` option.
+    *
+    * @param {{ date: Date, elapsed: number, delta: number }}  stamp - Log entry date and elapsed milliseconds since
+    *        the logger started and since the last entry.
+    *
+    * @param {ColorLoggerOptions['timestamp']}  timestamp - Timestamp mode or formatter.
+    *
+    * @returns {string} Formatted timestamp.
+    */
+   static #FORMAT_TIME(stamp, timestamp)
+   {
+      if (typeof timestamp === 'function')
+      {
+         return String(timestamp(stamp.date, { delta: stamp.delta, elapsed: stamp.elapsed }));
+      }
+
+      const d = stamp.date;
+      const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+      switch (timestamp)
+      {
+         case 'delta':
+            return `+${stamp.delta}ms`;
+
+         case 'elapsed':
+            return `+${stamp.elapsed}ms`;
+
+         case 'local':
+         {
+            const offset = -d.getTimezoneOffset();
+            const sign = offset < 0 ? '-' : '+';
+
+            return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:` +
+             `${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}${sign}` +
+              `${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+         }
+
+         case 'time':
+            return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+
+         default:
+            return d.toISOString();
+      }
+   }
+
+   /**
+    * Returns true if a log argument is an Error. A revoked Proxy argument is not an Error and is serialized instead.
+    *
+    * @param {*}  value - Log argument.
+    *
+    * @returns {boolean} Whether the value is an Error.
+    */
+   static #IS_ERROR(value)
+   {
+      try
+      {
+         return value instanceof Error;
+      }
+      catch
+      {
+         return false;
+      }
+   }
+
+   /**
+    * Validates that the current / requested levels are numbers and that current level is less than requested level.
+    *
+    * @param {number}   currentLevel - The current ColorLogger level.
+    *
+    * @param {number}   requestedLevel - The requested level to log.
+    *
+    * @returns {boolean} True if the requested level is greater than or equal to the current enabled log level.
+    */
+   static #IS_LEVEL_ENABLED(currentLevel, requestedLevel)
+   {
+      return Number.isFinite(currentLevel) && Number.isFinite(requestedLevel) && currentLevel <= requestedLevel;
+   }
+
+   /**
+    * Returns the entries of a ring buffer from oldest to newest.
+    *
+    * @param {{ entries: import('./types').BufferEntry[], index: number }}   buffer - Ring buffer.
+    *
+    * @returns {import('./types').BufferEntry[]} Ordered entries.
+    */
+   static #BUFFER_ENTRIES(buffer)
+   {
+      return [...buffer.entries.slice(buffer.index), ...buffer.entries.slice(0, buffer.index)];
+   }
+
+   /**
+    * Starts a timeout that does not keep a Node process running.
+    *
+    * @param {() => void}  fn - Function to invoke.
+    *
+    * @param {number}   ms - Timeout in milliseconds.
+    *
+    * @returns {*} Timer handle.
+    */
+   static #SET_TIMEOUT(fn, ms)
+   {
+      const timer = setTimeout(fn, ms);
+
+      timer?.unref?.();
+
+      return timer;
+   }
+
+   /**
+    * Returns true if log arguments are from a tagged template call; IE ``logger.info`Loaded ${count} plugins` ``.
+    *
+    * @param {*[]}   msg - Log message arguments.
+    *
+    * @returns {boolean} Whether the first argument is a template strings array followed by the values.
+    */
+   static #IS_TAGGED_TEMPLATE(msg)
+   {
+      const strings = msg[0];
+
+      // `Array.isArray` throws for a revoked Proxy.
+      try
+      {
+         return Array.isArray(strings) && Array.isArray(strings.raw) && strings.length === msg.length;
+      }
+      catch
+      {
+         return false;
+      }
+   }
+
+   /**
+    * Joins tagged template strings with formatted values.
+    *
+    * @param {string[]} strings - Template strings.
+    *
+    * @param {*[]}   values - Interpolated values.
+    *
+    * @param {(value: *) => string} format - Formats a value.
+    *
+    * @returns {string} Interpolated message.
+    */
+   static #INTERPOLATE(strings, values, format)
+   {
+      let result = strings[0];
+
+      for (let i = 0; i < values.length; i++) { result += `${format(values[i])}${strings[i + 1]}`; }
+
+      return result;
+   }
+
+   /**
+    * Writes the pending entries of the `batch` option. When a destination is blocked following entries are written
+    * once it settles.
+    *
+    * @param {{ pending: *[][], flushing?: Promise<void>, scheduled: boolean, timer?: * }}   state - Batch state.
+    *
+    * @returns {Promise<void>} Resolves when all pending entries are written.
+    */
+   static #FLUSH_BATCH(state)
+   {
+      state.scheduled = false;
+      clearTimeout(state.timer);
+      state.timer = void 0;
+
+      // An in-flight flush writes following entries once the blocked destination settles.
+      if (state.flushing) { return state.flushing; }
+
+      try
+      {
+         while (state.pending.length)
+         {
+            const blocked = ColorLogger.#WRITE_BATCH(state.pending.splice(0));
+
+            if (blocked.length)
+            {
+               state.flushing = Promise.all(blocked).then(() =>
+               {
+                  state.flushing = void 0;
+                  return ColorLogger.#FLUSH_BATCH(state);
+               }, (err) =>
+               {
+                  state.flushing = void 0;
+                  throw err;
+               });
+
+               return state.flushing;
+            }
+         }
+      }
+      catch (err)
+      {
+         return Promise.reject(err);
+      }
+
+      ColorLogger.#BATCH_EXIT.states.delete(state);
+
+      return Promise.resolve();
+   }
+
+   /**
+    * Writes the pending entries of the `batch` option synchronously without waiting for blocked destinations; IE on
+    * process exit.
+    *
+    * @param {{ pending: *[][], scheduled: boolean, timer?: * }}   state - Batch state.
+    */
+   static #FLUSH_BATCH_SYNC(state)
+   {
+      state.scheduled = false;
+      clearTimeout(state.timer);
+      state.timer = void 0;
+
+      while (state.pending.length) { ColorLogger.#WRITE_BATCH(state.pending.splice(0)); }
+
+      ColorLogger.#BATCH_EXIT.states.delete(state);
+   }
+
+   /**
+    * Registers a state of the `batch` option with pending entries to be written on process exit. `beforeExit` waits
+    * for blocked destinations while `exit` only allows synchronous writes.
+    *
+    * @param {object}   state - Batch state.
+    */
+   static #REGISTER_BATCH_EXIT(state)
+   {
+      const batchExit = ColorLogger.#BATCH_EXIT;
+      const process = globalThis.process;
+
+      if (typeof process?.on !== 'function') { return; }
+
+      batchExit.states.add(state);
+
+      if (batchExit.registered) { return; }
+
+      batchExit.registered = true;
+
+      process.on('beforeExit', () =>
+      {
+         for (const entry of batchExit.states)
+         {
+            if (!entry.flushing) { ColorLogger.#FLUSH_BATCH(entry).catch(ColorLogger.#REPORT_WRITE_ERROR); }
+         }
+      });
+
+      process.on('exit', () =>
+      {
+         for (const entry of batchExit.states) { ColorLogger.#FLUSH_BATCH_SYNC(entry); }
+      });
+   }
+
+   /**
+    * Reports a failed asynchronous transport write as there is no log call to throw to.
+    *
+    * @param {*}  err - Error.
+    */
+   static #REPORT_WRITE_ERROR(err)
+   {
+      console.error(`@typhonjs-utils/logger-color - transport write failed:`, err);
+   }
+
+   /**
+    * Invokes a transport write reporting a thrown error so that following transports are still written.
+    *
+    * @param {() => *}  write - Transport write.
+    *
+    * @returns {*} The write result or undefined when it throws.
+    */
+   static #TRY_WRITE(write)
+   {
+      try
+      {
+         return write();
+      }
+      catch (err)
+      {
+         ColorLogger.#REPORT_WRITE_ERROR(err);
+         return void 0;
+      }
+   }
+
+   /**
+    * Writes a chunk of batched entries. Each transport receives its messages in order through `writeBatch` when
+    * defined or `write` for each message. Console transports of different loggers share the console, so their
+    * messages are split into consecutive runs to keep the entry order.
+    *
+    * @param {[import('./types').ColorLoggerTransport, string, import('./types').TransportEntry][][]}   entries -
+    *        Transport writes of each entry.
+    *
+    * @returns {Promise<void>[]} Promises of blocked destinations.
+    */
+   static #WRITE_BATCH(entries)
+   {
+      /** @type {{ transport: import('./types').ColorLoggerTransport, messages: string[], data: *[] }[]} */
+      const writes = [];
+
+      const byTransport = new Map();
+
+      let consoleRun = void 0;
+
+      for (const entryWrites of entries)
+      {
+         for (const [transport, message, entry] of entryWrites)
+         {
+            const isConsole = transport instanceof ConsoleTransport;
+
+            let run = isConsole ? consoleRun : byTransport.get(transport);
+
+            if (run?.transport !== transport)
+            {
+               run = { transport, messages: [], data: [] };
+               writes.push(run);
+
+               if (isConsole)
+               {
+                  consoleRun = run;
+               }
+               else
+               {
+                  byTransport.set(transport, run);
+               }
+            }
+
+            run.messages.push(message);
+            run.data.push(entry);
+         }
+      }
+
+      const blocked = [];
+
+      for (const { transport, messages, data } of writes)
+      {
+         const results = typeof transport.writeBatch === 'function' ?
+          [ColorLogger.#TRY_WRITE(() => transport.writeBatch(messages, data))] :
+           messages.map((message, index) => ColorLogger.#TRY_WRITE(() => transport.write(message, data[index])));
+
+         for (const result of results)
+         {
+            if (typeof result?.then === 'function') { blocked.push(result); }
+         }
+      }
+
+      return blocked;
+   }
+
+   /**
+    * Returns the own enumerable properties of an error excluding `name`, `message`, `stack`, `cause` and `errors`;
+    * IE `code`, `errno` or `status`.
+    *
+    * @param {Error}    error - Error to inspect.
+    *
+    * @returns {Record<string, *> | undefined} Error properties or undefined when there are none.
+    */
+   static #ERROR_PROPS(error)
+   {
+      const keys = Object.keys(error).filter((key) => !['cause', 'errors', 'message', 'name', 'stack'].includes(key));
+
+      if (keys.length === 0) { return void 0; }
+
+      const props = {};
+
+      for (const key of keys)
+      {
+         try { props[key] = error[key]; }
+         catch (err) { props[key] = `[Getter threw: ${err?.message}]`; }
+      }
+
+      return props;
+   }
+
+   /**
+    * Returns the nested errors of an error; the inner errors of an `AggregateError` followed by the `cause`.
+    *
+    * @param {Error}    error - Error to inspect.
+    *
+    * @returns {{ label: string, error: * }[]} Nested errors with section labels.
+    */
+   static #ERROR_NESTED(error)
+   {
+      const nested = [];
+
+      if (Array.isArray(error.errors))
+      {
+         error.errors.forEach((inner, index) => nested.push({ label: `[${index}] `, error: inner }));
+      }
+
+      if (error.cause !== void 0) { nested.push({ label: 'Caused by: ', error: error.cause }); }
+
+      return nested;
+   }
+
+   /**
+    * Formats the file of a stack frame by the `pathDisplay` option.
+    *
+    * @param {string}   file - Stack frame file path or URL.
+    *
+    * @param {'basename' | 'relative' | 'full'}   pathDisplay - Path display mode.
+    *
+    * @returns {string} Formatted file.
+    */
+   static #FORMAT_PATH(file, pathDisplay)
+   {
+      switch (pathDisplay)
+      {
+         case 'full':
+            return file;
+
+         case 'relative':
+         {
+            const cwd = globalThis.process?.cwd?.();
+            const filepath = file.startsWith('file://') ? decodeURIComponent(new URL(file).pathname)
+             .replace(/^\/([a-zA-Z]:\/)/, '$1') : file;
+
+            if (typeof cwd !== 'string') { return filepath; }
+
+            const prefix = cwd.replaceAll('\\', '/').replace(/\/?$/, '/');
+            const normalized = filepath.replaceAll('\\', '/');
+
+            return normalized.startsWith(prefix) ? normalized.slice(prefix.length) : filepath;
+         }
+
+         default:
+            return file.slice(Math.max(file.lastIndexOf('/'), file.lastIndexOf('\\')) + 1);
+      }
+   }
+
+   /**
+    * Parses a V8, SpiderMonkey or JavaScriptCore stack trace and pulls out the first file name / line / col not from
+    * ColorLogger.js or matching the `ignoreFrames` option.
+    *
+    * @param {string}   stack - A stack from an Error.
+    *
+    * @param {(string | RegExp)[]}   ignoreFrames - Additional ignore patterns.
+    *
+    * @param {'basename' | 'relative' | 'full'}   pathDisplay - Path display mode of the info file.
+    *
+    * @returns {{trace: string, info: string}} The parsed trace.
+    */
+   static #PARSE_STACK_TRACE(stack, ignoreFrames, pathDisplay)
+   {
+      const isIgnored = (line) => ColorLogger.#REGEX_COLOR_LOGGER.test(line) || ignoreFrames.some((pattern) =>
+       typeof pattern === 'string' ? line.includes(pattern) : pattern.test(line));
+
+      const frame = parseStack(stack).find((entry) => !isIgnored(entry.source));
+
+      if (frame === void 0) { return { info: 'no stack trace', trace: '' }; }
+
+      const lines = stack.split('\n');
+
+      // Continue to push lines to `trace` from the info frame ignoring any lines that originate from ColorLogger or
+      // match the ignore patterns.
+      const trace = lines.slice(lines.indexOf(frame.source)).filter((line) => !isIgnored(line));
+
+      return {
+         info: `${ColorLogger.#FORMAT_PATH(frame.file, pathDisplay)}:${frame.line}:${frame.column}`,
+         trace: trace.join('\n')
+      };
+   }
+
+   /**
+    * Adds an output transport. All log messages that pass the logger level and the optional transport level threshold
+    * are written to the transport.
+    *
+    * @param {import('./types').ColorLoggerTransport}   transport - Transport to add.
+    *
+    * @returns {boolean} True if the transport was added; false if already added.
+    */
+   addTransport(transport)
+   {
+      if (typeof transport?.write !== 'function') { throw new TypeError(`'transport' does not have a 'write' function.`); }
+
+      if (transport.level !== void 0 && !this.isValidLevel(transport.level))
+      {
+         throw new TypeError(`'transport.level' is not a valid log level: ${transport.level}`);
+      }
+
+      if (this.#transports.has(transport)) { return false; }
+
+      this.#transports.add(transport);
+      return true;
+   }
+
+   /**
+    * Creates a child logger that follows the log level, options and transports of this logger unless overridden. The
+    * child tag is nested after the parent tag; IE `app:db`. Any `context` fields are merged with the parent context
+    * and added to every log entry.
+    *
+    * @param {Partial<ColorLoggerOptions> & { context?: Record<string, *> }}   [options] - Optional child options.
+    *
+    * @returns {ColorLogger} Child logger.
+    *
+    * @example
+    * const dbLogger = logger.child({ tag: 'db', context: { pool: 'main' } });
+    * const poolLogger = dbLogger.child({ tag: 'pool' });
+    *
+    * poolLogger.info('Connected'); // [app:db:pool] Connected {"pool":"main"}
+    */
+   child({ context, ...options } = {})
+   {
+      if (context !== void 0 && (typeof context !== 'object' || context === null))
+      {
+         throw new TypeError(`'context' is not an object.`);
+      }
+
+      const child = new ColorLogger();
+
+      child.#levels = this.#levels;
+
+      // Add any custom level methods.
+      for (const [name, data] of this.#levels)
+      {
+         if (data.method !== void 0 && !(data.method in child))
+         {
+            child[data.method] = (...msg) => child.#output(name, false, false, false, false, ...msg);
+         }
+      }
+
+      child.#parent = this;
+      child.#stderrColorLevel = void 0;
+      child.#timing = this.#timing;
+      child.#queue = this.#queue;
+      child.#batchState = this.#batchState;
+      child.#logLevel = void 0;
+      child.#options = Object.create(this.#options);
+      child.#options.tag = void 0;
+
+      if (context) { child.#context = { ...context }; }
+
+      child.setOptions(options);
+
+      return child;
+   }
+
+   /**
+    * @returns {import('./types').ColorLoggerExt} Extended logging API.
+    */
+   get ext()
+   {
+      if (!this.#extAPI)
+      {
+         const extAPI = {};
+
+         for (const [name, data] of this.#levels)
+         {
+            if (data.method === void 0) { continue; }
+
+            extAPI[`${data.method}Compact`] = (...msg) => this.#output(name, true, false, false, false, ...msg);
+            extAPI[`${data.method}NoColor`] = (...msg) => this.#output(name, false, true, false, false, ...msg);
+            extAPI[`${data.method}Raw`] = (...msg) => this.#output(name, false, true, true, false, ...msg);
+            extAPI[`${data.method}Time`] = (...msg) => this.#output(name, false, false, false, true, ...msg);
+         }
+
+         /** @type {import('./types').ColorLoggerExt} */
+         this.#extAPI = Object.freeze(extAPI);
+      }
+
+      return this.#extAPI;
+   }
+
+   /**
+    * @returns {import('./types').ColorLoggerIs} Is log level accessor API.
+    */
+   get is()
+   {
+      if (!this.#isAPI)
+      {
+         const isAPI = {};
+
+         for (const [name, data] of this.#levels)
+         {
+            if (data.method === void 0) { continue; }
+
+            Object.defineProperty(isAPI, name, { get: () => this.isLevelEnabled(name), enumerable: true });
+         }
+
+         /** @type {import('./types').ColorLoggerIs} */
+         this.#isAPI = Object.freeze(isAPI);
+      }
+
+      return this.#isAPI;
+   }
+
+   /**
+    * Lazy logging API where function arguments are thunks only invoked when the level is enabled. Thunks may return
+    * promises; the entry is then written once all promises settle and later entries of this logger and related child
+    * loggers wait to keep the call order.
+    *
+    * @returns {import('./types').ColorLoggerLazy} Lazy logging API.
+    *
+    * @example
+    * logger.lazy.trace('state:', () => buildHugeDump());
+    *
+    * await logger.lazy.debug(async () => `rows: ${await db.count()}`);
+    */
+   get lazy()
+   {
+      if (!this.#lazyAPI)
+      {
+         const lazyAPI = {};
+
+         for (const [name, data] of this.#levels)
+         {
+            if (data.method === void 0) { continue; }
+
+            lazyAPI[data.method] = (...msg) => this.#outputLazy(name, msg);
+         }
+
+         /** @type {import('./types').ColorLoggerLazy} */
+         this.#lazyAPI = Object.freeze(lazyAPI);
+      }
+
+      return this.#lazyAPI;
+   }
+
+   /**
+    * Get the log level string.
+    *
+    * @returns {LogLevel} Log level string.
+    */
+   getLogLevel()
+   {
+      const value = this.#getLogLevelValue();
+
+      return [...this.#levels.keys()].find((name) => this.#levels.get(name).value === value);
+   }
+
+   /**
+    * Returns a copy of the logger options.
+    *
+    * @returns {ColorLoggerOptions} - Logger options.
+    */
+   getOptions()
+   {
+      const options = {};
+
+      // Include any options inherited from a parent logger.
+      for (const key in this.#options)
+      {
+         if (this.#options[key] !== void 0) { options[key] = ColorLogger.#COPY_OPTION(this.#options[key]); }
+      }
+
+      const tag = this.#getTag();
+
+      if (tag !== void 0) { options.tag = tag; }
+
+      return options;
+   }
+
+   /**
+    * @returns {number} The color level of console output for levels routed to `process.stderr`.
+    */
+   #getStderrColorLevel()
+   {
+      if (this.#stderrColorLevel === void 0)
+      {
+         return this.#parent ? this.#parent.#getStderrColorLevel() : this.#options.colorLevel;
+      }
+
+      return this.#stderrColorLevel ?? this.#options.colorLevel;
+   }
+
+   /**
+    * @returns {ConsoleTransport} The default console transport for the `consoleMethods` / `stderr` options.
+    */
+   #getConsoleTransport()
+   {
+      const { consoleMethods, stderr } = this.#options;
+
+      if (this.#consoleTransport?.options?.consoleMethods !== consoleMethods ||
+       this.#consoleTransport?.options?.stderr !== stderr)
+      {
+         this.#consoleTransport = {
+            options: { consoleMethods, stderr },
+            transport: new ConsoleTransport({ methods: consoleMethods, stderr })
+         };
+      }
+
+      return this.#consoleTransport.transport;
+   }
+
+   /**
+    * @returns {{ size: number, level: string, dump: boolean, entries: import('./types').BufferEntry[],
+    *  index: number } | undefined} The ring buffer of the `buffer` option shared with child
+    *  loggers unless a child sets its own `buffer` option.
+    */
+   #getBuffer()
+   {
+      if (this.#parent && !Object.hasOwn(this.#options, 'buffer')) { return this.#parent.#getBuffer(); }
+
+      return this.#buffer;
+   }
+
+   /**
+    * @returns {Record<string, *>} Context fields merged with any parent context.
+    */
+   #getContext()
+   {
+      return this.#parent ? { ...this.#parent.#getContext(), ...this.#context } : this.#context;
+   }
+
+   /**
+    * @returns {number} The log level value of this logger or the inherited parent log level.
+    */
+   #getLogLevelValue()
+   {
+      return this.#logLevel ?? this.#parent.#getLogLevelValue();
+   }
+
+   /**
+    * @returns {number} The log level value of the most specific `namespaces` rule matching the tag of this logger or
+    * the log level value of this logger when no rule matches.
+    */
+   #getEnabledLevelValue()
+   {
+      const source = this.#options.namespaces;
+
+      if (source === void 0) { return this.#getLogLevelValue(); }
+
+      if (this.#compiledNamespaces?.source !== source)
+      {
+         this.#compiledNamespaces = ColorLogger.#COMPILE_NAMESPACES(source, this.#levels);
+      }
+
+      const { cache, rules } = this.#compiledNamespaces;
+      const tag = this.#getTag() ?? '';
+
+      if (!cache.has(tag))
+      {
+         let match = void 0;
+
+         // Later rules win ties of equal specificity.
+         for (const rule of rules)
+         {
+            if (rule.regex.test(tag) && (match === void 0 || rule.specificity >= match.specificity)) { match = rule; }
+         }
+
+         cache.set(tag, match?.value);
+      }
+
+      return cache.get(tag) ?? this.#getLogLevelValue();
+   }
+
+   /**
+    * @returns {string | undefined} The tag of this logger nested after any parent tag.
+    */
+   #getTag()
+   {
+      if (this.#deferred) { return this.#deferred.tag; }
+
+      const parentTag = this.#parent ? this.#parent.#getTag() : void 0;
+      const tag = typeof this.#options.tag === 'string' && this.#options.tag !== '' ? this.#options.tag : void 0;
+
+      return parentTag && tag ? `${parentTag}:${tag}` : parentTag ?? tag;
+   }
+
+   /**
+    * @returns {((value: *) => *) | undefined} The redaction function of the `redact` option.
+    */
+   #getRedactor()
+   {
+      const source = this.#options.redact;
+
+      if (source === void 0) { return void 0; }
+
+      if (this.#compiledRedact?.source !== source)
+      {
+         this.#compiledRedact = { source, redact: createRedactor(source) };
+      }
+
+      return this.#compiledRedact.redact;
+   }
+
+   /**
+    * @returns {Record<string, string>} ANSI sequences of serialized object keys and values by value type.
+    */
+   #getSerializerColors()
+   {
+      const source = this.#options.serializer.colors;
+      const colorLevel = Math.max(this.#options.colorLevel, 1);
+
+      if (this.#compiledSerializerColors?.source !== source ||
+       this.#compiledSerializerColors?.colorLevel !== colorLevel)
+      {
+         const specs = source === true ? ColorLogger.#SERIALIZER_COLORS : source;
+         const colors = {};
+
+         for (const [type, spec] of Object.entries(specs)) { colors[type] = parseStyle(spec, colorLevel); }
+
+         this.#compiledSerializerColors = { source, colorLevel, colors };
+      }
+
+      return this.#compiledSerializerColors.colors;
+   }
+
+   /**
+    * @returns {{ parts: ({ literal: string } | { token: string, modifiers: string[] })[], hasTime: boolean } |
+    *  undefined} The compiled template or undefined for the default line format.
+    */
+   #getTemplate()
+   {
+      const source = this.#options.template;
+
+      if (source === void 0 || source === null) { return void 0; }
+
+      if (this.#compiledTemplate?.source !== source)
+      {
+         this.#compiledTemplate = ColorLogger.#COMPILE_TEMPLATE(source, this.#options.tokens);
+      }
+
+      return this.#compiledTemplate;
+   }
+
+   /**
+    * @param {number}   [colorLevel] - Color level to compile the theme for; default: the `colorLevel` option.
+    *
+    * @returns {{ levels: Record<string, string>, tag?: string, badge?: string, time?: string, info?: string,
+    *  message?: string } | undefined} The compiled theme or undefined for the default single level color.
+    */
+   #getTheme(colorLevel = Math.max(this.#options.colorLevel, 1))
+   {
+      const source = this.#options.theme;
+
+      if (source === void 0 || source === null) { return void 0; }
+
+      if (this.#compiledTheme?.source !== source || this.#compiledTheme?.colorLevel !== colorLevel)
+      {
+         this.#compiledTheme = ColorLogger.#COMPILE_THEME(source, colorLevel);
+      }
+
+      return this.#compiledTheme;
+   }
+
+   /**
+    * @returns {boolean} Whether console output uses the browser backend.
+    */
+   #isBrowser()
+   {
+      return this.#options.backend === 'browser' || (this.#options.backend === 'auto' && ColorLogger.#IS_BROWSER);
+   }
+
+   /**
+    * Yields the transports of any parent logger followed by the transports of this logger.
+    *
+    * @returns {Generator<import('./types').ColorLoggerTransport>} Transport iterator.
+    */
+   *#getTransports()
+   {
+      if (this.#parent) { yield* this.#parent.#getTransports(); }
+
+      yield* this.#transports;
+   }
+
+   /**
+    * Creates `console` arguments for the browser backend. Line segments are styled with `%c` CSS and object arguments
+    * of the message are passed as live `%o` arguments.
+    *
+    * @param {string}   level - log level.
+    *
+    * @param {{ key?: string, value: string, args?: *[], suffix?: string }[]}   segments - Line segments.
+    *
+    * @returns {{ color: *[], plain: *[] }} Styled and plain `console` arguments.
+    */
+   #createConsoleArgs(level, segments)
+   {
+      const escape = (value) => value.replaceAll('%', '%%');
+
+      const theme = this.#getTheme(3);
+      const levelColor = theme?.levels[level] ?? this.#levels.get(level).color;
+
+      const objects = [];
+      const styles = [];
+
+      let format = '';
+      let plain = '';
+
+      for (const segment of segments)
+      {
+         const style = ColorLogger.#CSS(theme && segment.key ? theme[segment.key] ?? levelColor : levelColor);
+
+         if (segment.args)
+         {
+            const body = segment.args.map((m) =>
+            {
+               if (typeof m === 'object' && m !== null)
+               {
+                  objects.push(m);
+                  return '%o';
+               }
+
+               return escape(String(m));
+            }).join(' ') + escape(segment.suffix ?? '');
+
+            format += `%c${body}`;
+            plain += body;
+            styles.push(style);
+            continue;
+         }
+
+         if (segment.value === '') { continue; }
+
+         const text = segment.value.trimEnd();
+
+         format += `%c${escape(text)}%c${segment.value.slice(text.length)}`;
+         plain += escape(segment.value);
+         styles.push(style, '');
+      }
+
+      // Without a theme the whole line is styled with the level color.
+      if (!theme)
+      {
+         return { color: [`%c${plain}`, ColorLogger.#CSS(levelColor), ...objects], plain: [plain, ...objects] };
+      }
+
+      return { color: [format, ...styles, ...objects], plain: [plain, ...objects] };
+   }
+
+   /**
+    * Creates a structured log record for the `json` format. Object and Error arguments are stored as separate fields.
+    *
+    * @param {string}   level - log level.
+    *
+    * @param {Date}     date - Log entry date.
+    *
+    * @param {*[]}      msg - log message.
+    *
+    * @param {Record<string, *>}   context - Context fields.
+    *
+    * @param {(value: *) => *}   [redact] - Redaction function.
+    *
+    * @returns {import('./types').LogRecord} Structured log record.
+    */
+   #createRecord(level, date, msg, context, redact)
+   {
+      const traceResult = this.#getTraceInfo(void 0);
+
+      const text = [];
+      const data = [];
+      const errors = [];
+
+      const tagged = ColorLogger.#IS_TAGGED_TEMPLATE(msg);
+
+      // Tagged template values are interpolated in the message and kept separately.
+      for (const m of tagged ? [] : msg)
+      {
+         if (ColorLogger.#IS_ERROR(m))
+         {
+            errors.push(this.#createErrorRecord(m, redact));
+         }
+         else if (typeof m === 'object' && m !== null)
+         {
+            data.push(toJSONValue(m, this.#options.serializer));
+         }
+         else
+         {
+            text.push(String(m));
+         }
+      }
+
+      /** @type {import('./types').LogRecord} */
+      const record = {
+         level,
+         levelValue: this.#levels.get(level).value,
+         time: date.toISOString(),
+         info: traceResult.info,
+         msg: text.join(' ')
+      };
+
+      if (tagged)
+      {
+         const limits = { ...this.#options.serializer, colors: void 0 };
+         const values = msg.slice(1);
+
+         record.msg = ColorLogger.#INTERPOLATE(msg[0], values, (value) => typeof value === 'object' ?
+          serialize(value, { ...limits, compact: true }) : String(value));
+
+         record.template = ColorLogger.#INTERPOLATE(msg[0], values.map((value, index) => `{${index}}`), String);
+         record.values = values.map((value) => ColorLogger.#IS_ERROR(value) ? this.#createErrorRecord(value, redact) :
+          toJSONValue(value, limits));
+      }
+
+      const tag = this.#getTag();
+
+      if (tag !== void 0) { record.tag = tag; }
+      if (Object.keys(context).length) { record.context = toJSONValue(context, this.#options.serializer); }
+      if (data.length) { record.data = data; }
+      if (errors.length) { record.errors = errors; }
+      if (level === 'trace') { record.trace = traceResult.trace; }
+
+      return record;
+   }
+
+   /**
+    * Formats an error as `Name: message` followed by own properties such as `code` / `status` and the stack trace.
+    * The inner errors of an `AggregateError` and the `cause` chain follow as indented sections with stack frames in
+    * common with the enclosing error trimmed. Nesting is limited by the `serializer.causeDepth` option.
+    *
+    * @param {Error}    error - Error to format.
+    *
+    * @param {(value: *) => *}   [redact] - Redaction function for error properties, messages and stack traces.
+    *
+    * @returns {string} Formatted error.
+    */
+   #formatError(error, redact)
+   {
+      const limits = { ...this.#options.serializer, colors: void 0 };
+      const causeDepth = limits.causeDepth;
+
+      const lines = [];
+      const seen = new Set();
+
+      // Redaction patterns apply to messages and stack traces.
+      const redactText = (text) => redact ? redact(text) : text;
+
+      const countNested = (entry, visited = new Set()) =>
+      {
+         if (!(entry instanceof Error) || visited.has(entry)) { return 0; }
+
+         visited.add(entry);
+
+         return ColorLogger.#ERROR_NESTED(entry).reduce((total, nested) => total + 1 +
+          countNested(nested.error, visited), 0);
+      };
+
+      const render = (entry, depth, label, parentFrames) =>
+      {
+         const indent = '   '.repeat(depth);
+
+         if (!(entry instanceof Error))
+         {
+            lines.push(`${indent}${label}${serialize(redact ? redact(entry) : entry, { ...limits, compact: true })}`);
+            return;
+         }
+
+         if (seen.has(entry))
+         {
+            lines.push(`${indent}${label}[Circular]`);
+            return;
+         }
+
+         seen.add(entry);
+
+         const message = entry.message ? `: ${redactText(entry.message)}` : '';
+
+         lines.push(`${indent}${label}${entry.name ?? 'Error'}${message}`);
+
+         const props = ColorLogger.#ERROR_PROPS(entry);
+
+         if (props) { lines.push(`${indent}${serialize(redact ? redact(props) : props, { ...limits, compact: true })}`); }
+
+         const frames = redactText(this.#getTraceInfo(entry).trace).split('\n').filter((line) => line.trim() !== '');
+
+         let common = 0;
+
+         if (parentFrames)
+         {
+            while (common < frames.length && common < parentFrames.length &&
+             frames[frames.length - 1 - common] === parentFrames[parentFrames.length - 1 - common])
+            {
+               common++;
+            }
+         }
+
+         for (const frame of frames.slice(0, frames.length - common)) { lines.push(`${indent}${frame}`); }
+
+         if (common > 0) { lines.push(`${indent}    ... ${common} more`); }
+
+         const nested = ColorLogger.#ERROR_NESTED(entry);
+
+         if (nested.length === 0) { return; }
+
+         if (depth >= causeDepth)
+         {
+            lines.push(`${indent}   …${countNested(entry)} more`);
+            return;
+         }
+
+         for (const item of nested) { render(item.error, depth + 1, item.label, frames); }
+      };
+
+      render(error, 0, '', void 0);
+
+      return lines.join('\n');
+   }
+
+   /**
+    * Creates a structured error record for the `json` format including properties, `AggregateError` inner errors and
+    * the `cause` chain limited by the `serializer.causeDepth` option.
+    *
+    * @param {*}        error - Error to convert.
+    *
+    * @param {(value: *) => *}   [redact] - Redaction function for error properties, messages and stack traces.
+    *
+    * @param {number}   [depth=0] - Current nesting depth.
+    *
+    * @param {Set<Error>}  [seen] - Errors already converted.
+    *
+    * @returns {import('./types').LogRecordError | *} Error record or a JSON safe value for non-Error causes.
+    */
+   #createErrorRecord(error, redact, depth = 0, seen = new Set())
+   {
+      if (!(error instanceof Error)) { return toJSONValue(redact ? redact(error) : error, this.#options.serializer); }
+
+      if (seen.has(error)) { return '[Circular]'; }
+
+      seen.add(error);
+
+      /** @type {import('./types').LogRecordError} */
+      const record = { name: error.name, message: error.message, trace: this.#getTraceInfo(error).trace };
+
+      // Redaction patterns apply to messages and stack traces.
+      if (redact)
+      {
+         record.message = redact(record.message);
+         record.trace = redact(record.trace);
+      }
+
+      const props = ColorLogger.#ERROR_PROPS(error);
+
+      if (props) { record.props = toJSONValue(redact ? redact(props) : props, this.#options.serializer); }
+
+      if (depth < this.#options.serializer.causeDepth)
+      {
+         if (Array.isArray(error.errors))
+         {
+            record.errors = error.errors.map((inner) => this.#createErrorRecord(inner, redact, depth + 1, seen));
+         }
+
+         if (error.cause !== void 0) { record.cause = this.#createErrorRecord(error.cause, redact, depth + 1, seen); }
+      }
+
+      return record;
+   }
+
+   /**
+    * Generates log information from where the logger invocation originated.
+    *
+    * @param {Error}    error - An optional Error to trace instead of artificially generating one.
+    *
+    * @returns {{info: string, trace: string}} info: file name and line number; trace: remaining stack trace if enabled.
+    */
+   #getTraceInfo(error)
+   {
+      let processError = error ?? this.#deferred?.callSite;
+
+      if (!(processError instanceof Error))
+      {
+         try { throw new Error(); }
+         catch (err) { processError = err; }
+      }
+
+      // Make sure there is a entry in `processError`.
+      if (typeof processError.stack === 'string')
+      {
+         // Attempt to parse error with @typhonjs-utils/error-parser if there is an eventbus assigned.
+         if (this._eventbus !== void 0)
+         {
+            try
+            {
+               const parsed = this._eventbus.triggerSync('typhonjs:utils:error:parser:filter', { error: processError });
+
+               if (parsed !== void 0)
+               {
+                  return { info: parsed.firstFilenameLineCol, trace: parsed.toStringTrace() };
+               }
+            }
+            catch (err) { /* noop */ }
+         }
+
+         return ColorLogger.#PARSE_STACK_TRACE(this.#options.sourceMaps ?
+          ColorLogger.#SOURCE_MAPS.mapStack(processError.stack) : processError.stack, this.#options.ignoreFrames,
+           this.#options.pathDisplay);
+      }
+
+      return { info: 'no stack trace', trace: '' };
+   }
+
+   /**
+    * Returns whether the given log level is enabled.
+    *
+    * @param {LogLevel}   level - log level
+    *
+    * @returns {boolean} True if the log level is enabled.
+    */
+   isLevelEnabled(level)
+   {
+      const requestedLevel = this.#levels.get(level)?.value;
+
+      if (requestedLevel === void 0)
+      {
+         console.log(`isLevelEnabled - unknown log level: ${level}`);
+         return false;
+      }
+
+      return ColorLogger.#IS_LEVEL_ENABLED(this.#getEnabledLevelValue(), requestedLevel);
+   }
+
+   /**
+    * Returns true if the given level is a valid log level.
+    *
+    * @param {string}   level - The log level string to test.
+    *
+    * @returns {boolean} True if the given log level provided is valid.
+    */
+   isValidLevel(level)
+   {
+      return typeof level === 'string' && this.#levels.has(level);
+   }
+
+   /**
+    * Display log message.
+    *
+    * @param {string}   level - log level: `fatal`, `error`, `warn`, `info`, `debug`, `verbose`, `trace`.
+    *
+    * @param {boolean}  [compact=false] - If true then all JSON object conversion is compacted.
+    *
+    * @param {boolean}  [nocolor=false] - If true then no color is applied.
+    *
+    * @param {boolean}  [raw=false] - If true then just the raw message is logged at the given level.
+    *
+    * @param {boolean}  [time=false] - If true then message is logged at the given level with a timestamp.
+    *
+    * @param {...*}     msg - log message.
+    *
+    * @returns {string | undefined} formatted log message or undefined if log level is not enabled, the message is
+    *          only captured by the `buffer` option or suppressed by the `dedupe` / `rateLimit` options.
+    * @private
+    */
+   #output(level, compact = false, nocolor = false, raw = false, time = false,  ...msg)
+   {
+      const mode = this.#deferred?.mode ?? this.#getOutputMode(level);
+      const { buffer, display, capture } = mode;
+
+      if (!display && !capture) { return; }
+
+      // Entries wait for pending lazy entries to keep the call order.
+      if (this.#queue.size > 0 && !this.#queue.running)
+      {
+         this.#enqueue(msg, mode, (args) => this.#output(level, compact, nocolor, raw, time, ...args))
+          .catch(() => void 0);
+
+         return;
+      }
+
+      const redact = this.#getRedactor();
+
+      const tagged = ColorLogger.#IS_TAGGED_TEMPLATE(msg);
+
+      // Sensitive fields are replaced before formatting; tagged template strings are kept.
+      if (redact) { msg = msg.map((m, index) => tagged && index === 0 ? m : redact(m)); }
+
+      if (display && !this.#summarizing && this.#isSuppressed(level, msg)) { return; }
+
+      // The buffered history precedes the fatal entry.
+      if (display && level === 'fatal' && buffer?.dump) { this.dumpBuffer(); }
+
+      const date = this.#deferred?.date ?? new Date();
+      const stamp = {
+         date,
+         elapsed: date.getTime() - this.#timing.start,
+         delta: date.getTime() - (this.#timing.last ?? this.#timing.start)
+      };
+
+      if (display) { this.#timing.last = date.getTime(); }
+
+      const { colors, ...limits } = this.#options.serializer;
+
+      const contextFields = redact ? redact(this.#getContext()) : this.#getContext();
+
+      if (raw)
+      {
+         const toText = (m) => typeof m === 'object' ? serialize(m, { ...limits, compact: true }) : String(m);
+
+         const rawLog = tagged ? ColorLogger.#INTERPOLATE(msg[0], msg.slice(1), toText) : msg.map(toText).join(' ');
+
+         if (capture) { this.#capture(level, date, display, rawLog); }
+
+         return display ? this.#write(level, rawLog, rawLog, true, { args: msg, level, message: rawLog, raw }) : void 0;
+      }
+
+      if (this.#options.format === 'json')
+      {
+         const record = this.#createRecord(level, date, msg, contextFields, redact);
+         const json = JSON.stringify(record);
+
+         if (capture) { this.#capture(level, date, display, json, record); }
+
+         return display ? this.#write(level, json, json, true,
+          { args: msg, context: record.context, level, message: json, raw, record }) : void 0;
+      }
+
+      const text = msg.map((m) => ColorLogger.#IS_ERROR(m) ? this.#formatError(m, redact) : m);
+
+      /**
+       * Formats the message arguments serializing objects with optional ANSI colored keys and values. Tagged template
+       * values are serialized in place and highlighted.
+       *
+       * @param {Record<string, string>}   [serializeColors] - ANSI sequences by value type.
+       *
+       * @param {string}   [reset] - ANSI sequence ending a colored value.
+       *
+       * @returns {string} Formatted message.
+       */
+      const formatMessage = (serializeColors, reset) =>
+      {
+         if (!tagged)
+         {
+            return text.map((m) => typeof m === 'object' ?
+             serialize(m, { ...limits, colors: serializeColors, compact, reset }) : String(m)).join('\n');
+         }
+
+         const highlight = reset !== void 0 ? this.#getTheme()?.highlight ?? ColorLogger.#HIGHLIGHT : void 0;
+
+         return ColorLogger.#INTERPOLATE(msg[0], msg.slice(1), (value) =>
+         {
+            if (typeof value === 'object' && serializeColors)
+            {
+               return serialize(value, { ...limits, colors: serializeColors, compact: true, reset });
+            }
+
+            const valueText = typeof value === 'object' ? serialize(value, { ...limits, compact: true }) :
+             String(value);
+
+            return highlight ? `${highlight}${valueText}${reset}` : valueText;
+         });
+      };
+
+      const valueColors = colors ? this.#getSerializerColors() : void 0;
+
+      let traceResult = void 0;
+
+      const getTraceResult = () => traceResult ?? (traceResult = this.#getTraceInfo(void 0));
+      const formatTime = () => ColorLogger.#FORMAT_TIME(stamp, this.#options.timestamp);
+
+      const levelData = this.#levels.get(level);
+      const tagName = this.#getTag();
+      const hasContext = Object.keys(contextFields).length > 0;
+      const contextText = hasContext ? serialize(contextFields, { ...limits, compact: true }) : '';
+      const message = formatMessage();
+
+      /** @type {{ key?: string, value: string, args?: *[], suffix?: string, color?: (reset: string) => string }[]} */
+      const segments = [];
+
+      const template = this.#getTemplate();
+
+      if (template)
+      {
+         if (time && !template.hasTime) { segments.push({ key: 'time', value: `[${formatTime()}] ` }); }
+
+         for (const part of template.parts)
+         {
+            if (part.literal !== void 0)
+            {
+               segments.push({ value: part.literal });
+               continue;
+            }
+
+            let key = void 0;
+            let value;
+
+            switch (part.token)
+            {
+               case 'badge':
+                  key = 'badge';
+                  value = levelData.type;
+                  break;
+
+               case 'context':
+                  key = 'message';
+                  value = contextText;
+                  break;
+
+               case 'file':
+                  key = 'info';
+                  value = getTraceResult().info;
+                  break;
+
+               case 'level':
+                  key = 'badge';
+                  value = level;
+                  break;
+
+               case 'msg':
+                  key = 'message';
+                  value = message;
+                  break;
+
+               case 'tag':
+                  key = 'tag';
+                  value = tagName ?? '';
+                  break;
+
+               case 'time':
+                  key = 'time';
+                  value = formatTime();
+                  break;
+
+               default:
+               {
+                  const tokenValue = this.#options.tokens?.[part.token]?.({ args: msg, context: contextFields, date,
+                   level, tag: tagName });
+
+                  value = tokenValue === void 0 || tokenValue === null ? '' : String(tokenValue);
+                  break;
+               }
+            }
+
+            const segment = { key, value: ColorLogger.#APPLY_MODIFIERS(value, part.modifiers) };
+
+            // Unmodified message arguments are kept for the browser backend and colored values.
+            if (part.token === 'msg' && part.modifiers.length === 0)
+            {
+               if (!tagged) { segment.args = msg; }
+
+               if (valueColors || tagged) { segment.color = (reset) => formatMessage(valueColors, reset); }
+            }
+
+            segments.push(segment);
+         }
+      }
+      else
+      {
+         if (tagName !== void 0) { segments.push({ key: 'tag', value: `[${tagName}] ` }); }
+
+         if (this.#options.showLevel) { segments.push({ key: 'badge', value: `${levelData.type} ` }); }
+
+         if (time || this.#options.showDate)
+         {
+            segments.push({ key: 'time', value: `[${formatTime()}] ` });
+         }
+
+         if (this.#options.showInfo) { segments.push({ key: 'info', value: `[${getTraceResult().info}] ` }); }
+
+         const context = hasContext ? ` ${contextText}` : '';
+         const segment = { key: 'message', value: `${message}${context}`, args: tagged ? void 0 : msg,
+          suffix: context };
+
+         if (valueColors || tagged) { segment.color = (reset) => `${formatMessage(valueColors, reset)}${context}`; }
+
+         segments.push(segment);
+      }
+
+      if (level === 'trace') { segments.push({ key: 'message', value: `\n${getTraceResult().trace}\n` }); }
+
+      let plainLog = segments.map((segment) => segment.value).join('');
+      const theme = this.#getTheme();
+      const levelColor = theme?.levels[level] ?? levelData.color;
+
+      let colorLog;
+
+      if (theme)
+      {
+         colorLog = segments.map((segment) =>
+         {
+            const style = segment.key ? theme[segment.key] ?? levelColor : levelColor;
+
+            return ColorLogger.#STYLE(style, segment.color?.(`[0m${style}`) ?? segment.value);
+         }).join('');
+      }
+      else
+      {
+         colorLog = `${levelColor}${segments.map((segment) => segment.color?.(`[0m${levelColor}`) ??
+          segment.value).join('')}[0m`;
+      }
+
+      const consoleArgs = this.#isBrowser() ? this.#createConsoleArgs(level, segments) : void 0;
+
+      const groupDepth = this.#deferred?.groupDepth ?? this.#groupDepth;
+
+      // Indent every line of the entry inside groups.
+      if (groupDepth > 0)
+      {
+         const indent = (this.#options.groupGuides ? '│  ' : '   ').repeat(groupDepth);
+         const indentLines = (text) => `${indent}${text.replaceAll('\n', `\n${indent}`)}`;
+
+         plainLog = indentLines(plainLog);
+         colorLog = indentLines(colorLog);
+
+         if (consoleArgs)
+         {
+            consoleArgs.color[0] = indentLines(consoleArgs.color[0]);
+            consoleArgs.plain[0] = indentLines(consoleArgs.plain[0]);
+         }
+      }
+
+      if (capture) { this.#capture(level, date, display, plainLog); }
+
+      return display ? this.#write(level, colorLog, plainLog, nocolor,
+       { args: msg, context: hasContext ? contextFields : void 0, level, message: plainLog, raw }, consoleArgs) : void 0;
+   }
+
+   /**
+    * Outputs an entry of the `lazy` API invoking function arguments only when the level is enabled. A thunk that
+    * throws is replaced by the thrown error; rejected promises are replaced by the rejection reason.
+    *
+    * @param {string}   level - Log level.
+    *
+    * @param {*[]}      msg - Log message arguments and thunks.
+    *
+    * @returns {string | Promise<string | undefined> | undefined} Formatted log message, a promise of the formatted
+    *          log message when thunks return promises or undefined if the log level is not enabled.
+    */
+   #outputLazy(level, msg)
+   {
+      const mode = this.#getOutputMode(level);
+
+      if (!mode.display && !mode.capture) { return void 0; }
+
+      const args = msg.map((m) =>
+      {
+         if (typeof m !== 'function') { return m; }
+
+         try
+         {
+            return m();
+         }
+         catch (err)
+         {
+            return err;
+         }
+      });
+
+      if (!args.some((arg) => typeof arg?.then === 'function'))
+      {
+         return this.#output(level, false, false, false, false, ...args);
+      }
+
+      const settled = Promise.all(args.map((arg) => Promise.resolve(arg).catch((err) => err)));
+
+      return this.#enqueue(settled, mode, (resolved) => this.#output(level, false, false, false, false, ...resolved));
+   }
+
+   /**
+    * Defers an entry until all previously deferred entries are written. The logger state at call time; output mode,
+    * options, tag, group depth, date and call-site, is used when the entry is written.
+    *
+    * @param {*[] | Promise<*[]>}  args - Log message arguments or a promise of them.
+    *
+    * @param {{ buffer?: object, display: boolean, capture: boolean }}  mode - Output mode at call time.
+    *
+    * @param {(args: *[]) => string | undefined}   write - Outputs the entry.
+    *
+    * @returns {Promise<string | undefined>} The formatted log message.
+    */
+   #enqueue(args, mode, write)
+   {
+      const queue = this.#queue;
+
+      let callSite;
+
+      try { throw new Error(); }
+      catch (err) { callSite = err; }
+
+      // Inherited child logger options are flattened into the snapshot.
+      const options = {};
+
+      for (const key in this.#options) { options[key] = this.#options[key]; }
+
+      const state = { callSite, date: new Date(), groupDepth: this.#groupDepth, mode, options, tag: this.#getTag() };
+
+      queue.size++;
+
+      const result = (queue.tail ?? Promise.resolve()).then(() => args).then((resolved) =>
+      {
+         const current = this.#options;
+
+         queue.running = true;
+         this.#deferred = state;
+         this.#options = state.options;
+
+         try
+         {
+            return write(resolved);
+         }
+         finally
+         {
+            queue.running = false;
+            this.#deferred = void 0;
+            this.#options = current;
+
+            // Following entries are output directly once the queue is empty.
+            if (--queue.size === 0) { queue.tail = void 0; }
+         }
+      });
+
+      queue.tail = result.catch(() => void 0);
+
+      return result;
+   }
+
+   /**
+    * @param {string}   level - Log level.
+    *
+    * @returns {{ buffer?: object, display: boolean, capture: boolean }} The `buffer` option ring buffer and whether
+    *          an entry of the level is displayed and / or captured by the ring buffer.
+    */
+   #getOutputMode(level)
+   {
+      const levelValue = this.#levels.get(level).value;
+      const buffer = this.#getBuffer();
+
+      return {
+         buffer,
+         display: ColorLogger.#IS_LEVEL_ENABLED(this.#getEnabledLevelValue(), levelValue),
+         capture: buffer !== void 0 && ColorLogger.#IS_LEVEL_ENABLED(this.#levels.get(buffer.level).value, levelValue)
+      };
+   }
+
+   /**
+    * Adds an entry to the ring buffer of the `buffer` option replacing the oldest entry when full.
+    *
+    * @param {string}   level - Log level.
+    *
+    * @param {Date}     date - Entry date.
+    *
+    * @param {boolean}  displayed - Whether the entry is displayed.
+    *
+    * @param {string}   message - Formatted log message without ANSI color codes.
+    *
+    * @param {import('./types').LogRecord}   [record] - Structured record of the `json` format.
+    */
+   #capture(level, date, displayed, message, record)
+   {
+      const buffer = this.#getBuffer();
+
+      // The buffer may be removed before a deferred entry is written.
+      if (buffer === void 0) { return; }
+
+      const entry = { displayed, level, message, tag: this.#getTag(), time: date.getTime() };
+
+      if (record) { entry.record = record; }
+
+      Object.freeze(entry);
+
+      if (buffer.entries.length < buffer.size)
+      {
+         buffer.entries.push(entry);
+      }
+      else
+      {
+         buffer.entries[buffer.index] = entry;
+         buffer.index = (buffer.index + 1) % buffer.size;
+      }
+   }
+
+   /**
+    * Writes a formatted log message to the console and all transports.
+    *
+    * @param {string}   level - log level.
+    *
+    * @param {string}   colorLog - Log message with ANSI color codes.
+    *
+    * @param {string}   plainLog - Log message without ANSI color codes.
+    *
+    * @param {boolean}  nocolor - If true then no color is applied for all transports.
+    *
+    * @param {import('./types').TransportEntry}   entry - Log entry data.
+    *
+    * @param {{ color: *[], plain: *[] }}   [consoleArgs] - Styled and plain `console` arguments for the browser
+    *        backend.
+    *
+    * @returns {string} The log message output to the console.
+    */
+   #write(level, colorLog, plainLog, nocolor, entry, consoleArgs)
+   {
+      const browser = consoleArgs !== void 0;
+
+      // The browser backend styles output with CSS, so messages never contain ANSI color codes.
+      const getEntry = (color) => browser ? { ...entry, consoleArgs: color ? consoleArgs.color : consoleArgs.plain } :
+       entry;
+
+      // Levels routed to `console.error` / `console.warn` use the detected color level of `process.stderr` in Node.
+      const stderr = !browser && ['error', 'warn'].includes(this.#getConsoleTransport().methods[level]);
+
+      const consoleColor = !(this.#options.noColor || nocolor) &&
+       (browser || (stderr ? this.#getStderrColorLevel() : this.#options.colorLevel) > 0);
+
+      const log = consoleColor && !browser ? colorLog : plainLog;
+
+      /** @type {[import('./types').ColorLoggerTransport, string, import('./types').TransportEntry][]} */
+      const writes = [];
+
+      if (this.#options.consoleEnabled) { writes.push([this.#getConsoleTransport(), log, getEntry(consoleColor)]); }
+
+      for (const transport of this.#getTransports())
+      {
+         if (!ColorLogger.#IS_LEVEL_ENABLED(this.#levels.get(transport.level ?? 'all')?.value,
+          this.#levels.get(level).value)) { continue; }
+
+         const color = !(transport.noColor || nocolor);
+
+         writes.push([transport, color && !browser ? colorLog : plainLog, getEntry(color)]);
+      }
+
+      const batched = [];
+
+      for (const write of writes)
+      {
+         const [transport, message, transportEntry] = write;
+
+         // Capture transports collect entries synchronously for test assertions.
+         if (this.#options.batch && !(transport instanceof CaptureTransport))
+         {
+            batched.push(write);
+            continue;
+         }
+
+         const result = ColorLogger.#TRY_WRITE(() => transport.write(message, transportEntry));
+
+         // Async transports report rejections as the log call has already returned.
+         if (typeof result?.then === 'function') { result.then(void 0, ColorLogger.#REPORT_WRITE_ERROR); }
+      }
+
+      if (batched.length) { this.#enqueueBatch(batched, this.#options.batch); }
+
+      return log;
+   }
+
+   /**
+    * Adds the transport writes of an entry to the pending output of the `batch` option and schedules writing. Pending
+    * entries are written immediately at the `size` or `limit` count. While a destination is blocked at the `limit`
+    * count the `drop` policy discards the entry and the `backpressure` policy keeps it.
+    *
+    * @param {[import('./types').ColorLoggerTransport, string, import('./types').TransportEntry][]}   writes -
+    *        Transport writes of the entry.
+    *
+    * @param {Required<import('./types').BatchOptions>}   batch - Batch options.
+    */
+   #enqueueBatch(writes, batch)
+   {
+      const state = this.#batchState;
+
+      if (state.flushing && state.pending.length >= batch.limit && batch.overflow === 'drop')
+      {
+         state.dropped++;
+         return;
+      }
+
+      state.pending.push(writes);
+
+      ColorLogger.#REGISTER_BATCH_EXIT(state);
+
+      if (state.pending.length >= Math.min(batch.size, batch.limit))
+      {
+         if (!state.flushing) { ColorLogger.#FLUSH_BATCH(state).catch(ColorLogger.#REPORT_WRITE_ERROR); }
+      }
+      else if (!state.scheduled && !state.flushing)
+      {
+         state.scheduled = true;
+
+         const flush = () =>
+         {
+            if (!state.flushing) { ColorLogger.#FLUSH_BATCH(state).catch(ColorLogger.#REPORT_WRITE_ERROR); }
+         };
+
+         if (batch.interval > 0)
+         {
+            state.timer = ColorLogger.#SET_TIMEOUT(flush, batch.interval);
+         }
+         else
+         {
+            queueMicrotask(flush);
+         }
+      }
+   }
+
+   /**
+    * Returns true if an entry is suppressed by the `dedupe` option as a repeat of the previous entry or by the
+    * `rateLimit` option. `fatal` entries are never suppressed and output any pending repeat summary first.
+    *
+    * @param {string}   level - Log level.
+    *
+    * @param {*[]}      msg - Log message arguments.
+    *
+    * @returns {boolean} Whether the entry is suppressed.
+    */
+   #isSuppressed(level, msg)
+   {
+      const { dedupe, rateLimit } = this.#options;
+
+      if (level === 'fatal')
+      {
+         this.#flushRepeat();
+         this.#repeat = void 0;
+
+         return false;
+      }
+
+      if (dedupe === void 0 && rateLimit === void 0) { return false; }
+
+      const toText = (m) => typeof m === 'object' ? serialize(m, { compact: true }) : String(m);
+
+      const message = ColorLogger.#IS_TAGGED_TEMPLATE(msg) ? ColorLogger.#INTERPOLATE(msg[0], msg.slice(1), toText) :
+       msg.map(toText).join(' ');
+      const messageKey = `${level}:${message}`;
+
+      if (dedupe !== void 0)
+      {
+         if (this.#repeat?.key === messageKey)
+         {
+            this.#repeat.count++;
+
+            // The summary is output after the timeout from the first repeat unless a different entry arrives.
+            this.#repeat.timer ??= ColorLogger.#SET_TIMEOUT(() => this.#flushRepeat(), dedupe.timeout);
+
+            return true;
+         }
+
+         this.#flushRepeat();
+         this.#repeat = { key: messageKey, level, message, count: 0 };
+      }
+
+      if (rateLimit !== void 0)
+      {
+         const key = rateLimit.key ? String(rateLimit.key(level, message)) : messageKey;
+         const now = Date.now();
+
+         let window = this.#rateWindows.get(key);
+
+         if (window === void 0 || now - window.start >= rateLimit.interval)
+         {
+            if (window !== void 0) { this.#flushRateWindow(key); }
+
+            // Expired intervals without suppressed entries are pruned when many keys are tracked.
+            if (this.#rateWindows.size >= 1000)
+            {
+               for (const [entryKey, entry] of this.#rateWindows)
+               {
+                  if (entry.timer === void 0 && now - entry.start >= rateLimit.interval)
+                  {
+                     this.#rateWindows.delete(entryKey);
+                  }
+               }
+            }
+
+            window = { start: now, count: 0, suppressed: 0, level, message };
+            this.#rateWindows.set(key, window);
+         }
+
+         if (window.count >= rateLimit.limit)
+         {
+            window.suppressed++;
+            window.timer ??= ColorLogger.#SET_TIMEOUT(() => this.#flushRateWindow(key),
+             window.start + rateLimit.interval - now);
+
+            return true;
+         }
+
+         window.count++;
+      }
+
+      return false;
+   }
+
+   /**
+    * Outputs the `(repeated N times)` summary of the `dedupe` option when repeats are pending.
+    */
+   #flushRepeat()
+   {
+      const repeat = this.#repeat;
+
+      if (repeat === void 0) { return; }
+
+      clearTimeout(repeat.timer);
+      repeat.timer = void 0;
+
+      if (repeat.count === 0) { return; }
+
+      const count = repeat.count;
+
+      // Further identical entries are folded into the next summary.
+      repeat.count = 0;
+
+      this.#outputSummary(repeat.level, `${repeat.message} (repeated ${count} time${count === 1 ? '' : 's'})`);
+   }
+
+   /**
+    * Ends a `rateLimit` interval outputting the count of suppressed entries.
+    *
+    * @param {string}   key - Rate limit key.
+    */
+   #flushRateWindow(key)
+   {
+      const window = this.#rateWindows.get(key);
+
+      if (window === void 0) { return; }
+
+      clearTimeout(window.timer);
+      this.#rateWindows.delete(key);
+
+      if (window.suppressed > 0)
+      {
+         this.#outputSummary(window.level, `${window.message} (rate limited: ${window.suppressed} suppressed)`);
+      }
+   }
+
+   /**
+    * Outputs a suppression summary bypassing the `dedupe` / `rateLimit` options.
+    *
+    * @param {string}   level - Log level.
+    *
+    * @param {string}   message - Summary message.
+    */
+   #outputSummary(level, message)
+   {
+      this.#summarizing = true;
+
+      try
+      {
+         this.#output(level, false, false, false, false, message);
+      }
+      finally
+      {
+         this.#summarizing = false;
+      }
+   }
+
+   /**
+    * Sets the ring buffer of the `buffer` option registering this logger to dump the history on uncaught exceptions in
+    * Node when `dump` is set.
+    *
+    * @param {{ size: number, level: string, dump: boolean, entries: import('./types').BufferEntry[],
+    *  index: number }}   [buffer] - Ring buffer or undefined to remove the buffer.
+    */
+   #setBuffer(buffer)
+   {
+      const crashDump = ColorLogger.#CRASH_DUMP;
+      const process = globalThis.process;
+
+      this.#buffer = buffer;
+      this.#options.buffer = buffer ? { size: buffer.size, level: buffer.level, dump: buffer.dump } : void 0;
+
+      if (this.#crashDumpRef)
+      {
+         crashDump.loggers.delete(this.#crashDumpRef);
+         this.#crashDumpRef = void 0;
+      }
+
+      if (!buffer?.dump || typeof process?.on !== 'function') { return; }
+
+      // Remove references of collected loggers.
+      for (const ref of crashDump.loggers)
+      {
+         if (ref.deref() === void 0) { crashDump.loggers.delete(ref); }
+      }
+
+      this.#crashDumpRef = new WeakRef(this);
+      crashDump.loggers.add(this.#crashDumpRef);
+
+      if (crashDump.monitor === void 0)
+      {
+         crashDump.monitor = () =>
+         {
+            for (const ref of crashDump.loggers) { ref.deref()?.dumpBuffer(); }
+         };
+
+         process.on('uncaughtExceptionMonitor', crashDump.monitor);
+      }
+   }
+
+   /**
+    * Removes a previously added output transport.
+    *
+    * @param {import('./types').ColorLoggerTransport}   transport - Transport to remove.
+    *
+    * @returns {boolean} True if the transport was removed.
+    */
+   removeTransport(transport)
+   {
+      return this.#transports.delete(transport);
+   }
+
+   /**
+    * Sets the current log level.
+    *
+    * @param {string}   level - log level
+    *
+    * @returns {boolean} Whether the log level has been set.
+    */
+   setLogLevel(level)
+   {
+      const requestedLevel = this.#levels.get(level)?.value;
+
+      if (requestedLevel === void 0 || requestedLevel === null)
+      {
+         console.log(`@typhonjs-utils/logger-color - setLogLevel - unknown log level: ${level}`);
+         return false;
+      }
+
+      this.#logLevel = requestedLevel;
+      return true;
+   }
+
+   /**
+    * Set optional parameters.
+    *
+    * @param {Partial<ColorLoggerOptions>} options - Defines optional parameters to set.
+    */
+   setOptions(options = {})
+   {
+      if (typeof options !== 'object') { throw new TypeError(`'options' is not an 'object'.`); }
+
+      if (['auto', 'ansi', 'browser'].includes(options.backend)) { this.#options.backend = options.backend; }
+      if ([0, 1, 2, 3].includes(options.colorLevel))
+      {
+         this.#options.colorLevel = options.colorLevel;
+         this.#stderrColorLevel = null;
+      }
+      if (options.batch === null || options.batch === false)
+      {
+         // Pending entries are written before output is unbuffered.
+         ColorLogger.#FLUSH_BATCH_SYNC(this.#batchState);
+
+         this.#options.batch = void 0;
+      }
+      else if (options.batch !== void 0)
+      {
+         const batch = options.batch === true ? {} : options.batch;
+
+         if (typeof batch !== 'object') { throw new TypeError(`'batch' is not a boolean or an object.`); }
+
+         const { interval = 0, size = 100, limit = 10000, overflow = 'drop' } = batch;
+
+         if (!(Number.isFinite(interval) && interval >= 0))
+         {
+            throw new TypeError(`'batch.interval' is not a positive number.`);
+         }
+
+         if (!(Number.isInteger(size) && size > 0)) { throw new TypeError(`'batch.size' is not a positive integer.`); }
+
+         if (!(Number.isInteger(limit) && limit > 0)) { throw new TypeError(`'batch.limit' is not a positive integer.`); }
+
+         if (overflow !== 'drop' && overflow !== 'backpressure')
+         {
+            throw new TypeError(`'batch.overflow' is not 'drop' or 'backpressure'.`);
+         }
+
+         this.#options.batch = { interval, size, limit, overflow };
+      }
+
+      if (options.buffer === null)
+      {
+         this.#setBuffer(void 0);
+      }
+      else if (options.buffer !== void 0)
+      {
+         if (typeof options.buffer !== 'object') { throw new TypeError(`'buffer' is not an object.`); }
+
+         const { size, level = 'trace', dump = false } = options.buffer;
+
+         if (!(Number.isInteger(size) && size > 0)) { throw new TypeError(`'buffer.size' is not a positive integer.`); }
+
+         if (!this.isValidLevel(level)) { throw new TypeError(`'buffer.level' is not a valid log level: ${level}`); }
+
+         if (typeof dump !== 'boolean') { throw new TypeError(`'buffer.dump' is not a boolean.`); }
+
+         // Buffered entries are kept up to the new size.
+         const entries = this.#buffer ? ColorLogger.#BUFFER_ENTRIES(this.#buffer).slice(-size) : [];
+
+         this.#setBuffer({ size, level, dump, entries, index: 0 });
+      }
+
+      if (typeof options.consoleEnabled === 'boolean') { this.#options.consoleEnabled = options.consoleEnabled; }
+
+      if (options.consoleMethods !== void 0)
+      {
+         // Validates console method names.
+         new ConsoleTransport({ methods: options.consoleMethods });
+
+         this.#options.consoleMethods = { ...options.consoleMethods };
+      }
+
+      if (options.dedupe === null || options.dedupe === false)
+      {
+         this.#flushRepeat();
+         this.#repeat = void 0;
+         this.#options.dedupe = void 0;
+      }
+      else if (options.dedupe !== void 0)
+      {
+         const dedupe = options.dedupe === true ? {} : options.dedupe;
+
+         if (typeof dedupe !== 'object') { throw new TypeError(`'dedupe' is not a boolean or an object.`); }
+
+         const timeout = dedupe.timeout ?? 1000;
+
+         if (!(Number.isFinite(timeout) && timeout >= 0))
+         {
+            throw new TypeError(`'dedupe.timeout' is not a positive number.`);
+         }
+
+         this.#options.dedupe = { timeout };
+      }
+
+      if (options.format === 'text' || options.format === 'json') { this.#options.format = options.format; }
+      if (typeof options.groupGuides === 'boolean') { this.#options.groupGuides = options.groupGuides; }
+
+      if (options.ignoreFrames !== void 0)
+      {
+         if (!Array.isArray(options.ignoreFrames) || !options.ignoreFrames.every((pattern) =>
+          typeof pattern === 'string' || pattern instanceof RegExp))
+         {
+            throw new TypeError(`'ignoreFrames' is not an array of strings / RegExp.`);
+         }
+
+         this.#options.ignoreFrames = [...options.ignoreFrames];
+      }
+      if (options.namespaces === null)
+      {
+         this.#options.namespaces = void 0;
+      }
+      else if (options.namespaces !== void 0)
+      {
+         if (typeof options.namespaces !== 'string') { throw new TypeError(`'namespaces' is not a string.`); }
+
+         // Compile to validate the rules.
+         this.#compiledNamespaces = ColorLogger.#COMPILE_NAMESPACES(options.namespaces, this.#levels);
+         this.#options.namespaces = options.namespaces;
+      }
+
+      if (typeof options.noColor === 'boolean') { this.#options.noColor = options.noColor; }
+      if (options.pathDisplay !== void 0)
+      {
+         if (!['basename', 'relative', 'full'].includes(options.pathDisplay))
+         {
+            throw new TypeError(`'pathDisplay' is not 'basename', 'relative' or 'full'.`);
+         }
+
+         this.#options.pathDisplay = options.pathDisplay;
+      }
+
+      if (options.rateLimit === null)
+      {
+         for (const key of [...this.#rateWindows.keys()]) { this.#flushRateWindow(key); }
+
+         this.#options.rateLimit = void 0;
+      }
+      else if (options.rateLimit !== void 0)
+      {
+         if (typeof options.rateLimit !== 'object') { throw new TypeError(`'rateLimit' is not an object.`); }
+
+         const { limit, interval = 1000, key } = options.rateLimit;
+
+         if (!(Number.isInteger(limit) && limit > 0))
+         {
+            throw new TypeError(`'rateLimit.limit' is not a positive integer.`);
+         }
+
+         if (!(Number.isFinite(interval) && interval > 0))
+         {
+            throw new TypeError(`'rateLimit.interval' is not a positive number.`);
+         }
+
+         if (key !== void 0 && typeof key !== 'function') { throw new TypeError(`'rateLimit.key' is not a function.`); }
+
+         // Intervals restart with the new limits.
+         for (const windowKey of [...this.#rateWindows.keys()]) { this.#flushRateWindow(windowKey); }
+
+         this.#options.rateLimit = { interval, key, limit };
+      }
+
+      if (options.redact === null)
+      {
+         this.#options.redact = void 0;
+      }
+      else if (options.redact !== void 0)
+      {
+         if (typeof options.redact !== 'object') { throw new TypeError(`'redact' is not an object.`); }
+
+         // Compile to validate the redaction options.
+         const compiled = createRedactor(options.redact);
+
+         const redact = { ...options.redact };
+
+         for (const key of ['keys', 'paths', 'patterns'])
+         {
+            if (redact[key] !== void 0) { redact[key] = [...redact[key]]; }
+         }
+
+         this.#compiledRedact = { source: redact, redact: compiled };
+         this.#options.redact = redact;
+      }
+
+      if (options.serializer !== void 0)
+      {
+         const serializer = options.serializer;
+
+         if (typeof serializer !== 'object' || serializer === null) { throw new TypeError(`'serializer' is not an object.`); }
+
+         for (const key of ['causeDepth', 'depth', 'maxArrayLength', 'maxStringLength'])
+         {
+            if (serializer[key] !== void 0 && !(serializer[key] >= 0 && (Number.isInteger(serializer[key]) ||
+             serializer[key] === Number.POSITIVE_INFINITY)))
+            {
+               throw new TypeError(`'serializer.${key}' is not a positive integer or Infinity.`);
+            }
+         }
+
+         const colors = serializer.colors;
+
+         if (colors !== void 0 && typeof colors !== 'boolean')
+         {
+            if (typeof colors !== 'object' || colors === null)
+            {
+               throw new TypeError(`'serializer.colors' is not a boolean or an object of styles.`);
+            }
+
+            // Validate styles.
+            for (const spec of Object.values(colors)) { parseStyle(spec); }
+         }
+
+         this.#options.serializer = {
+            ...this.#options.serializer,
+            ...Object.fromEntries(Object.entries(serializer).filter(([, value]) => value !== void 0)),
+            ...(typeof colors === 'object' ? { colors: { ...colors } } : {})
+         };
+      }
+
+      if (typeof options.showDate === 'boolean') { this.#options.showDate = options.showDate; }
+      if (typeof options.showInfo === 'boolean') { this.#options.showInfo = options.showInfo; }
+      if (typeof options.showLevel === 'boolean') { this.#options.showLevel = options.showLevel; }
+      if (typeof options.sourceMaps === 'boolean')
+      {
+         this.#options.sourceMaps = options.sourceMaps;
+
+         // Node versions before 20.16 import the modules resolving source maps asynchronously.
+         if (options.sourceMaps) { ColorLogger.#SOURCE_MAPS.load(); }
+      }
+      if (typeof options.stderr === 'boolean') { this.#options.stderr = options.stderr; }
+      if (typeof options.tag === 'string') { this.#options.tag = options.tag; }
+
+      if (options.timestamp !== void 0)
+      {
+         if (typeof options.timestamp !== 'function' &&
+          !['delta', 'elapsed', 'iso', 'local', 'time'].includes(options.timestamp))
+         {
+            throw new TypeError(
+             `'timestamp' is not 'iso', 'local', 'time', 'elapsed', 'delta' or a formatter function.`);
+         }
+
+         this.#options.timestamp = options.timestamp;
+      }
+
+      if (options.tokens !== void 0)
+      {
+         if (typeof options.tokens !== 'object' || options.tokens === null ||
+          !Object.values(options.tokens).every((token) => typeof token === 'function'))
+         {
+            throw new TypeError(`'tokens' is not an object of functions.`);
+         }
+
+         this.#options.tokens = { ...options.tokens };
+      }
+
+      if (options.template === null)
+      {
+         this.#options.template = void 0;
+      }
+      else if (options.template !== void 0)
+      {
+         if (typeof options.template !== 'string') { throw new TypeError(`'template' is not a string.`); }
+
+         // Compile to validate the template.
+         this.#compiledTemplate = ColorLogger.#COMPILE_TEMPLATE(options.template, this.#options.tokens);
+         this.#options.template = options.template;
+      }
+
+      if (options.theme === null)
+      {
+         this.#options.theme = void 0;
+      }
+      else if (options.theme !== void 0)
+      {
+         // Compile to validate the theme.
+         this.#compiledTheme = ColorLogger.#COMPILE_THEME(options.theme, Math.max(this.#options.colorLevel, 1));
+         this.#options.theme = options.theme;
+      }
+   }
+
+   // Logging methods -----------------------------------------------------------------------------------------------
+
+   /**
+    * Display fatal (light red) log.
+    *
+    * @param {...*} msg - log message.
+    *
+    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    */
+   fatal(...msg) { return this.#output('fatal', false, false, false, false, ...msg); }
+
+   /**
+    * Display error(red) log.
+    *
+    * @param {...*} msg - log message.
+    *
+    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    */
+   error(...msg) { return this.#output('error', false, false, false, false, ...msg); }
+
+   /**
+    * Display warning (yellow) log.
     *
-    * @param {string}   level - The log level string to test.
+    * @param {...*} msg - log message.
     *
-    * @returns {boolean} True if the given log level provided is valid.
+    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
     */
-   isValidLevel(level)
-   {
-      return typeof level === 'string' && typeof ColorLogger.#LOG_LEVELS[level] === 'number';
-   }
+   warn(...msg) { return this.#output('warn', false, false, false, false, ...msg); }
 
    /**
-    * Display log message.
+    * Display info (green) log.
     *
-    * @param {string}   level - log level: `fatal`, `error`, `warn`, `info`, `debug`, `verbose`, `trace`.
+    * @param {...*} msg - log message.
     *
-    * @param {boolean}  [compact=false] - If true then all JSON object conversion is compacted.
+    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    */
+   info(...msg) { return this.#output('info', false, false, false, false, ...msg); }
+
+   /**
+    * Display debug (blue) log.
     *
-    * @param {boolean}  [nocolor=false] - If true then no color is applied.
+    * @param {...*} msg - log message.
     *
-    * @param {boolean}  [raw=false] - If true then just the raw message is logged at the given level.
+    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    */
+   debug(...msg) { return this.#output('debug', false, false, false, false, ...msg); }
+
+   /**
+    * Display verbose (purple) log.
     *
-    * @param {boolean}  [time=false] - If true then message is logged at the given level with a timestamp.
+    * @param {...*} msg - log message.
     *
-    * @param {...*}     msg - log message.
+    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    */
+   verbose(...msg) { return this.#output('verbose', false, false, false, false, ...msg); }
+
+   /**
+    * Display trace (purple) log.
     *
-    * @returns {string | undefined} formatted log message or undefined if log level is not enabled.
-    * @private
+    * @param {...*} msg - log message.
+    *
+    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
     */
-   #output(level, compact = false, nocolor = false, raw = false, time = false,  ...msg)
-   {
-      if (!ColorLogger.#IS_LEVEL_ENABLED(this.#logLevel, ColorLogger.#LOG_LEVELS[level])) { return; }
+   trace(...msg) { return this.#output('trace', false, false, false, false, ...msg); }
 
-      const text = [];
+   // Batch ---------------------------------------------------------------------------------------------------------
 
-      const isTrace = level === 'trace';
+   /**
+    * Writes all pending output; entries of the `batch` option and `lazy` entries awaiting promises.
+    *
+    * @returns {Promise<void>} Resolves when all pending entries are written.
+    *
+    * @example
+    * logger.info('shutting down');
+    *
+    * await logger.flush();
+    */
+   async flush()
+   {
+      await this.#queue.tail;
+      await ColorLogger.#FLUSH_BATCH(this.#batchState);
+   }
 
-      if (!raw)
-      {
-         for (const m of msg)
-         {
-            if (typeof m === 'object' && !(m instanceof Error))
-            {
-               text.push(compact ? JSON.stringify(m) : JSON.stringify(m, null, 3));
-            }
-            else if (m instanceof Error)
-            {
-               const result = this.#getTraceInfo(m);
+   /**
+    * @returns {import('./types').BatchStats} Pending and dropped entry counts of the `batch` option.
+    */
+   getBatchStats()
+   {
+      const state = this.#batchState;
+      const limit = this.#options.batch?.limit ?? Number.POSITIVE_INFINITY;
 
-               text.push(`${m.message}\n${result.trace}`);
-            }
-            else
-            {
-               text.push(m);
-            }
-         }
-      }
+      return { dropped: state.dropped, pending: state.pending.length, writable: state.pending.length < limit };
+   }
 
-      const color = this.#options.noColor || nocolor ? '' : ColorLogger.#LEVEL_TO_COLOR[level];
+   // Buffer --------------------------------------------------------------------------------------------------------
 
-      let info = '';
-      let trace = '';
+   /**
+    * Clears the buffered history of the `buffer` option.
+    */
+   clearBuffer()
+   {
+      const buffer = this.#getBuffer();
 
-      let traceResult = void 0;
+      if (buffer === void 0) { return; }
 
-      if (this.#options.showInfo && !raw)
-      {
-         traceResult = this.#getTraceInfo(void 0);
+      buffer.entries = [];
+      buffer.index = 0;
+   }
 
-         info = `[${traceResult.info}] `;
-      }
+   /**
+    * Writes the buffered history of the `buffer` option to the console and all transports regardless of the log
+    * level and clears the buffer. Entries already displayed are skipped.
+    *
+    * @returns {number} Count of written entries.
+    */
+   dumpBuffer()
+   {
+      const buffer = this.#getBuffer();
 
-      if (isTrace)
-      {
-         if (traceResult === void 0) { traceResult = this.#getTraceInfo(void 0); }
+      if (buffer === void 0) { return 0; }
 
-         trace = `\n${traceResult.trace}\n`;
-      }
+      const entries = ColorLogger.#BUFFER_ENTRIES(buffer).filter((entry) => !entry.displayed);
 
-      let now = '';
+      this.clearBuffer();
 
-      if (time || (this.#options.showDate && !raw))
+      for (const { level, message, record } of entries)
       {
-         const d = new Date();
-
-         let month = d.getMonth() + 1;
-         if (month < 10) { month = `0${month}`; }
-
-         let date = d.getDate();
-         if (date < 10) { date = `0${date}`; }
-
-         let hour = d.getHours();
-         if (hour < 10) { hour = `0${hour}`; }
-
-         let minutes = d.getMinutes();
-         if (minutes < 10) { minutes = `0${minutes}`; }
+         this.#write(level, message, message, true,
+          { args: [], context: record?.context, level, message, raw: false, record });
+      }
 
-         let sec = d.getSeconds();
-         if (sec < 10) { sec = `0${sec}`; }
+      return entries.length;
+   }
 
-         now = `[${d.getFullYear()}-${month}-${date}T${hour}:${minutes}:${sec}.${d.getMilliseconds()}Z] `;
+   /**
+    * Returns the buffered history of the `buffer` option from oldest to newest.
+    *
+    * @param {import('./types').BufferQuery}   [query] - Optional filters; all given filters must match.
+    *
+    * @returns {import('./types').BufferEntry[]} Matching entries.
+    *
+    * @example
+    * logger.queryBuffer({ level: 'warn', tag: 'app:db', text: /timeout/i });
+    */
+   queryBuffer({ level, tag, text } = {})
+   {
+      if (level !== void 0 && !this.isValidLevel(level))
+      {
+         throw new TypeError(`'level' is not a valid log level: ${level}`);
       }
 
-      let levelTag = '';
-      let tag = '';
-
-      if (!raw)
+      if (tag !== void 0 && typeof tag !== 'string' && !(tag instanceof RegExp))
       {
-         if (typeof this.#options.tag === 'string' && this.#options.tag !== '') { tag = `[${this.#options.tag}] `; }
+         throw new TypeError(`'tag' is not a string or RegExp.`);
+      }
 
-         if (this.#options.showLevel) { levelTag = `${ColorLogger.#LEVEL_TO_TYPE[level]} `; }
+      if (text !== void 0 && typeof text !== 'string' && !(text instanceof RegExp))
+      {
+         throw new TypeError(`'text' is not a string or RegExp.`);
       }
 
-      const log = `${color}${tag}${levelTag}${now}${info}${text.join('\n')}${trace}[0m`;
+      const buffer = this.#getBuffer();
 
-      if (this.#options.consoleEnabled)
+      if (buffer === void 0) { return []; }
+
+      const levelValue = level !== void 0 ? this.#levels.get(level).value : void 0;
+
+      return ColorLogger.#BUFFER_ENTRIES(buffer).filter((entry) =>
       {
-         if (raw)
+         if (levelValue !== void 0 && !ColorLogger.#IS_LEVEL_ENABLED(levelValue, this.#levels.get(entry.level).value))
          {
-            console.log(...msg);
+            return false;
          }
-         else
+
+         // Tag strings also match nested child tags; IE `app` matches `app:db`.
+         if (tag !== void 0 && (typeof tag === 'string' ? entry.tag !== tag && !entry.tag?.startsWith(`${tag}:`) :
+          (entry.tag ?? '').search(tag) === -1))
          {
-            console.log(log);
+            return false;
          }
-      }
 
-      return log;
+         return text === void 0 || (typeof text === 'string' ? entry.message.includes(text) :
+          entry.message.search(text) !== -1);
+      });
    }
 
+   // Capture -------------------------------------------------------------------------------------------------------
+
    /**
-    * Sets the current log level.
+    * Starts collecting log entries of this logger and child loggers for test assertions. Console output of this
+    * logger is disabled until {@link CaptureTransport.restore} is invoked; other transports are unchanged.
     *
-    * @param {string}   level - log level
+    * @param {object}   [options] - Options.
     *
-    * @returns {boolean} Whether the log level has been set.
+    * @param {LogLevel} [options.level] - Log level set while capturing; IE `trace` to capture all entries.
+    *
+    * @returns {CaptureTransport} Capture controller.
+    *
+    * @example
+    * const capture = logger.capture();
+    *
+    * logger.warn('retry 1');
+    *
+    * capture.expectLogged('warn', /retry/);
+    * capture.restore();
     */
-   setLogLevel(level)
+   capture({ level } = {})
    {
-      const requestedLevel = ColorLogger.#LOG_LEVELS[level];
-
-      if (requestedLevel === void 0 || requestedLevel === null)
+      if (level !== void 0 && !this.isValidLevel(level))
       {
-         console.log(`@typhonjs-utils/logger-color - setLogLevel - unknown log level: ${level}`);
-         return false;
+         throw new TypeError(`'level' is not a valid log level: ${level}`);
       }
 
-      this.#logLevel = requestedLevel;
-      return true;
+      const consoleEnabled = Object.hasOwn(this.#options, 'consoleEnabled') ? this.#options.consoleEnabled : void 0;
+      const logLevel = this.#logLevel;
+
+      const capture = new CaptureTransport({
+         restore: () =>
+         {
+            this.removeTransport(capture);
+
+            // Child loggers follow the parent option again unless it was set on the child.
+            if (consoleEnabled === void 0)
+            {
+               delete this.#options.consoleEnabled;
+            }
+            else
+            {
+               this.#options.consoleEnabled = consoleEnabled;
+            }
+
+            if (level !== void 0) { this.#logLevel = logLevel; }
+         }
+      });
+
+      this.#options.consoleEnabled = false;
+
+      if (level !== void 0) { this.#logLevel = this.#levels.get(level).value; }
+
+      this.addTransport(capture);
+
+      return capture;
    }
 
    /**
-    * Set optional parameters.
+    * Runs a function while capturing log entries and restores the output settings when the function returns or
+    * throws.
     *
-    * @param {Partial<ColorLoggerOptions>} options - Defines optional parameters to set.
+    * @param {(capture: CaptureTransport) => unknown}  fn - Function to run.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {LogLevel} [options.level] - Log level set while capturing.
+    *
+    * @returns {Promise<CaptureTransport>} Capture controller with the collected entries.
     */
-   setOptions(options = {})
+   async withCapture(fn, options)
    {
-      if (typeof options !== 'object') { throw new TypeError(`'options' is not an 'object'.`); }
+      if (typeof fn !== 'function') { throw new TypeError(`'fn' is not a function.`); }
 
-      if (typeof options.consoleEnabled === 'boolean') { this.#options.consoleEnabled = options.consoleEnabled; }
-      if (typeof options.noColor === 'boolean') { this.#options.noColor = options.noColor; }
-      if (typeof options.showDate === 'boolean') { this.#options.showDate = options.showDate; }
-      if (typeof options.showInfo === 'boolean') { this.#options.showInfo = options.showInfo; }
-      if (typeof options.showLevel === 'boolean') { this.#options.showLevel = options.showLevel; }
-      if (typeof options.tag === 'string') { this.#options.tag = options.tag; }
+      const capture = this.capture(options);
+
+      try
+      {
+         await fn(capture);
+      }
+      finally
+      {
+         capture.restore();
+      }
+
+      return capture;
    }
 
-   // Logging methods -----------------------------------------------------------------------------------------------
+   // Groups --------------------------------------------------------------------------------------------------------
 
    /**
-    * Display fatal (light red) log.
+    * Starts a group indenting all following log entries of this logger until {@link ColorLogger.groupEnd}. The optional
+    * label is logged at the `info` level before indentation increases.
     *
-    * @param {...*} msg - log message.
+    * @param {string}   [label] - Group label.
     *
-    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    * @returns {string | undefined} Formatted label or undefined if no label is logged.
     */
-   fatal(...msg) { return this.#output('fatal', false, false, false, false, ...msg); }
+   group(label)
+   {
+      const result = label !== void 0 ? this.info(label) : void 0;
+
+      this.#groupDepth++;
+
+      return result;
+   }
 
    /**
-    * Display error(red) log.
+    * Ends the current group. Extra calls are ignored.
     *
-    * @param {...*} msg - log message.
-    *
-    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    * @returns {number} The group depth after ending the group.
     */
-   error(...msg) { return this.#output('error', false, false, false, false, ...msg); }
+   groupEnd()
+   {
+      this.#groupDepth = Math.max(this.#groupDepth - 1, 0);
+
+      return this.#groupDepth;
+   }
 
    /**
-    * Display warning (yellow) log.
+    * Runs a function inside a group that ends when the function returns or throws. Concurrent groups of the same
+    * logger share the group depth; use child loggers to indent concurrent tasks separately.
     *
-    * @param {...*} msg - log message.
+    * @template T
     *
-    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    * @param {string}   label - Group label.
+    *
+    * @param {() => T | Promise<T>}   fn - Function to run.
+    *
+    * @returns {Promise<T>} The function result.
     */
-   warn(...msg) { return this.#output('warn', false, false, false, false, ...msg); }
+   async withGroup(label, fn)
+   {
+      if (typeof fn !== 'function') { throw new TypeError(`'fn' is not a function.`); }
+
+      this.group(label);
+
+      try
+      {
+         return await fn();
+      }
+      finally
+      {
+         this.groupEnd();
+      }
+   }
+
+   // Timers --------------------------------------------------------------------------------------------------------
 
    /**
-    * Display info (green) log.
+    * Starts a timer that returns a handle to log the elapsed duration. When the log level is disabled a no-op handle is
+    * returned and no time is measured.
     *
-    * @param {...*} msg - log message.
+    * @param {LogLevel}   [level='debug'] - Log level of the elapsed duration.
     *
-    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    * @returns {import('./types').LogTimer} Timer handle.
+    * @throws {TypeError} When the log level is not valid.
+    *
+    * @example
+    * const timer = logger.startTimer();
+    * await loadConfig();
+    * timer.done('Config loaded');   // Config loaded (12.3ms)
     */
-   info(...msg) { return this.#output('info', false, false, false, false, ...msg); }
+   startTimer(level = 'debug')
+   {
+      this.#validateLevel(level);
+
+      if (!this.isLevelEnabled(level)) { return ColorLogger.#NOOP_TIMER; }
+
+      const start = performance.now();
+
+      return Object.freeze({
+         done: (msg = 'done', ...args) =>
+          this.#output(level, false, false, false, false, `${msg} (${ColorLogger.#FORMAT_DURATION(performance.now() -
+           start)})`, ...args),
+         elapsed: () => performance.now() - start
+      });
+   }
 
    /**
-    * Display debug (blue) log.
+    * Starts a timer by label. The elapsed duration is logged by {@link ColorLogger.timeEnd}. Timers are separate for
+    * each logger, so child loggers may time nested operations with the same label.
     *
-    * @param {...*} msg - log message.
+    * @param {string}   [label='default'] - Timer label.
     *
-    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    * @returns {boolean} True if the timer started; false if a timer with the label is already running.
     */
-   debug(...msg) { return this.#output('debug', false, false, false, false, ...msg); }
+   time(label = 'default')
+   {
+      if (this.#timers.has(label)) { return false; }
+
+      this.#timers.set(label, performance.now());
+      return true;
+   }
 
    /**
-    * Display verbose (purple) log.
+    * Ends a timer started by {@link ColorLogger.time} and logs the elapsed duration as `label: duration`. Nothing is
+    * formatted when the log level is disabled.
     *
-    * @param {...*} msg - log message.
+    * @param {string}   [label='default'] - Timer label.
     *
-    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    * @param {LogLevel}   [level='debug'] - Log level of the elapsed duration.
+    *
+    * @returns {string | undefined} Formatted log message or undefined if the log level is not enabled or the timer
+    *          does not exist.
+    * @throws {TypeError} When the log level is not valid.
     */
-   verbose(...msg) { return this.#output('verbose', false, false, false, false, ...msg); }
+   timeEnd(label = 'default', level = 'debug')
+   {
+      this.#validateLevel(level);
+
+      const start = this.#timers.get(label);
+
+      if (start === void 0) { return void 0; }
+
+      this.#timers.delete(label);
+
+      if (!this.isLevelEnabled(level)) { return void 0; }
+
+      return this.#output(level, false, false, false, false,
+       `${label}: ${ColorLogger.#FORMAT_DURATION(performance.now() - start)}`);
+   }
 
    /**
-    * Display trace (purple) log.
-    *
-    * @param {...*} msg - log message.
+    * @param {string}   level - Log level to validate.
     *
-    * @returns {string | undefined} Formatted log message or undefined if log level is not enabled.
+    * @throws {TypeError} When the log level is not valid.
     */
-   trace(...msg) { return this.#output('trace', false, false, false, false, ...msg); }
+   #validateLevel(level)
+   {
+      if (!this.isValidLevel(level) || level === 'off' || level === 'all')
+      {
+         throw new TypeError(`'level' is not a valid log level: ${level}`);
+      }
+   }
 
    /**
     * Wires up ColorLogger on the plugin eventbus.
@@ -616,45 +3803,20 @@ export class ColorLogger
          if (typeof options.eventPrepend === 'string') { eventPrepend = `${options.eventPrepend}:`; }
       }
 
-      this._eventbus.on(`${eventPrepend}log:fatal`, this.fatal, this);
-      this._eventbus.on(`${eventPrepend}log:fatal:compact`, this.ext.fatalCompact, this);
-      this._eventbus.on(`${eventPrepend}log:fatal:nocolor`, this.ext.fatalNoColor, this);
-      this._eventbus.on(`${eventPrepend}log:fatal:raw`, this.ext.fatalRaw, this);
-      this._eventbus.on(`${eventPrepend}log:fatal:time`, this.ext.fatalTime, this);
-      this._eventbus.on(`${eventPrepend}log:error`, this.error, this);
-      this._eventbus.on(`${eventPrepend}log:error:compact`, this.ext.errorCompact, this);
-      this._eventbus.on(`${eventPrepend}log:error:nocolor`, this.ext.errorNoColor, this);
-      this._eventbus.on(`${eventPrepend}log:error:raw`, this.ext.errorRaw, this);
-      this._eventbus.on(`${eventPrepend}log:error:time`, this.ext.errorTime, this);
-      this._eventbus.on(`${eventPrepend}log:warn`, this.warn, this);
-      this._eventbus.on(`${eventPrepend}log:warn:compact`, this.ext.warnCompact, this);
-      this._eventbus.on(`${eventPrepend}log:warn:nocolor`, this.ext.warnNoColor, this);
-      this._eventbus.on(`${eventPrepend}log:warn:raw`, this.ext.warnRaw, this);
-      this._eventbus.on(`${eventPrepend}log:warn:time`, this.ext.warnTime, this);
-      this._eventbus.on(`${eventPrepend}log:info`, this.info, this);
-      this._eventbus.on(`${eventPrepend}log:info:compact`, this.ext.infoCompact, this);
-      this._eventbus.on(`${eventPrepend}log:info:nocolor`, this.ext.infoNoColor, this);
-      this._eventbus.on(`${eventPrepend}log:info:raw`, this.ext.infoRaw, this);
-      this._eventbus.on(`${eventPrepend}log:info:time`, this.ext.infoTime, this);
-      this._eventbus.on(`${eventPrepend}log:debug`, this.debug, this);
-      this._eventbus.on(`${eventPrepend}log:debug:compact`, this.ext.debugCompact, this);
-      this._eventbus.on(`${eventPrepend}log:debug:nocolor`, this.ext.debugNoColor, this);
-      this._eventbus.on(`${eventPrepend}log:debug:raw`, this.ext.debugRaw, this);
-      this._eventbus.on(`${eventPrepend}log:debug:time`, this.ext.debugTime, this);
-      this._eventbus.on(`${eventPrepend}log:verbose`, this.verbose, this);
-      this._eventbus.on(`${eventPrepend}log:verbose:compact`, this.ext.verboseCompact, this);
-      this._eventbus.on(`${eventPrepend}log:verbose:nocolor`, this.ext.verboseNoColor, this);
-      this._eventbus.on(`${eventPrepend}log:verbose:raw`, this.ext.verboseRaw, this);
-      this._eventbus.on(`${eventPrepend}log:verbose:time`, this.ext.verboseTime, this);
-      this._eventbus.on(`${eventPrepend}log:trace`, this.trace, this);
-      this._eventbus.on(`${eventPrepend}log:trace:compact`, this.ext.traceCompact, this);
-      this._eventbus.on(`${eventPrepend}log:trace:nocolor`, this.ext.traceNoColor, this);
-      this._eventbus.on(`${eventPrepend}log:trace:raw`, this.ext.traceRaw, this);
-      this._eventbus.on(`${eventPrepend}log:trace:time`, this.ext.traceTime, this);
+      for (const [name, data] of this.#levels)
+      {
+         if (data.method === void 0) { continue; }
+
+         this._eventbus.on(`${eventPrepend}log:${name}`, this[data.method], this);
+         this._eventbus.on(`${eventPrepend}log:${name}:compact`, this.ext[`${data.method}Compact`], this);
+         this._eventbus.on(`${eventPrepend}log:${name}:nocolor`, this.ext[`${data.method}NoColor`], this);
+         this._eventbus.on(`${eventPrepend}log:${name}:raw`, this.ext[`${data.method}Raw`], this);
+         this._eventbus.on(`${eventPrepend}log:${name}:time`, this.ext[`${data.method}Time`], this);
+      }
 
       this._eventbus.on(`${eventPrepend}log:level:get`, this.getLogLevel, this);
       this._eventbus.on(`${eventPrepend}log:level:is:enabled`, this.isLevelEnabled, this);
-      this._eventbus.on(`${eventPrepend}log:level:is:valid`, this.isValidLogLevel, this);
+      this._eventbus.on(`${eventPrepend}log:level:is:valid`, this.isValidLevel, this);
       this._eventbus.on(`${eventPrepend}log:level:set`, this.setLogLevel, this);
       this._eventbus.on(`${eventPrepend}log:options:get`, this.getOptions, this);
       this._eventbus.on(`${eventPrepend}log:options:set`, this.setOptions, this);
@@ -666,12 +3828,89 @@ export class ColorLogger
  * log level names.
  */
 
+/**
+ * @typedef {object}    LogLevelDefinition Defines a custom log level registered at construction by the `levels`
+ * option.
+ *
+ * @property {number}   priority The level priority between `all` (0) and `off` (8) exclusive; IE `4.5` is between
+ *           `info` and `warn`. Priorities must be unique.
+ *
+ * @property {string}   color ANSI SGR parameters for the level color; IE `36` for cyan or `1;32` for bold green.
+ *
+ * @property {string}   [type] Short type badge displayed with the `showLevel` option; default: `[<first letter>]`.
+ *
+ * @property {string}   [method] Logging method name added to the logger; default: the level name.
+ */
+
 /**
  * @typedef {object}    ColorLoggerOptions Provides ColorLoggerOptions
  *
- * @property {boolean}  consoleEnabled If true output to `console.log` is enabled.
+ * @property {'auto' | 'ansi' | 'browser'} backend The console output backend. `ansi` outputs ANSI color codes and
+ *           `browser` outputs `%c` CSS styles with object arguments kept as live inspectable values. `auto` selects
+ *           `browser` when running in a browser.
+ *
+ * @property {import('./types').BatchOptions} [batch] Buffers output and writes entries in chunks on the next
+ *           microtask, after `interval` milliseconds or when `size` entries are pending. Destinations returning a
+ *           promise from `write` are blocked until it settles; while `limit` entries are pending the `overflow` policy
+ *           drops and counts new entries or applies backpressure keeping them with
+ *           {@link ColorLogger.getBatchStats} reporting the logger as not writable; await {@link ColorLogger.flush}
+ *           to wait for pending entries.
+ *           Pending entries are written by {@link ColorLogger.flush}, on process `beforeExit` waiting for blocked
+ *           destinations and synchronously on `exit`. Entries of {@link ColorLogger.capture} are collected
+ *           synchronously. `true` enables the defaults. Set to `null` or `false` to reset.
+ *
+ * @property {import('./types').BufferOptions} [buffer] Records the last `size` entries at or above the capture
+ *           `level` (default: `trace`) in a ring buffer shared with child loggers, even when the level is not
+ *           displayed. Query the history with {@link ColorLogger.queryBuffer}. When `dump` is set the entries not
+ *           already displayed are written by {@link ColorLogger.dumpBuffer} before a `fatal` entry and on uncaught
+ *           exceptions in Node. Set to `null` to reset.
+ *
+ * @property {0 | 1 | 2 | 3} colorLevel The color level of the default console transport: `0` no color, `1` basic 16
+ *           colors, `2` 256 colors, `3` truecolor. Theme styles are converted to the nearest supported color. Defaults
+ *           to the level detected by {@link ColorLogger.detectColorLevel}.
+ *
+ * @property {boolean}  consoleEnabled If true output to the default console transport is enabled.
+ *
+ * @property {Record<string, import('./types').ConsoleMethod>} consoleMethods Log level to console method routing
+ *           merged with the default routing: `fatal` / `error` -> `console.error`, `warn` -> `console.warn`, `info` ->
+ *           `console.info` and `verbose` / `debug` / `trace` -> `console.debug`. Custom levels use `console.log`.
  *
- * @property {boolean}  noColor If true output does not contain ANSI color codes.
+ * @property {import('./types').DedupeOptions} [dedupe] Folds identical consecutive entries of a logger; the first
+ *           entry is output and repeats are summarized as `<message> (repeated N times)` when a different entry arrives
+ *           or `timeout` milliseconds (default: `1000`) after the first repeat. `true` enables the default timeout. Set
+ *           to `null` or `false` to reset.
+ *
+ * @property {'text' | 'json'} format The output format; `json` outputs one JSON object per line (NDJSON) with
+ *           structured fields for log shippers.
+ *
+ * @property {boolean}  groupGuides If true group indentation draws `│` tree guides.
+ *
+ * @property {(string | RegExp)[]} ignoreFrames Stack frames matching any pattern are ignored for call-site info
+ *           and traces in addition to ColorLogger frames. Strings match any part of a frame line.
+ *
+ * @property {string}   [namespaces] Level rules by logger tag as comma separated `pattern=level` pairs where `*`
+ *           matches any characters; IE `app:db:*=trace,app:http=warn,*=info`. The most specific matching rule
+ *           overrides the logger level. Defaults to the `LOG_NAMESPACES` environment variable. Set to `null` to reset.
+ *
+ * @property {boolean}  noColor If true output does not contain ANSI color codes. Explicitly setting `false` at
+ *           construction enables color when no color support is detected.
+ *
+ * @property {'basename' | 'relative' | 'full'} pathDisplay The call-site info file display; `basename` (default),
+ *           the path relative to `process.cwd()` or the `full` path / URL.
+ *
+ * @property {import('./types').RateLimitOptions} [rateLimit] Outputs at most `limit` entries per key and `interval`
+ *           milliseconds (default: `1000`). The key defaults to the log level and message text. Suppressed entries
+ *           are counted and reported as `<message> (rate limited: N suppressed)` when the interval ends. Set to `null`
+ *           to reset.
+ *
+ * @property {import('./types').RedactOptions} [redact] Replaces sensitive fields of logged objects, bound context
+ *           fields and string values with `[REDACTED]` before formatting by key names, dotted paths with `*` wildcards
+ *           and value patterns; IE `{ keys: ['password'], paths: ['req.headers.*'], patterns: [/Bearer\s+\S+/] }`.
+ *           Set to `null` to reset.
+ *
+ * @property {import('./types').SerializerOptions} serializer Object serialization limits and colors. Objects are
+ *           serialized without throwing; circular references, BigInt, Map / Set, typed arrays, Dates, Symbols,
+ *           functions and class names are rendered readably and nesting / array length / string length are capped.
  *
  * @property {boolean}  showDate If true the date is added to format results
  *
@@ -679,5 +3918,34 @@ export class ColorLogger
  *
  * @property {boolean}  showLevel If true the log level is prepended to the log output.
  *
+ * @property {boolean}  sourceMaps If true in Node call-site info and stack traces are resolved to original source
+ *           locations through source maps; inline `sourceMappingURL` data or local `.map` files. Parsed source maps
+ *           are cached. Before Node 20.16 resolution starts once the Node modules are imported asynchronously after
+ *           enabling this option.
+ *
+ * @property {boolean}  stderr If true in Node levels routed to `console.error` / `console.warn` are written directly
+ *           to `process.stderr`.
+ *
  * @property {string}   tag Custom tag to prepend to log output.
+ *
+ * @property {string}   [template] A line format template replacing the default format and the `showDate`,
+ *           `showInfo` and `showLevel` options; IE `'{time} {level:pad5} {tag} {file} - {msg}'`. Tokens are `{time}`,
+ *           `{level}` (full name), `{badge}` (short type), `{tag}`, `{file}`, `{msg}`, `{context}` and any custom
+ *           `tokens`. Modifiers are appended with `:`; `upper` / `lower`, `padN` or `<N` (left align), `>N` (right align)
+ *           and `^N` (center). `{{` / `}}` output literal braces. Set to `null` to reset.
+ *
+ * @property {'iso' | 'local' | 'time' | 'elapsed' | 'delta' | import('./types').TimestampFormatter} timestamp
+ *           Timestamp format for `showDate`, the `*Time` ext methods and the `{time}` template token; `iso` (default)
+ *           is UTC ISO-8601, `local` is local time with the UTC offset, `time` is local time of day, `elapsed` is
+ *           milliseconds since the logger started and `delta` milliseconds since the last entry. A formatter function
+ *           may also be provided. The `json` format always uses UTC ISO-8601.
+ *
+ * @property {Record<string, (data: import('./types').TemplateTokenData) => *>} [tokens] Custom template tokens
+ *           invoked for each log entry.
+ *
+ * @property {'dark' | 'light' | 'high-contrast' | import('./types').ThemeDefinition} [theme] A built-in theme name or
+ *           theme definition that styles each level and line part separately. When unset the whole line is colored
+ *           with the level color. Set to `null` to reset.
  */
+
+export * from './transport/index.js';
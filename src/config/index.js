@@ -0,0 +1 @@
+export * from './parseConfig.js';
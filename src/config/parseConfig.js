@@ -0,0 +1,176 @@
+/**
+ * Config keys supported by environment variables and config files mapped to the environment variable name without
+ * prefix and the value type.
+ *
+ * @type {Record<string, { env?: string, type: string | (string | number)[] }>}
+ */
+const CONFIG_KEYS = {
+   backend: { env: 'BACKEND', type: ['auto', 'ansi', 'browser'] },
+   batch: { type: 'boolean|object' },
+   buffer: { type: 'object' },
+   colorLevel: { env: 'COLOR_LEVEL', type: [0, 1, 2, 3] },
+   consoleEnabled: { env: 'CONSOLE_ENABLED', type: 'boolean' },
+   consoleMethods: { type: 'object' },
+   dedupe: { type: 'boolean|object' },
+   format: { env: 'FORMAT', type: ['text', 'json'] },
+   groupGuides: { env: 'GROUP_GUIDES', type: 'boolean' },
+   ignoreFrames: { type: 'string[]' },
+   level: { env: 'LEVEL', type: 'string' },
+   levels: { type: 'object' },
+   namespaces: { env: 'NAMESPACES', type: 'string' },
+   noColor: { env: 'NO_COLOR', type: 'boolean' },
+   pathDisplay: { env: 'PATH_DISPLAY', type: ['basename', 'relative', 'full'] },
+   rateLimit: { type: 'object' },
+   redact: { type: 'object' },
+   serializer: { type: 'object' },
+   showDate: { env: 'SHOW_DATE', type: 'boolean' },
+   showInfo: { env: 'SHOW_INFO', type: 'boolean' },
+   showLevel: { env: 'SHOW_LEVEL', type: 'boolean' },
+   sourceMaps: { env: 'SOURCE_MAPS', type: 'boolean' },
+   stderr: { env: 'STDERR', type: 'boolean' },
+   tag: { env: 'TAG', type: 'string' },
+   template: { env: 'TEMPLATE', type: 'string' },
+   theme: { env: 'THEME', type: 'theme' },
+   timestamp: { env: 'TIMESTAMP', type: ['iso', 'local', 'time', 'elapsed', 'delta'] }
+};
+
+/**
+ * Environment variable boolean values.
+ *
+ * @type {Map<string, boolean>}
+ */
+const ENV_BOOLEANS = new Map([
+   ['1', true], ['true', true], ['yes', true], ['on', true],
+   ['0', false], ['false', false], ['no', false], ['off', false]
+]);
+
+/**
+ * Creates a config object from environment variables; IE `LOG_LEVEL` -> `level` and `LOG_NO_COLOR` -> `noColor`.
+ * Values are converted to the config value type. Empty and undefined variables are ignored.
+ *
+ * @param {Record<string, string | undefined>}  env - Environment variables.
+ *
+ * @param {string}   prefix - Environment variable name prefix.
+ *
+ * @returns {{ config: Record<string, *>, sources: Record<string, string> }} The config object and the environment
+ *          variable name of each config key.
+ */
+export function parseEnvConfig(env, prefix)
+{
+   if (typeof env !== 'object' || env === null) { throw new TypeError(`'env' is not an object.`); }
+   if (typeof prefix !== 'string') { throw new TypeError(`'prefix' is not a string.`); }
+
+   const config = {};
+   const sources = {};
+
+   for (const [key, { env: name, type }] of Object.entries(CONFIG_KEYS))
+   {
+      if (name === void 0) { continue; }
+
+      const value = env[`${prefix}${name}`];
+
+      if (typeof value !== 'string' || value === '') { continue; }
+
+      sources[key] = `${prefix}${name}`;
+
+      if (type === 'boolean')
+      {
+         const bool = ENV_BOOLEANS.get(value.trim().toLowerCase());
+
+         if (bool === void 0)
+         {
+            throw new TypeError(`${sources[key]}: '${value}' is not a boolean; expected: ${[...ENV_BOOLEANS.keys()]
+             .join(', ')}.`);
+         }
+
+         config[key] = bool;
+      }
+      else if (Array.isArray(type) && typeof type[0] === 'number')
+      {
+         config[key] = (/^\d+$/).test(value.trim()) ? Number(value) : value;
+      }
+      else if (type === 'theme' && value.trim().startsWith('{'))
+      {
+         try
+         {
+            config[key] = JSON.parse(value);
+         }
+         catch (err)
+         {
+            throw new TypeError(`${sources[key]}: theme is not valid JSON; ${err.message}`, { cause: err });
+         }
+      }
+      else
+      {
+         config[key] = type === 'string' || type === 'theme' ? value : value.trim();
+      }
+   }
+
+   return { config, sources };
+}
+
+/**
+ * Validates the value types of a config object and splits the log level from logger options.
+ *
+ * @param {Record<string, *>}  config - Config object.
+ *
+ * @param {(key: string) => string}   source - Returns the source name of a config key for error messages.
+ *
+ * @returns {{ level?: string, options: Record<string, *> }} Log level and logger options.
+ */
+export function validateConfig(config, source)
+{
+   if (typeof config !== 'object' || config === null || Array.isArray(config))
+   {
+      throw new TypeError(`${source()}: config is not an object.`);
+   }
+
+   const options = {};
+
+   for (const [key, value] of Object.entries(config))
+   {
+      const type = CONFIG_KEYS[key]?.type;
+
+      if (type === void 0)
+      {
+         throw new TypeError(`${source(key)}: unknown config key; expected: ${Object.keys(CONFIG_KEYS).join(', ')}.`);
+      }
+
+      let valid;
+
+      if (Array.isArray(type))
+      {
+         valid = type.includes(value);
+      }
+      else if (type === 'theme')
+      {
+         valid = typeof value === 'string' || (typeof value === 'object' && value !== null && !Array.isArray(value));
+      }
+      else if (type === 'string[]')
+      {
+         valid = Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+      }
+      else if (type === 'object' || type === 'boolean|object')
+      {
+         valid = (typeof value === 'object' && value !== null && !Array.isArray(value)) ||
+          (type === 'boolean|object' && typeof value === 'boolean');
+      }
+      else
+      {
+         valid = typeof value === type;
+      }
+
+      if (!valid)
+      {
+         const expected = Array.isArray(type) ? type.map((entry) => JSON.stringify(entry)).join(', ') :
+          type === 'theme' ? 'a theme name or theme object' : type === 'string[]' ? 'an array of strings' :
+           type === 'boolean|object' ? 'a boolean or object' : `a ${type}`;
+
+         throw new TypeError(`${source(key)}: ${JSON.stringify(value)} is not valid; expected: ${expected}.`);
+      }
+
+      if (key !== 'level') { options[key] = value; }
+   }
+
+   return { level: config.level, options };
+}
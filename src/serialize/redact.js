@@ -0,0 +1,140 @@
+/**
+ * Creates a function that returns a copy of a value with sensitive fields replaced by a censor string. Fields are
+ * matched by:
+ * - `keys`: key names at any depth; IE `password` or `authorization`. Key names match case-insensitively.
+ * - `paths`: dotted paths from the root value where `*` matches any single key; IE `req.headers.*` or
+ *   `users.*.token`.
+ * - `patterns`: regular expressions replacing matching parts of string values; IE `/Bearer\s+\S+/`.
+ *
+ * Plain objects, arrays, Maps and class instances are copied; circular references are preserved. Objects defining
+ * `toJSON` such as URLs are replaced by their redacted JSON value as internal slots and private fields can not be
+ * copied. Other objects such as Dates, Sets, typed arrays and Errors are kept by reference.
+ *
+ * @param {import('../types').RedactOptions}   options - Redaction options.
+ *
+ * @returns {(value: *) => *} Redaction function.
+ */
+export function createRedactor({ censor = '[REDACTED]', keys = [], paths = [], patterns = [] })
+{
+   if (typeof censor !== 'string') { throw new TypeError(`'redact.censor' is not a string.`); }
+
+   if (!Array.isArray(keys) || !keys.every((key) => typeof key === 'string'))
+   {
+      throw new TypeError(`'redact.keys' is not an array of strings.`);
+   }
+
+   if (!Array.isArray(paths) || !paths.every((path) => typeof path === 'string' && path !== ''))
+   {
+      throw new TypeError(`'redact.paths' is not an array of strings.`);
+   }
+
+   if (!Array.isArray(patterns) || !patterns.every((pattern) => pattern instanceof RegExp))
+   {
+      throw new TypeError(`'redact.patterns' is not an array of RegExp.`);
+   }
+
+   const keySet = new Set(keys.map((key) => key.toLowerCase()));
+   const pathList = paths.map((path) => path.split('.'));
+
+   // Global copies replace all matches.
+   const regexList = patterns.map((pattern) => pattern.global ? pattern : new RegExp(pattern.source,
+    `${pattern.flags}g`));
+
+   /**
+    * @param {string[]} path - Key path from the root value.
+    *
+    * @returns {boolean} Whether the key path is redacted.
+    */
+   const isRedacted = (path) => keySet.has(path[path.length - 1].toLowerCase()) || pathList.some((segments) =>
+    segments.length === path.length && segments.every((segment, index) => segment === '*' || segment === path[index]));
+
+   const redactString = (text) => regexList.reduce((result, regex) => result.replace(regex, censor), text);
+
+   return (value) =>
+   {
+      const copies = new Map();
+
+      const copy = (entry, path) =>
+      {
+         if (typeof entry === 'string') { return redactString(entry); }
+
+         if (typeof entry !== 'object' || entry === null) { return entry; }
+
+         if (copies.has(entry)) { return copies.get(entry); }
+
+         // A revoked Proxy is passed through for the serializer to report.
+         try
+         {
+            Object.getPrototypeOf(entry);
+         }
+         catch
+         {
+            return entry;
+         }
+
+         if (entry instanceof Map)
+         {
+            const result = new Map();
+
+            copies.set(entry, result);
+
+            for (const [key, item] of entry)
+            {
+               result.set(key, typeof key === 'string' && isRedacted([...path, key]) ? censor :
+                copy(item, [...path, String(key)]));
+            }
+
+            return result;
+         }
+
+         if (!Array.isArray(entry) && (entry instanceof Date || entry instanceof Error || entry instanceof RegExp ||
+          entry instanceof Set || ArrayBuffer.isView(entry) || entry instanceof ArrayBuffer))
+         {
+            return entry;
+         }
+
+         if (!Array.isArray(entry) && typeof entry.toJSON === 'function')
+         {
+            let json;
+
+            try
+            {
+               json = entry.toJSON();
+            }
+            catch
+            {
+               // The serializer reports the failing `toJSON`.
+               return entry;
+            }
+
+            return copy(json, path);
+         }
+
+         const result = Array.isArray(entry) ? [] : Object.create(Object.getPrototypeOf(entry));
+
+         copies.set(entry, result);
+
+         for (const key of Object.keys(entry))
+         {
+            const keyPath = [...path, key];
+
+            let item;
+
+            try
+            {
+               item = isRedacted(keyPath) ? censor : copy(entry[key], keyPath);
+            }
+            catch (err)
+            {
+               item = `[Getter threw: ${err?.message}]`;
+            }
+
+            result[key] = item;
+         }
+
+         return result;
+      };
+
+      return copy(value, []);
+   };
+}
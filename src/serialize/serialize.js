@@ -0,0 +1,358 @@
+/**
+ * Default serializer limits.
+ *
+ * @type {Readonly<{ depth: number, maxArrayLength: number, maxStringLength: number }>}
+ */
+export const SERIALIZE_DEFAULTS = Object.freeze({
+   depth: 6,
+   maxArrayLength: 100,
+   maxStringLength: 10000
+});
+
+/**
+ * Serializes any value to a readable string without throwing. Plain objects, arrays and primitives are output in JSON
+ * notation; IE `{"id":1}`. Additionally:
+ * - circular references are marked as `[Circular]`.
+ * - BigInt values are output as `123n`.
+ * - Maps, Sets and typed arrays are output with their size; IE `Map(1) {"a" => 1}` and `Set(2) [1, 2]`.
+ * - Dates are output as ISO-8601 strings, Symbols as `Symbol(desc)` and functions as `[Function name]`.
+ * - class instances are prefixed by the class name; IE `Point {"x":1}`.
+ * - `undefined` fields are kept.
+ * - nesting deeper than `depth` is output as `[Object]` / `[Array]`.
+ * - arrays longer than `maxArrayLength` and strings longer than `maxStringLength` are truncated with `…N more`.
+ *
+ * @param {*}  value - Value to serialize.
+ *
+ * @param {object}   [options] - Options.
+ *
+ * @param {boolean}  [options.compact=false] - Output on a single line.
+ *
+ * @param {number}   [options.depth] - Maximum nesting depth.
+ *
+ * @param {number}   [options.maxArrayLength] - Maximum array / Map / Set entries.
+ *
+ * @param {number}   [options.maxStringLength] - Maximum string length.
+ *
+ * @param {Record<string, string>}  [options.colors] - ANSI sequences by value type: `key`, `string`, `number`,
+ *        `bigint`, `boolean`, `null`, `undefined`, `symbol`, `date` and `special` (functions, circular / depth
+ *        markers).
+ *
+ * @param {string}   [options.reset] - ANSI sequence ending a colored value; default: `\u001b[0m`.
+ *
+ * @returns {string} Serialized value.
+ */
+export function serialize(value, { compact = false, depth = SERIALIZE_DEFAULTS.depth,
+ maxArrayLength = SERIALIZE_DEFAULTS.maxArrayLength, maxStringLength = SERIALIZE_DEFAULTS.maxStringLength, colors,
+  reset = '\u001b[0m' } = {})
+{
+   const color = (type, text) => colors?.[type] ? `${colors[type]}${text}${reset}` : text;
+
+   const ancestors = new Set();
+
+   const string = (text) =>
+   {
+      if (text.length <= maxStringLength) { return color('string', JSON.stringify(text)); }
+
+      return `${color('string', JSON.stringify(text.slice(0, maxStringLength)))}…${text.length - maxStringLength} more`;
+   };
+
+   /**
+    * @param {*}        entry - Value to serialize.
+    *
+    * @param {number}   level - Current nesting level.
+    *
+    * @returns {string} Serialized value.
+    */
+   const format = (entry, level) =>
+   {
+      switch (typeof entry)
+      {
+         case 'bigint':
+            return color('bigint', `${entry}n`);
+
+         case 'boolean':
+            return color('boolean', String(entry));
+
+         case 'function':
+            return color('special', functionName(entry));
+
+         case 'number':
+            return color('number', String(entry));
+
+         case 'string':
+            return string(entry);
+
+         case 'symbol':
+            return color('symbol', entry.toString());
+
+         case 'undefined':
+            return color('undefined', 'undefined');
+      }
+
+      if (entry === null) { return color('null', 'null'); }
+
+      if (entry instanceof Date)
+      {
+         return color('date', Number.isNaN(entry.getTime()) ? 'Invalid Date' : entry.toISOString());
+      }
+
+      if (entry instanceof RegExp) { return color('special', String(entry)); }
+
+      if (entry instanceof Error) { return color('special', `[${entry.name}: ${entry.message}]`); }
+
+      if (ancestors.has(entry)) { return color('special', '[Circular]'); }
+
+      const name = className(entry);
+
+      if (level > depth)
+      {
+         return color('special', `[${name ?? (Array.isArray(entry) ? 'Array' : 'Object')}]`);
+      }
+
+      if (typeof entry.toJSON === 'function' && !ArrayBuffer.isView(entry))
+      {
+         return format(attempt(() => entry.toJSON(), (err) => `[toJSON threw: ${err?.message}]`), level);
+      }
+
+      ancestors.add(entry);
+
+      try
+      {
+         let open = '{';
+         let close = '}';
+         let prefix = name === void 0 ? '' : `${name} `;
+         let items;
+
+         if (entry instanceof Map)
+         {
+            prefix = `${name ?? 'Map'}(${entry.size}) `;
+            items = capList([...entry], maxArrayLength).map((item) => typeof item === 'string' ? item :
+             `${format(item[0], level + 1)} => ${format(item[1], level + 1)}`);
+         }
+         else if (entry instanceof Set || ArrayBuffer.isView(entry) || Array.isArray(entry))
+         {
+            const list = entry instanceof DataView ? [] : Array.from(entry);
+
+            if (!Array.isArray(entry))
+            {
+               prefix = `${name ?? 'Set'}(${list.length}) `;
+            }
+
+            open = '[';
+            close = ']';
+            items = capList(list, maxArrayLength).map((item, index) => index === maxArrayLength ? item :
+             format(item, level + 1));
+         }
+         else
+         {
+            const keys = [...Object.keys(entry), ...Object.getOwnPropertySymbols(entry).filter(
+             (symbol) => Object.prototype.propertyIsEnumerable.call(entry, symbol))];
+
+            items = keys.map((key) =>
+            {
+               const keyText = typeof key === 'symbol' ? `[${key.toString()}]` : JSON.stringify(key);
+               const item = attempt(() => format(entry[key], level + 1), (err) => color('special',
+                `[Getter threw: ${err?.message}]`));
+
+               return `${color('key', keyText)}:${compact ? '' : ' '}${item}`;
+            });
+         }
+
+         if (items.length === 0) { return `${prefix}${open}${close}`; }
+
+         if (compact)
+         {
+            const separator = prefix === '' ? ',' : ', ';
+
+            return `${prefix}${open}${items.join(separator)}${close}`;
+         }
+
+         const indent = '   '.repeat(level + 1);
+
+         return `${prefix}${open}\n${indent}${items.join(`,\n${indent}`)}\n${'   '.repeat(level)}${close}`;
+      }
+      finally
+      {
+         ancestors.delete(entry);
+      }
+   };
+
+   return attempt(() => format(value, 0), (err) => `[Unserializable: ${err?.message}]`);
+}
+
+/**
+ * Converts any value to a JSON safe value without throwing for structured output. Circular references, BigInt,
+ * Maps, Sets, typed arrays, Symbols, functions, nested Errors and depth / length limits are converted as in
+ * {@link serialize}. Maps become objects and Sets / typed arrays become arrays.
+ *
+ * @param {*}  value - Value to convert.
+ *
+ * @param {object}   [options] - Options.
+ *
+ * @param {number}   [options.depth] - Maximum nesting depth.
+ *
+ * @param {number}   [options.maxArrayLength] - Maximum array / Map / Set entries.
+ *
+ * @param {number}   [options.maxStringLength] - Maximum string length.
+ *
+ * @returns {*} JSON safe value.
+ */
+export function toJSONValue(value, { depth = SERIALIZE_DEFAULTS.depth,
+ maxArrayLength = SERIALIZE_DEFAULTS.maxArrayLength, maxStringLength = SERIALIZE_DEFAULTS.maxStringLength } = {})
+{
+   const ancestors = new Set();
+
+   const convert = (entry, level) =>
+   {
+      switch (typeof entry)
+      {
+         case 'bigint':
+            return `${entry}n`;
+
+         case 'function':
+            return functionName(entry);
+
+         case 'string':
+            return entry.length <= maxStringLength ? entry :
+             `${entry.slice(0, maxStringLength)}…${entry.length - maxStringLength} more`;
+
+         case 'symbol':
+            return entry.toString();
+
+         case 'boolean':
+         case 'number':
+         case 'undefined':
+            return entry;
+      }
+
+      if (entry === null) { return null; }
+
+      if (entry instanceof Date) { return Number.isNaN(entry.getTime()) ? 'Invalid Date' : entry.toISOString(); }
+
+      if (entry instanceof RegExp) { return String(entry); }
+
+      if (entry instanceof Error) { return { name: entry.name, message: entry.message }; }
+
+      if (ancestors.has(entry)) { return '[Circular]'; }
+
+      const name = className(entry);
+
+      if (level > depth) { return `[${name ?? (Array.isArray(entry) ? 'Array' : 'Object')}]`; }
+
+      if (typeof entry.toJSON === 'function' && !ArrayBuffer.isView(entry))
+      {
+         return convert(attempt(() => entry.toJSON(), (err) => `[toJSON threw: ${err?.message}]`), level);
+      }
+
+      ancestors.add(entry);
+
+      try
+      {
+         if (entry instanceof Map)
+         {
+            const result = {};
+
+            for (const item of capList([...entry], maxArrayLength))
+            {
+               if (typeof item === 'string')
+               {
+                  result['…'] = item;
+                  continue;
+               }
+
+               result[typeof item[0] === 'string' ? item[0] : serialize(item[0], { compact: true })] =
+                convert(item[1], level + 1);
+            }
+
+            return result;
+         }
+
+         if (entry instanceof Set || ArrayBuffer.isView(entry) || Array.isArray(entry))
+         {
+            return capList(entry instanceof DataView ? [] : Array.from(entry), maxArrayLength).map((item, index) =>
+             index === maxArrayLength ? item : convert(item, level + 1));
+         }
+
+         const result = {};
+
+         for (const key of Object.keys(entry))
+         {
+            result[key] = attempt(() => convert(entry[key], level + 1), (err) => `[Getter threw: ${err?.message}]`);
+         }
+
+         return result;
+      }
+      finally
+      {
+         ancestors.delete(entry);
+      }
+   };
+
+   return attempt(() => convert(value, 0), (err) => `[Unserializable: ${err?.message}]`);
+}
+
+/**
+ * Caps a list to a maximum length adding a `…N more` marker string.
+ *
+ * @param {*[]}      list - List to cap.
+ *
+ * @param {number}   max - Maximum length.
+ *
+ * @returns {*[]} Capped list.
+ */
+function capList(list, max)
+{
+   return list.length <= max ? list : [...list.slice(0, max), `…${list.length - max} more`];
+}
+
+/**
+ * Returns the class name of an object or undefined for plain objects and arrays.
+ *
+ * @param {object}   entry - Object to name.
+ *
+ * @returns {string | undefined} Class name.
+ */
+function className(entry)
+{
+   const proto = Object.getPrototypeOf(entry);
+
+   if (proto === null) { return '[Object: null prototype]'; }
+   if (proto === Object.prototype || proto === Array.prototype) { return void 0; }
+
+   const name = proto.constructor?.name;
+
+   return typeof name === 'string' && name !== '' ? name : void 0;
+}
+
+/**
+ * @param {Function} entry - Function to name.
+ *
+ * @returns {string} Function name; IE `[Function name]` or `[class Name]`.
+ */
+function functionName(entry)
+{
+   const isClass = (/^class[\s{]/).test(attempt(() => Function.prototype.toString.call(entry), () => ''));
+
+   return `[${isClass ? 'class' : 'Function'}${entry.name ? ` ${entry.name}` : ' (anonymous)'}]`;
+}
+
+/**
+ * Invokes a function returning the fallback result when it throws.
+ *
+ * @param {() => *}  fn - Function to invoke.
+ *
+ * @param {(err: *) => *}  fallback - Returns the fallback result.
+ *
+ * @returns {*} Result.
+ */
+function attempt(fn, fallback)
+{
+   try
+   {
+      return fn();
+   }
+   catch (err)
+   {
+      return fallback(err);
+   }
+}
@@ -0,0 +1,357 @@
+/**
+ * Base64 digit values for VLQ decoding.
+ *
+ * @type {Map<string, number>}
+ */
+const BASE64 = new Map([...'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'].map((char, index) =>
+ [char, index]));
+
+/**
+ * Matches the location of a stack frame line; IE `/app/dist/index.js:10:15` or `file:///app/dist/index.js:10:15`.
+ *
+ * @type {RegExp}
+ */
+const REGEX_FRAME_LOCATION = /((?:file:\/\/)?[^\s()@]+?):(\d+):(\d+)(?=\)?\s*$)/;
+
+/**
+ * Matches the last `sourceMappingURL` comment of a generated file.
+ *
+ * @type {RegExp}
+ */
+const REGEX_SOURCE_MAPPING_URL = /[#@]\s*sourceMappingURL=(\S+)\s*(?:\*\/)?\s*$/;
+
+/**
+ * Resolves generated file locations to original source locations through source maps. Source maps are loaded from
+ * the `sourceMappingURL` comment of a generated file; either inline `data:` URLs or local `.map` files, falling back
+ * to `<file>.map`. Loaded maps and decoded mappings are cached by generated file path.
+ *
+ * Resolution requires Node. Node 20.16+ loads the `fs` / `path` modules on first use through
+ * `process.getBuiltinModule`; older Node versions import them asynchronously by {@link SourceMapResolver.load} and
+ * locations are not resolved until loaded.
+ */
+export class SourceMapResolver
+{
+   /**
+    * Node `fs` / `path` modules when available.
+    *
+    * @type {{ fs: import('node:fs'), path: import('node:path') } | undefined | null}
+    */
+   #node;
+
+   /**
+    * Pending asynchronous import of the Node modules.
+    *
+    * @type {Promise<boolean> | undefined}
+    */
+   #loading;
+
+   /**
+    * Parsed source maps by generated file path; `null` when a file has no source map.
+    *
+    * @type {Map<string, { lines: number[][][], sources: string[], names: string[] } | null>}
+    */
+   #maps = new Map();
+
+   /**
+    * Clears all cached source maps.
+    */
+   clear()
+   {
+      this.#maps.clear();
+   }
+
+   /**
+    * Loads the Node `fs` / `path` modules used for resolution. Node versions without `process.getBuiltinModule`
+    * import them asynchronously.
+    *
+    * @returns {Promise<boolean>} Whether locations can be resolved.
+    */
+   load()
+   {
+      if (this.#getNode()) { return Promise.resolve(true); }
+
+      if (typeof globalThis.process?.versions?.node !== 'string') { return Promise.resolve(false); }
+
+      this.#loading ??= Promise.all([import('node:fs'), import('node:path')]).then(([fs, path]) =>
+      {
+         this.#node = { fs: fs.default, path: path.default };
+         return true;
+      }, () => false);
+
+      return this.#loading;
+   }
+
+   /**
+    * Resolves all frame locations of a stack trace to original source locations. Frames without a source map are
+    * unchanged.
+    *
+    * @param {string}   stack - Stack trace.
+    *
+    * @returns {string} Resolved stack trace.
+    */
+   mapStack(stack)
+   {
+      return stack.split('\n').map((line) =>
+      {
+         const match = REGEX_FRAME_LOCATION.exec(line);
+
+         if (match === null) { return line; }
+
+         const resolved = this.resolve(match[1], Number(match[2]), Number(match[3]));
+
+         if (resolved === void 0) { return line; }
+
+         const location = `${resolved.source}:${resolved.line}:${resolved.column}`;
+
+         return `${line.slice(0, match.index)}${location}${line.slice(match.index + match[0].length)}`;
+      }).join('\n');
+   }
+
+   /**
+    * Resolves a generated file location to the original source location.
+    *
+    * @param {string}   file - Generated file path or `file://` URL.
+    *
+    * @param {number}   line - 1-based line.
+    *
+    * @param {number}   column - 1-based column.
+    *
+    * @returns {{ source: string, line: number, column: number, name?: string } | undefined} Original location or
+    *          undefined when the location can not be resolved.
+    */
+   resolve(file, line, column)
+   {
+      const node = this.#getNode();
+
+      if (!node) { return void 0; }
+
+      const isURL = file.startsWith('file://');
+      const filepath = isURL ? SourceMapResolver.#URL_TO_PATH(file) : file;
+
+      if (!node.path.isAbsolute(filepath)) { return void 0; }
+
+      let map = this.#maps.get(filepath);
+
+      if (map === void 0)
+      {
+         map = this.#loadMap(filepath, node);
+         this.#maps.set(filepath, map);
+      }
+
+      const segments = map?.lines[line - 1];
+
+      if (!segments) { return void 0; }
+
+      // Find the last segment starting at or before the column.
+      let low = 0;
+      let high = segments.length - 1;
+      let found = void 0;
+
+      while (low <= high)
+      {
+         const mid = (low + high) >> 1;
+
+         if (segments[mid][0] <= column - 1)
+         {
+            found = segments[mid];
+            low = mid + 1;
+         }
+         else
+         {
+            high = mid - 1;
+         }
+      }
+
+      if (found === void 0 || found.length < 4 || map.sources[found[1]] === void 0) { return void 0; }
+
+      const source = map.sources[found[1]];
+
+      return {
+         source: isURL && node.path.isAbsolute(source) ? `file://${source}` : source,
+         line: found[2] + 1,
+         column: found[3] + 1,
+         ...(found.length >= 5 && map.names[found[4]] !== void 0 ? { name: map.names[found[4]] } : {})
+      };
+   }
+
+   /**
+    * @returns {{ fs: import('node:fs'), path: import('node:path') } | undefined} Node `fs` / `path` modules.
+    */
+   #getNode()
+   {
+      if (this.#node === void 0)
+      {
+         const getBuiltinModule = globalThis.process?.getBuiltinModule;
+
+         this.#node = typeof getBuiltinModule === 'function' ?
+          { fs: getBuiltinModule('node:fs'), path: getBuiltinModule('node:path') } : null;
+      }
+
+      return this.#node ?? void 0;
+   }
+
+   /**
+    * Loads and parses the source map of a generated file.
+    *
+    * @param {string}   filepath - Generated file path.
+    *
+    * @param {{ fs: import('node:fs'), path: import('node:path') }}   node - Node modules.
+    *
+    * @returns {{ lines: number[][][], sources: string[], names: string[] } | null} Parsed source map or null.
+    */
+   #loadMap(filepath, node)
+   {
+      try
+      {
+         const code = node.fs.readFileSync(filepath, 'utf-8');
+
+         // Only the end of the file is searched for the `sourceMappingURL` comment.
+         const url = REGEX_SOURCE_MAPPING_URL.exec(code.slice(-Math.min(code.length, 100000)).trimEnd())?.[1];
+
+         let json;
+         let mapPath;
+
+         if (url?.startsWith('data:'))
+         {
+            const comma = url.indexOf(',');
+            const data = url.slice(comma + 1);
+
+            json = url.slice(0, comma).endsWith(';base64') ? Buffer.from(data, 'base64').toString('utf-8') :
+             decodeURIComponent(data);
+
+            mapPath = filepath;
+         }
+         else
+         {
+            mapPath = url !== void 0 ? node.path.resolve(node.path.dirname(filepath),
+             url.startsWith('file://') ? SourceMapResolver.#URL_TO_PATH(url) : decodeURIComponent(url)) :
+              `${filepath}.map`;
+
+            if (!node.fs.existsSync(mapPath)) { return null; }
+
+            json = node.fs.readFileSync(mapPath, 'utf-8');
+         }
+
+         const map = JSON.parse(json);
+
+         if (typeof map?.mappings !== 'string' || !Array.isArray(map.sources)) { return null; }
+
+         const mapDir = node.path.dirname(mapPath);
+         const sourceRoot = typeof map.sourceRoot === 'string' ? map.sourceRoot : '';
+
+         const sources = map.sources.map((source) =>
+         {
+            if (typeof source !== 'string') { return void 0; }
+
+            const joined = `${sourceRoot}${sourceRoot !== '' && !sourceRoot.endsWith('/') ? '/' : ''}${source}`;
+
+            // Keep sources with a URL scheme; IE `webpack://`.
+            if ((/^[a-z][\w+.-]*:/i).test(joined) && !joined.startsWith('file://')) { return joined; }
+
+            return node.path.resolve(mapDir, joined.startsWith('file://') ? SourceMapResolver.#URL_TO_PATH(joined) :
+             joined);
+         });
+
+         return {
+            lines: SourceMapResolver.#DECODE_MAPPINGS(map.mappings),
+            sources,
+            names: Array.isArray(map.names) ? map.names : []
+         };
+      }
+      catch
+      {
+         return null;
+      }
+   }
+
+   /**
+    * Decodes source map `mappings` into segments by generated line. Each segment is
+    * `[generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex?]` with 0-based values.
+    *
+    * @param {string}   mappings - Base64 VLQ encoded mappings.
+    *
+    * @returns {number[][][]} Segments by generated line.
+    */
+   static #DECODE_MAPPINGS(mappings)
+   {
+      const lines = [];
+      const state = [0, 0, 0, 0, 0];
+
+      for (const lineMappings of mappings.split(';'))
+      {
+         const segments = [];
+
+         state[0] = 0;
+
+         for (const encoded of lineMappings.split(','))
+         {
+            if (encoded === '') { continue; }
+
+            const values = SourceMapResolver.#DECODE_VLQ(encoded);
+
+            for (let i = 0; i < values.length && i < 5; i++) { state[i] += values[i]; }
+
+            segments.push(state.slice(0, values.length >= 5 ? 5 : values.length >= 4 ? 4 : 1));
+         }
+
+         // Segments are usually sorted, but sort for the binary search lookup.
+         segments.sort((a, b) => a[0] - b[0]);
+
+         lines.push(segments);
+      }
+
+      return lines;
+   }
+
+   /**
+    * Decodes a Base64 VLQ segment.
+    *
+    * @param {string}   encoded - Encoded segment.
+    *
+    * @returns {number[]} Decoded values.
+    */
+   static #DECODE_VLQ(encoded)
+   {
+      const values = [];
+
+      let value = 0;
+      let shift = 0;
+
+      for (const char of encoded)
+      {
+         const digit = BASE64.get(char);
+
+         if (digit === void 0) { throw new Error(`Invalid Base64 VLQ character: ${char}`); }
+
+         value += (digit & 31) * (2 ** shift);
+
+         if (digit & 32)
+         {
+            shift += 5;
+            continue;
+         }
+
+         values.push(value % 2 === 1 ? -Math.floor(value / 2) : Math.floor(value / 2));
+
+         value = 0;
+         shift = 0;
+      }
+
+      return values;
+   }
+
+   /**
+    * Converts a `file://` URL to a file path.
+    *
+    * @param {string}   url - File URL.
+    *
+    * @returns {string} File path.
+    */
+   static #URL_TO_PATH(url)
+   {
+      const pathname = decodeURIComponent(new URL(url).pathname);
+
+      // Windows drive paths; IE `/C:/app`.
+      return (/^\/[a-zA-Z]:\//).test(pathname) ? pathname.slice(1) : pathname;
+   }
+}
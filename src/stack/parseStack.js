@@ -0,0 +1,83 @@
+/**
+ * Matches V8 stack frames; IE `    at fn (/app/index.js:10:15)` or `    at /app/index.js:10:15`.
+ *
+ * @type {RegExp}
+ */
+const REGEX_V8 = /^\s*at\s+(?:(.+?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/;
+
+/**
+ * Matches SpiderMonkey and JavaScriptCore stack frames; IE `fn@http://host/app.js:10:15` or
+ * `global code@http://host/app.js:10:15`.
+ *
+ * @type {RegExp}
+ */
+const REGEX_AT_SIGN = /^\s*(?:(.*?)@)?(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Matches the V8 stack frame prefix to detect the stack format.
+ *
+ * @type {RegExp}
+ */
+const REGEX_V8_PREFIX = /^\s+at\s/m;
+
+/**
+ * Parses a stack trace into structured frames. V8 (Node / Chromium), SpiderMonkey (Firefox) and JavaScriptCore
+ * (Safari) formats are supported. Lines that are not stack frames, such as the V8 error message header or frames
+ * without a location, are skipped.
+ *
+ * @param {string}   stack - A stack trace; IE `error.stack`.
+ *
+ * @returns {import('../types').StackFrame[]} Parsed stack frames.
+ */
+export function parseStack(stack)
+{
+   if (typeof stack !== 'string') { return []; }
+
+   const v8 = REGEX_V8_PREFIX.test(stack);
+
+   const frames = [];
+
+   for (const line of stack.split('\n'))
+   {
+      const frame = parseStackFrame(line, v8);
+
+      if (frame) { frames.push(frame); }
+   }
+
+   return frames;
+}
+
+/**
+ * Parses a single stack frame line.
+ *
+ * @param {string}   line - Stack frame line.
+ *
+ * @param {boolean}  [v8] - Parse the V8 format; default: detected from the line.
+ *
+ * @returns {import('../types').StackFrame | undefined} Parsed stack frame or undefined if the line is not a stack frame
+ *          with a location.
+ */
+export function parseStackFrame(line, v8 = REGEX_V8_PREFIX.test(line))
+{
+   const match = (v8 ? REGEX_V8 : REGEX_AT_SIGN).exec(line);
+
+   if (match === null) { return void 0; }
+
+   let [, , file, lineNumber, column] = match;
+
+   // V8 `eval` frames use the location of the eval call; IE `eval at fn (/app/index.js:1:2), <anonymous>`.
+   if (v8 && file.startsWith('eval at '))
+   {
+      const evalMatch = (/\(([^()]+):(\d+):(\d+)\)/).exec(file);
+
+      if (evalMatch === null) { return void 0; }
+
+      [, file, lineNumber, column] = evalMatch;
+   }
+
+   const frame = { file, line: Number(lineNumber), column: Number(column), source: line };
+
+   if (match[1] !== void 0 && match[1] !== '') { frame.function = match[1]; }
+
+   return frame;
+}
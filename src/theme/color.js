@@ -0,0 +1,102 @@
+/**
+ * RGB components of the basic 16 colors in the order of the 256 color indexes `0` - `15`.
+ *
+ * @type {ReadonlyArray<number[]>}
+ */
+export const BASIC_RGB = Object.freeze([
+   [12, 12, 12],     // black
+   [197, 15, 31],    // red
+   [19, 161, 14],    // green
+   [193, 156, 0],    // yellow
+   [0, 55, 218],     // blue
+   [136, 23, 152],   // magenta
+   [58, 150, 221],   // cyan
+   [204, 204, 204],  // white
+   [118, 118, 118],  // gray
+   [231, 72, 86],    // bright red
+   [22, 198, 12],    // bright green
+   [249, 241, 165],  // bright yellow
+   [59, 120, 255],   // bright blue
+   [180, 0, 158],    // bright magenta
+   [97, 214, 214],   // bright cyan
+   [242, 242, 242]   // bright white
+]);
+
+/**
+ * @param {number}   index - 256 color index.
+ *
+ * @returns {number} Nearest basic 16 color foreground code.
+ */
+export function ansi256ToBasic(index)
+{
+   if (index < 8) { return 30 + index; }
+   if (index < 16) { return 90 + index - 8; }
+
+   return rgbToBasic(...ansi256ToRgb(index));
+}
+
+/**
+ * @param {number}   index - 256 color index.
+ *
+ * @returns {number[]} RGB components.
+ */
+export function ansi256ToRgb(index)
+{
+   if (index < 16) { return BASIC_RGB[index]; }
+
+   if (index >= 232)
+   {
+      const value = 8 + ((index - 232) * 10);
+
+      return [value, value, value];
+   }
+
+   const cube = index - 16;
+
+   const toComponent = (c) => c === 0 ? 0 : 55 + (c * 40);
+
+   return [toComponent(Math.floor(cube / 36)), toComponent(Math.floor(cube / 6) % 6), toComponent(cube % 6)];
+}
+
+/**
+ * @param {number}   r - Red component.
+ *
+ * @param {number}   g - Green component.
+ *
+ * @param {number}   b - Blue component.
+ *
+ * @returns {number} Nearest 256 color index.
+ */
+export function rgbToAnsi256(r, g, b)
+{
+   // Use the grayscale ramp for gray colors.
+   if (r === g && g === b)
+   {
+      if (r < 8) { return 16; }
+      if (r > 248) { return 231; }
+
+      return Math.round(((r - 8) / 247) * 24) + 232;
+   }
+
+   return 16 + (36 * Math.round(r / 255 * 5)) + (6 * Math.round(g / 255 * 5)) + Math.round(b / 255 * 5);
+}
+
+/**
+ * @param {number}   r - Red component.
+ *
+ * @param {number}   g - Green component.
+ *
+ * @param {number}   b - Blue component.
+ *
+ * @returns {number} Nearest basic 16 color foreground code.
+ */
+export function rgbToBasic(r, g, b)
+{
+   const value = Math.round(Math.max(r, g, b) / 255 * 2);
+
+   if (value === 0) { return 30; }
+
+   const code = 30 + ((Math.round(b / 255) << 2) | (Math.round(g / 255) << 1) | Math.round(r / 255));
+
+   return value === 2 ? code + 60 : code;
+}
@@ -0,0 +1,60 @@
+/**
+ * Detects the color level supported by an output stream from the environment. The detection order is:
+ * - `FORCE_COLOR` forces a color level; `0` / `false` disables color, `1` / `true` / empty is basic color, `2` is 256
+ *   colors and `3` is truecolor. As with Node, `FORCE_COLOR` takes precedence over `NO_COLOR`.
+ * - `NO_COLOR` (non-empty) disables color.
+ * - A stream that is not a TTY disables color.
+ * - `TERM=dumb` disables color.
+ * - `COLORTERM=truecolor` / `24bit` is truecolor and a `TERM` ending in `-256color` is 256 colors.
+ * - Windows consoles support 256 colors.
+ * - Common `TERM` values support basic color.
+ *
+ * @param {object}   [options] - Options.
+ *
+ * @param {{ isTTY?: boolean }}  [options.stream] - The target stream; default: `process.stdout`.
+ *
+ * @param {Record<string, string | undefined>} [options.env] - Environment variables; default: `process.env`.
+ *
+ * @returns {0 | 1 | 2 | 3} Color level: `0` no color, `1` basic 16 colors, `2` 256 colors, `3` truecolor.
+ */
+export function detectColorLevel({ stream = globalThis.process?.stdout, env = globalThis.process?.env } = {})
+{
+   if (typeof env !== 'object' || env === null) { return 0; }
+
+   if (typeof env.FORCE_COLOR === 'string')
+   {
+      switch (env.FORCE_COLOR.toLowerCase())
+      {
+         case '0':
+         case 'false':
+            return 0;
+
+         case '2':
+            return 2;
+
+         case '3':
+            return 3;
+
+         default:
+            return 1;
+      }
+   }
+
+   if (typeof env.NO_COLOR === 'string' && env.NO_COLOR !== '') { return 0; }
+
+   if (!stream?.isTTY) { return 0; }
+
+   const term = env.TERM ?? '';
+
+   if (term === 'dumb') { return 0; }
+
+   if (env.COLORTERM === 'truecolor' || env.COLORTERM === '24bit') { return 3; }
+
+   if ((/-256(color)?$/i).test(term)) { return 2; }
+
+   if (globalThis.process?.platform === 'win32') { return 2; }
+
+   if ((/^screen|^xterm|^vt100|^vt220|^rxvt|color|ansi|cygwin|linux/i).test(term) || 'COLORTERM' in env) { return 1; }
+
+   return 0;
+}
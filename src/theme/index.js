@@ -0,0 +1,4 @@
+export * from './detectColorLevel.js';
+export * from './parseStyle.js';
+export * from './sgrToCss.js';
+export * from './themes.js';
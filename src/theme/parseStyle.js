@@ -0,0 +1,132 @@
+import {
+   ansi256ToBasic,
+   rgbToAnsi256,
+   rgbToBasic }               from './color.js';
+
+/**
+ * ANSI SGR codes for style modifiers.
+ *
+ * @type {Readonly<Record<string, number>>}
+ */
+const MODIFIERS = Object.freeze({
+   bold: 1,
+   dim: 2,
+   italic: 3,
+   underline: 4,
+   inverse: 7,
+   strikethrough: 9
+});
+
+/**
+ * ANSI SGR foreground codes for the basic 16 colors. Background codes are offset by 10.
+ *
+ * @type {Readonly<Record<string, number>>}
+ */
+const COLORS = Object.freeze({
+   black: 30,
+   red: 31,
+   green: 32,
+   yellow: 33,
+   blue: 34,
+   magenta: 35,
+   purple: 35,
+   cyan: 36,
+   white: 37,
+   gray: 90,
+   grey: 90,
+   brightRed: 91,
+   brightGreen: 92,
+   brightYellow: 93,
+   brightBlue: 94,
+   brightMagenta: 95,
+   brightCyan: 96,
+   brightWhite: 97
+});
+
+/**
+ * Parses a style specification into an ANSI escape sequence. A style specification is a space separated list of
+ * tokens:
+ * - modifiers: `bold`, `dim`, `italic`, `underline`, `inverse`, `strikethrough`.
+ * - basic colors: `red`, `brightRed`, `gray`, etc.
+ * - 256 color indexes: `0` - `255`.
+ * - hex truecolor: `#rgb` or `#rrggbb`.
+ *
+ * Colors prefixed by `bg:` set the background color; IE `bold white bg:#af0000`.
+ *
+ * 256 color and truecolor tokens are converted to the nearest supported color for lower color levels.
+ *
+ * @param {string}   spec - Style specification.
+ *
+ * @param {number}   [colorLevel=3] - Supported color level: `1` basic 16 colors, `2` 256 colors, `3` truecolor.
+ *
+ * @returns {string} ANSI escape sequence or an empty string when there are no tokens.
+ */
+export function parseStyle(spec, colorLevel = 3)
+{
+   if (typeof spec !== 'string') { throw new TypeError(`Style is not a string: ${spec}`); }
+
+   const codes = [];
+
+   for (const token of spec.split(/\s+/))
+   {
+      if (token === '') { continue; }
+
+      if (token in MODIFIERS)
+      {
+         codes.push(MODIFIERS[token]);
+         continue;
+      }
+
+      const background = token.startsWith('bg:');
+      const color = background ? token.slice(3) : token;
+
+      if (color in COLORS)
+      {
+         codes.push(COLORS[color] + (background ? 10 : 0));
+      }
+      else if ((/^\d{1,3}$/).test(color) && Number(color) <= 255)
+      {
+         const index = Number(color);
+
+         codes.push(colorLevel >= 2 ? `${background ? 48 : 38};5;${index}` :
+          ansi256ToBasic(index) + (background ? 10 : 0));
+      }
+      else if ((/^#([\da-f]{3}|[\da-f]{6})$/i).test(color))
+      {
+         const rgb = parseHex(color);
+
+         if (colorLevel >= 3)
+         {
+            codes.push(`${background ? 48 : 38};2;${rgb.join(';')}`);
+         }
+         else if (colorLevel === 2)
+         {
+            codes.push(`${background ? 48 : 38};5;${rgbToAnsi256(...rgb)}`);
+         }
+         else
+         {
+            codes.push(rgbToBasic(...rgb) + (background ? 10 : 0));
+         }
+      }
+      else
+      {
+         throw new TypeError(`Unknown style token: ${token}`);
+      }
+   }
+
+   return codes.length ? `\u001b[${codes.join(';')}m` : '';
+}
+
+/**
+ * @param {string}   hex - A `#rgb` or `#rrggbb` color.
+ *
+ * @returns {number[]} RGB components.
+ */
+function parseHex(hex)
+{
+   let value = hex.slice(1);
+
+   if (value.length === 3) { value = [...value].map((c) => `${c}${c}`).join(''); }
+
+   return [0, 2, 4].map((i) => parseInt(value.slice(i, i + 2), 16));
+}
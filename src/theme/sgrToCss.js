@@ -0,0 +1,91 @@
+import {
+   ansi256ToRgb,
+   BASIC_RGB }                from './color.js';
+
+/**
+ * Converts an ANSI SGR escape sequence to CSS for browser console `%c` styling.
+ *
+ * @param {string}   sequence - ANSI escape sequence; IE `\u001b[1;31m`.
+ *
+ * @returns {string} CSS declarations.
+ */
+export function sgrToCss(sequence)
+{
+   if (typeof sequence !== 'string' || !sequence.startsWith('\u001b[') || !sequence.endsWith('m')) { return ''; }
+
+   const codes = sequence.slice(2, -1).split(';').map(Number);
+
+   const css = [];
+   const decorations = [];
+
+   for (let i = 0; i < codes.length; i++)
+   {
+      const code = codes[i];
+
+      switch (code)
+      {
+         case 1:
+            css.push('font-weight: bold');
+            break;
+
+         case 2:
+            css.push('opacity: 0.7');
+            break;
+
+         case 3:
+            css.push('font-style: italic');
+            break;
+
+         case 4:
+            decorations.push('underline');
+            break;
+
+         case 7:
+            css.push('filter: invert(1)');
+            break;
+
+         case 9:
+            decorations.push('line-through');
+            break;
+
+         case 38:
+         case 48:
+         {
+            const property = code === 38 ? 'color' : 'background';
+
+            if (codes[i + 1] === 5)
+            {
+               css.push(`${property}: ${toRgb(ansi256ToRgb(codes[i + 2]))}`);
+               i += 2;
+            }
+            else if (codes[i + 1] === 2)
+            {
+               css.push(`${property}: ${toRgb(codes.slice(i + 2, i + 5))}`);
+               i += 4;
+            }
+            break;
+         }
+
+         default:
+            if (code >= 30 && code <= 37) { css.push(`color: ${toRgb(BASIC_RGB[code - 30])}`); }
+            else if (code >= 90 && code <= 97) { css.push(`color: ${toRgb(BASIC_RGB[code - 82])}`); }
+            else if (code >= 40 && code <= 47) { css.push(`background: ${toRgb(BASIC_RGB[code - 40])}`); }
+            else if (code >= 100 && code <= 107) { css.push(`background: ${toRgb(BASIC_RGB[code - 92])}`); }
+            break;
+      }
+   }
+
+   if (decorations.length) { css.push(`text-decoration: ${decorations.join(' ')}`); }
+
+   return css.join('; ');
+}
+
+/**
+ * @param {number[]} rgb - RGB components.
+ *
+ * @returns {string} CSS rgb color.
+ */
+function toRgb(rgb)
+{
+   return `rgb(${rgb.join(', ')})`;
+}
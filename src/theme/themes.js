@@ -0,0 +1,59 @@
+/**
+ * Built-in themes selected by name with the `theme` option.
+ *
+ * - `dark`: soft truecolor level colors for dark backgrounds.
+ * - `light`: darker 256 color level colors for light backgrounds.
+ * - `high-contrast`: bold bright colors with emphasized tag / timestamp / file info.
+ *
+ * @type {Readonly<Record<string, import('../types').ThemeDefinition>>}
+ */
+export const themes = Object.freeze({
+   dark: Object.freeze({
+      levels: Object.freeze({
+         fatal: 'bold #ff5f5f',
+         error: '#ff5f5f',
+         warn: '#ffd75f',
+         info: '#87d787',
+         debug: '#5fafff',
+         verbose: '#d787ff',
+         trace: '#5fd7d7'
+      }),
+      tag: 'bold',
+      time: '245',
+      info: 'dim italic',
+      highlight: 'bold #ffffff'
+   }),
+
+   light: Object.freeze({
+      levels: Object.freeze({
+         fatal: 'bold 124',
+         error: '160',
+         warn: '130',
+         info: '28',
+         debug: '25',
+         verbose: '91',
+         trace: '30'
+      }),
+      tag: 'bold',
+      time: '243',
+      info: 'italic 243',
+      highlight: 'bold 16'
+   }),
+
+   'high-contrast': Object.freeze({
+      levels: Object.freeze({
+         fatal: 'bold brightWhite bg:red',
+         error: 'bold brightRed',
+         warn: 'bold brightYellow',
+         info: 'bold brightGreen',
+         debug: 'bold brightCyan',
+         verbose: 'bold brightMagenta',
+         trace: 'bold brightWhite'
+      }),
+      tag: 'bold underline brightWhite',
+      badge: 'inverse',
+      time: 'brightWhite',
+      info: 'underline brightWhite',
+      highlight: 'bold underline'
+   })
+});
@@ -0,0 +1,73 @@
+/**
+ * Provides a transport that invokes a custom callback for each log message.
+ *
+ * @example
+ * import {
+ *    CallbackTransport,
+ *    ColorLogger }           from '@typhonjs-utils/logger-color';
+ *
+ * const logger = new ColorLogger();
+ *
+ * logger.addTransport(new CallbackTransport((message, entry) => remoteService.send(entry.level, message),
+ *  { level: 'warn', noColor: true }));
+ *
+ * @implements {import('../types').ColorLoggerTransport}
+ */
+export class CallbackTransport
+{
+   /**
+    * @type {(message: string, entry: import('../types').TransportEntry) => void | Promise<void>}
+    */
+   #callback;
+
+   /**
+    * @type {import('../ColorLogger').LogLevel}
+    */
+   #level;
+
+   /**
+    * @type {boolean}
+    */
+   #noColor;
+
+   /**
+    * @param {(message: string, entry: import('../types').TransportEntry) => void | Promise<void>}   callback -
+    *        Callback invoked for each log message.
+    *
+    * @param {import('../types').TransportOptions}   [options] - Optional transport options.
+    */
+   constructor(callback, { level = 'all', noColor = false } = {})
+   {
+      if (typeof callback !== 'function') { throw new TypeError(`'callback' is not a function.`); }
+      if (typeof level !== 'string') { throw new TypeError(`'level' is not a string.`); }
+      if (typeof noColor !== 'boolean') { throw new TypeError(`'noColor' is not a boolean.`); }
+
+      this.#callback = callback;
+      this.#level = level;
+      this.#noColor = noColor;
+   }
+
+   /**
+    * @returns {import('../ColorLogger').LogLevel} The minimum log level output by this transport.
+    */
+   get level() { return this.#level; }
+
+   /**
+    * @returns {boolean} Whether messages are output without ANSI color codes.
+    */
+   get noColor() { return this.#noColor; }
+
+   /**
+    * Invokes the callback with the message and entry data.
+    *
+    * @param {string}   message - Formatted log message.
+    *
+    * @param {import('../types').TransportEntry}   entry - Log entry data.
+    *
+    * @returns {void | Promise<void>} The callback result; a promise marks the destination as blocked.
+    */
+   write(message, entry)
+   {
+      return this.#callback(message, entry);
+   }
+}
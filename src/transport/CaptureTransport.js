@@ -0,0 +1,199 @@
+/**
+ * Matches the parameters and final byte of an ANSI SGR sequence following `\u001b[`.
+ *
+ * @type {RegExp}
+ */
+const REGEX_SGR_TAIL = /^[\d;]*m/;
+
+/**
+ * Provides a transport that collects log entries in memory for test assertions. Usually created by
+ * `ColorLogger.capture` which disables console output until {@link CaptureTransport.restore} is invoked or by
+ * `ColorLogger.withCapture` which restores automatically.
+ *
+ * @example
+ * import { ColorLogger }     from '@typhonjs-utils/logger-color';
+ *
+ * const logger = new ColorLogger();
+ *
+ * const capture = await logger.withCapture(() => service.connect());
+ *
+ * capture.expectLogged('warn', /retry/);
+ * capture.expectNotLogged('error');
+ *
+ * @implements {import('../types').ColorLoggerTransport}
+ */
+export class CaptureTransport
+{
+   /**
+    * @type {import('../types').CapturedEntry[]}
+    */
+   #entries = [];
+
+   /**
+    * @type {import('../ColorLogger').LogLevel}
+    */
+   #level;
+
+   /**
+    * @type {(() => void) | undefined}
+    */
+   #restore;
+
+   /**
+    * @param {object}   [options] - Optional transport options.
+    *
+    * @param {import('../ColorLogger').LogLevel}   [options.level='all'] - The minimum log level collected.
+    *
+    * @param {() => void}  [options.restore] - Invoked once by {@link CaptureTransport.restore}.
+    */
+   constructor({ level = 'all', restore } = {})
+   {
+      if (typeof level !== 'string') { throw new TypeError(`'level' is not a string.`); }
+      if (restore !== void 0 && typeof restore !== 'function') { throw new TypeError(`'restore' is not a function.`); }
+
+      this.#level = level;
+      this.#restore = restore;
+   }
+
+   /**
+    * @returns {import('../types').CapturedEntry[]} A copy of all collected entries from oldest to newest.
+    */
+   get entries() { return [...this.#entries]; }
+
+   /**
+    * @returns {import('../ColorLogger').LogLevel} The minimum log level collected by this transport.
+    */
+   get level() { return this.#level; }
+
+   /**
+    * @returns {boolean} Always true; messages are collected without ANSI color codes.
+    */
+   get noColor() { return true; }
+
+   /**
+    * Removes all collected entries.
+    */
+   clear()
+   {
+      this.#entries.length = 0;
+   }
+
+   /**
+    * Asserts that at least one collected entry matches and returns the first match.
+    *
+    * @param {import('../ColorLogger').LogLevel}   [level] - Log level to match; any level when undefined.
+    *
+    * @param {string | RegExp}   [pattern] - Text included in or pattern matching the entry text.
+    *
+    * @returns {import('../types').CapturedEntry} The first matching entry.
+    *
+    * @throws {Error} When no matching entry was collected; the message lists all collected entries.
+    */
+   expectLogged(level, pattern)
+   {
+      const entry = this.filter(level, pattern)[0];
+
+      if (entry === void 0)
+      {
+         const captured = this.#entries.length ? this.#entries.map((item) => `\n  [${item.level}] ${item.text}`)
+          .join('') : ' none';
+
+         throw new Error(`Expected ${CaptureTransport.#DESCRIBE(level, pattern)}; captured:${captured}`);
+      }
+
+      return entry;
+   }
+
+   /**
+    * Asserts that no collected entry matches.
+    *
+    * @param {import('../ColorLogger').LogLevel}   [level] - Log level to match; any level when undefined.
+    *
+    * @param {string | RegExp}   [pattern] - Text included in or pattern matching the entry text.
+    *
+    * @throws {Error} When a matching entry was collected.
+    */
+   expectNotLogged(level, pattern)
+   {
+      const entry = this.filter(level, pattern)[0];
+
+      if (entry !== void 0)
+      {
+         throw new Error(`Expected no ${CaptureTransport.#DESCRIBE(level, pattern)}; found: [${entry.level}] ${
+          entry.text}`);
+      }
+   }
+
+   /**
+    * Returns the collected entries matching the level and text pattern.
+    *
+    * @param {import('../ColorLogger').LogLevel}   [level] - Log level to match; any level when undefined.
+    *
+    * @param {string | RegExp}   [pattern] - Text included in or pattern matching the entry text.
+    *
+    * @returns {import('../types').CapturedEntry[]} Matching entries.
+    */
+   filter(level, pattern)
+   {
+      if (level !== void 0 && typeof level !== 'string') { throw new TypeError(`'level' is not a string.`); }
+
+      if (pattern !== void 0 && typeof pattern !== 'string' && !(pattern instanceof RegExp))
+      {
+         throw new TypeError(`'pattern' is not a string or RegExp.`);
+      }
+
+      return this.#entries.filter((entry) => (level === void 0 || entry.level === level) && (pattern === void 0 ||
+       (typeof pattern === 'string' ? entry.text.includes(pattern) : entry.text.search(pattern) !== -1)));
+   }
+
+   /**
+    * Restores the logger output settings replaced when capturing started. Further calls have no effect.
+    */
+   restore()
+   {
+      const restore = this.#restore;
+
+      this.#restore = void 0;
+
+      restore?.();
+   }
+
+   /**
+    * Collects a log entry.
+    *
+    * @param {string}   message - Formatted log message.
+    *
+    * @param {import('../types').TransportEntry}   entry - Log entry data.
+    */
+   write(message, entry)
+   {
+      this.#entries.push(Object.freeze({ level: entry.level, text: CaptureTransport.#STRIP_ANSI(message),
+       args: entry.args }));
+   }
+
+   /**
+    * @param {string}   [level] - Log level.
+    *
+    * @param {string | RegExp}   [pattern] - Text pattern.
+    *
+    * @returns {string} Description of an expected entry for assertion messages.
+    */
+   static #DESCRIBE(level, pattern)
+   {
+      return `${level !== void 0 ? `a '${level}' entry` : 'an entry'}${pattern !== void 0 ?
+       ` matching ${typeof pattern === 'string' ? JSON.stringify(pattern) : String(pattern)}` : ''}`;
+   }
+
+   /**
+    * Removes ANSI SGR sequences.
+    *
+    * @param {string}   text - Text to strip.
+    *
+    * @returns {string} Text without ANSI SGR sequences.
+    */
+   static #STRIP_ANSI(text)
+   {
+      return text.split('\u001b[').map((part, index) => index === 0 ? part : REGEX_SGR_TAIL.test(part) ?
+       part.replace(REGEX_SGR_TAIL, '') : `\u001b[${part}`).join('');
+   }
+}
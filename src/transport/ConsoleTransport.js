@@ -0,0 +1,184 @@
+/**
+ * Provides a transport that outputs log messages to the console. This is the default transport of {@link ColorLogger}
+ * which is enabled / disabled by the `consoleEnabled` option. Additional console transports may be added with a
+ * separate level threshold or color setting.
+ *
+ * Log levels are routed to matching console methods, so shells, process supervisors and browser devtools level filters
+ * apply: `fatal` / `error` -> `console.error`, `warn` -> `console.warn`, `info` -> `console.info` and `verbose` /
+ * `debug` / `trace` -> `console.debug`. Custom levels use `console.log` unless mapped by the `methods` option. In Node
+ * the `stderr` option writes levels routed to `console.error` / `console.warn` directly to `process.stderr`.
+ *
+ * @implements {import('../types').ColorLoggerTransport}
+ */
+export class ConsoleTransport
+{
+   /**
+    * Default log level to console method routing.
+    *
+    * @type {Readonly<Record<string, import('../types').ConsoleMethod>>}
+    */
+   static #DEFAULT_METHODS = Object.freeze({
+      fatal: 'error',
+      error: 'error',
+      warn: 'warn',
+      info: 'info',
+      verbose: 'debug',
+      debug: 'debug',
+      trace: 'debug'
+   });
+
+   /**
+    * Valid console method names.
+    *
+    * @type {Set<string>}
+    */
+   static #VALID_METHODS = new Set(['debug', 'error', 'info', 'log', 'warn']);
+
+   /**
+    * @type {import('../ColorLogger').LogLevel}
+    */
+   #level;
+
+   /**
+    * @type {Readonly<Record<string, import('../types').ConsoleMethod>>}
+    */
+   #methods;
+
+   /**
+    * @type {boolean}
+    */
+   #noColor;
+
+   /**
+    * @type {boolean}
+    */
+   #stderr;
+
+   /**
+    * @param {import('../types').ConsoleTransportOptions}   [options] - Optional transport options.
+    */
+   constructor({ level = 'all', methods = {}, noColor = false, stderr = false } = {})
+   {
+      if (typeof level !== 'string') { throw new TypeError(`'level' is not a string.`); }
+      if (typeof methods !== 'object' || methods === null) { throw new TypeError(`'methods' is not an object.`); }
+      if (typeof noColor !== 'boolean') { throw new TypeError(`'noColor' is not a boolean.`); }
+      if (typeof stderr !== 'boolean') { throw new TypeError(`'stderr' is not a boolean.`); }
+
+      for (const [name, method] of Object.entries(methods))
+      {
+         if (!ConsoleTransport.#VALID_METHODS.has(method))
+         {
+            throw new TypeError(`'methods.${name}' is not a valid console method: ${method}`);
+         }
+      }
+
+      this.#level = level;
+      this.#methods = Object.freeze({ ...ConsoleTransport.#DEFAULT_METHODS, ...methods });
+      this.#noColor = noColor;
+      this.#stderr = stderr;
+   }
+
+   /**
+    * @returns {import('../ColorLogger').LogLevel} The minimum log level output by this transport.
+    */
+   get level() { return this.#level; }
+
+   /**
+    * @returns {Readonly<Record<string, import('../types').ConsoleMethod>>} Log level to console method routing.
+    */
+   get methods() { return this.#methods; }
+
+   /**
+    * @returns {boolean} Whether messages are output without ANSI color codes.
+    */
+   get noColor() { return this.#noColor; }
+
+   /**
+    * @returns {boolean} Whether `error` / `warn` routed levels are written to `process.stderr`.
+    */
+   get stderr() { return this.#stderr; }
+
+   /**
+    * Outputs the message to the console method routed by log level. Raw entries output the original arguments and
+    * entries from the browser backend output the CSS styled `console` arguments.
+    *
+    * @param {string}   message - Formatted log message.
+    *
+    * @param {import('../types').TransportEntry}   entry - Log entry data.
+    */
+   write(message, entry)
+   {
+      const method = this.#methods[entry.level] ?? 'log';
+
+      if (this.#stderr && (method === 'error' || method === 'warn') && !entry.consoleArgs &&
+       typeof globalThis.process?.stderr?.write === 'function')
+      {
+         globalThis.process.stderr.write(`${message}\n`);
+      }
+      else if (entry.raw)
+      {
+         console[method](...entry.args);
+      }
+      else if (entry.consoleArgs)
+      {
+         console[method](...entry.consoleArgs);
+      }
+      else
+      {
+         console[method](message);
+      }
+   }
+
+   /**
+    * Outputs batched messages of the `batch` logger option. Consecutive messages routed to the same console method or
+    * `process.stderr` are joined into one call; raw and browser backend entries are output separately.
+    *
+    * @param {string[]} messages - Formatted log messages.
+    *
+    * @param {import('../types').TransportEntry[]}   entries - Log entry data.
+    */
+   writeBatch(messages, entries)
+   {
+      let chunk = [];
+      let target = void 0;
+
+      const writeChunk = () =>
+      {
+         if (chunk.length === 0) { return; }
+
+         if (target === 'stderr')
+         {
+            globalThis.process.stderr.write(`${chunk.join('\n')}\n`);
+         }
+         else
+         {
+            console[target](chunk.join('\n'));
+         }
+
+         chunk = [];
+      };
+
+      for (let i = 0; i < messages.length; i++)
+      {
+         const entry = entries[i];
+         const method = this.#methods[entry.level] ?? 'log';
+
+         if (entry.raw || entry.consoleArgs)
+         {
+            writeChunk();
+            this.write(messages[i], entry);
+            continue;
+         }
+
+         const entryTarget = this.#stderr && (method === 'error' || method === 'warn') &&
+          typeof globalThis.process?.stderr?.write === 'function' ? 'stderr' : method;
+
+         if (entryTarget !== target) { writeChunk(); }
+
+         target = entryTarget;
+         chunk.push(messages[i]);
+      }
+
+      writeChunk();
+   }
+}
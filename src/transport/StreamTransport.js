@@ -0,0 +1,128 @@
+/**
+ * Provides a transport that writes log messages to any writable stream such as a Node `Writable`, `process.stderr`
+ * or a file stream. Each message is written on a separate line.
+ *
+ * @example
+ * import fs                  from 'node:fs';
+ *
+ * import {
+ *    ColorLogger,
+ *    StreamTransport }       from '@typhonjs-utils/logger-color';
+ *
+ * const logger = new ColorLogger();
+ *
+ * // Errors are also written without color to `app.log`.
+ * logger.addTransport(new StreamTransport(fs.createWriteStream('app.log'), { level: 'error', noColor: true }));
+ *
+ * @implements {import('../types').ColorLoggerTransport}
+ */
+export class StreamTransport
+{
+   /**
+    * @type {import('../ColorLogger').LogLevel}
+    */
+   #level;
+
+   /**
+    * @type {boolean}
+    */
+   #noColor;
+
+   /**
+    * @type {import('../types').StreamTransportTarget}
+    */
+   #stream;
+
+   /**
+    * @param {import('../types').StreamTransportTarget}  stream - A writable stream.
+    *
+    * @param {import('../types').TransportOptions}   [options] - Optional transport options.
+    */
+   constructor(stream, { level = 'all', noColor = false } = {})
+   {
+      if (typeof stream?.write !== 'function') { throw new TypeError(`'stream' is not a writable stream.`); }
+      if (typeof level !== 'string') { throw new TypeError(`'level' is not a string.`); }
+      if (typeof noColor !== 'boolean') { throw new TypeError(`'noColor' is not a boolean.`); }
+
+      this.#stream = stream;
+      this.#level = level;
+      this.#noColor = noColor;
+   }
+
+   /**
+    * @returns {import('../ColorLogger').LogLevel} The minimum log level output by this transport.
+    */
+   get level() { return this.#level; }
+
+   /**
+    * @returns {boolean} Whether messages are output without ANSI color codes.
+    */
+   get noColor() { return this.#noColor; }
+
+   /**
+    * @returns {import('../types').StreamTransportTarget} The associated writable stream.
+    */
+   get stream() { return this.#stream; }
+
+   /**
+    * Writes the message to the stream followed by a new line.
+    *
+    * @param {string}   message - Formatted log message.
+    */
+   write(message)
+   {
+      this.#stream.write(`${message}\n`);
+   }
+
+   /**
+    * Writes batched messages of the `batch` logger option to the stream in one chunk. When the stream buffer is full
+    * the logger waits for the returned promise before writing further batches.
+    *
+    * @param {string[]} messages - Formatted log messages.
+    *
+    * @returns {Promise<void> | undefined} A promise resolved on `drain` or `close` and rejected on `error` when the
+    *          stream buffer is full.
+    */
+   writeBatch(messages)
+   {
+      return this.#drain(this.#stream.write(`${messages.join('\n')}\n`));
+   }
+
+   /**
+    * @param {unknown}  result - Stream write result; `false` when the stream buffer is full.
+    *
+    * @returns {Promise<void> | undefined} A promise resolved on `drain` or `close` and rejected on `error` when the
+    *          stream buffer is full.
+    */
+   #drain(result)
+   {
+      const stream = this.#stream;
+
+      if (result !== false || typeof stream.once !== 'function' || stream.destroyed) { return void 0; }
+
+      return new Promise((resolve, reject) =>
+      {
+         const listeners = {
+            close: () => settle(),
+            drain: () => settle(),
+            error: (err) => settle(err)
+         };
+
+         const settle = (err) =>
+         {
+            for (const [event, listener] of Object.entries(listeners)) { stream.removeListener?.(event, listener); }
+
+            if (err)
+            {
+               reject(err);
+            }
+            else
+            {
+               resolve();
+            }
+         };
+
+         for (const [event, listener] of Object.entries(listeners)) { stream.once(event, listener); }
+      });
+   }
+}
@@ -0,0 +1,4 @@
+export * from './CallbackTransport.js';
+export * from './CaptureTransport.js';
+export * from './ConsoleTransport.js';
+export * from './StreamTransport.js';
@@ -1,3 +1,5 @@
+import type { LogLevel } from './ColorLogger';
+
 /**
  * Defines available core logging methods.
  */
@@ -377,3 +379,718 @@ export interface ColorLoggerIs
     */
    get trace(): boolean;
 }
+
+/**
+ * Provides the lazy logging API where function arguments are thunks only invoked when the level is enabled.
+ *
+ * @example
+ * ```js
+ * logger.lazy.trace('state:', () => buildHugeDump());
+ * ```
+ */
+export interface ColorLoggerLazy
+{
+   /**
+    * Lazy fatal log.
+    *
+    * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+    *
+    * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+    *          enabled.
+    */
+   fatal(...msg: any[]): string | Promise<string | undefined> | undefined;
+
+   /**
+    * Lazy error log.
+    *
+    * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+    *
+    * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+    *          enabled.
+    */
+   error(...msg: any[]): string | Promise<string | undefined> | undefined;
+
+   /**
+    * Lazy warn log.
+    *
+    * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+    *
+    * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+    *          enabled.
+    */
+   warn(...msg: any[]): string | Promise<string | undefined> | undefined;
+
+   /**
+    * Lazy info log.
+    *
+    * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+    *
+    * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+    *          enabled.
+    */
+   info(...msg: any[]): string | Promise<string | undefined> | undefined;
+
+   /**
+    * Lazy debug log.
+    *
+    * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+    *
+    * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+    *          enabled.
+    */
+   debug(...msg: any[]): string | Promise<string | undefined> | undefined;
+
+   /**
+    * Lazy verbose log.
+    *
+    * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+    *
+    * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+    *          enabled.
+    */
+   verbose(...msg: any[]): string | Promise<string | undefined> | undefined;
+
+   /**
+    * Lazy trace log.
+    *
+    * @param msg - log message; function arguments are thunks invoked when the level is enabled.
+    *
+    * @returns Formatted log message, a promise of it when thunks return promises or undefined if log level is not
+    *          enabled.
+    */
+   trace(...msg: any[]): string | Promise<string | undefined> | undefined;
+}
+
+/**
+ * Defines a log output sink that can be added to {@link ColorLogger} via `addTransport`. Each transport receives all
+ * log messages that pass the logger level and its own optional level threshold.
+ */
+export interface ColorLoggerTransport
+{
+   /**
+    * The minimum log level output by this transport; default: `all`.
+    */
+   readonly level?: LogLevel;
+
+   /**
+    * When true the transport receives messages without ANSI color codes.
+    */
+   readonly noColor?: boolean;
+
+   /**
+    * Outputs a formatted log message. A returned promise marks the destination as blocked; output of the `batch`
+    * option waits until it settles.
+    *
+    * @param message - Formatted log message.
+    *
+    * @param entry - Log entry data.
+    */
+   write(message: string, entry: TransportEntry): void | Promise<void>;
+
+   /**
+    * Outputs batched messages of the `batch` option in one chunk. When not defined `write` is invoked for each
+    * message.
+    *
+    * @param messages - Formatted log messages.
+    *
+    * @param entries - Log entry data.
+    */
+   writeBatch?(messages: string[], entries: TransportEntry[]): void | Promise<void>;
+}
+
+/**
+ * Defines the log entry data passed to {@link ColorLoggerTransport.write}.
+ */
+export interface TransportEntry
+{
+   /**
+    * The original log arguments.
+    */
+   args: any[];
+
+   /**
+    * Arguments for `console` methods from the browser backend with `%c` CSS styles and live object arguments.
+    */
+   consoleArgs?: any[];
+
+   /**
+    * Context fields bound to the logger.
+    */
+   context?: Record<string, any>;
+
+   /**
+    * The log level of the entry.
+    */
+   level: LogLevel;
+
+   /**
+    * The formatted log message without ANSI color codes.
+    */
+   message: string;
+
+   /**
+    * When true the entry is logged with the raw format.
+    */
+   raw: boolean;
+
+   /**
+    * The structured log record when the `json` format is enabled.
+    */
+   record?: LogRecord;
+}
+
+/**
+ * Defines the structured log record output by the `json` format.
+ */
+export interface LogRecord
+{
+   /**
+    * Context fields bound to the logger.
+    */
+   context?: Record<string, any>;
+
+   /**
+    * Object arguments.
+    */
+   data?: object[];
+
+   /**
+    * Error arguments.
+    */
+   errors?: LogRecordError[];
+
+   /**
+    * File name / line / column of where the log method is invoked.
+    */
+   info: string;
+
+   /**
+    * The log level name.
+    */
+   level: LogLevel;
+
+   /**
+    * The log level value.
+    */
+   levelValue: number;
+
+   /**
+    * The message text from all non-object arguments.
+    */
+   msg: string;
+
+   /**
+    * The logger tag.
+    */
+   tag?: string;
+
+   /**
+    * ISO 8601 timestamp.
+    */
+   time: string;
+
+   /**
+    * The tagged template of the message with numbered placeholders; IE `Loaded {0} plugins from {1}`.
+    */
+   template?: string;
+
+   /**
+    * Stack trace for the `trace` level.
+    */
+   trace?: string;
+
+   /**
+    * The interpolated values of a tagged template message.
+    */
+   values?: any[];
+}
+
+/**
+ * Defines the console methods that log levels may be routed to.
+ */
+export type ConsoleMethod = 'debug' | 'error' | 'info' | 'log' | 'warn';
+
+/**
+ * Defines the options for {@link ConsoleTransport}.
+ */
+export interface ConsoleTransportOptions extends TransportOptions
+{
+   /**
+    * Log level to console method routing merged with the default routing.
+    */
+   methods?: Record<string, ConsoleMethod>;
+
+   /**
+    * When true levels routed to `console.error` / `console.warn` are written to `process.stderr` in Node; default:
+    * `false`.
+    */
+   stderr?: boolean;
+}
+
+/**
+ * Defines the writable stream of {@link StreamTransport}; IE a Node `Writable`. Batched writes of the `batch` logger
+ * option wait for `drain` when `write` returns false and the stream emits events.
+ */
+export interface StreamTransportTarget
+{
+   /**
+    * True once the stream is destroyed.
+    */
+   destroyed?: boolean;
+
+   /**
+    * Adds a one-time event listener.
+    */
+   once?(event: string, listener: (...args: any[]) => void): unknown;
+
+   /**
+    * Removes an event listener.
+    */
+   removeListener?(event: string, listener: (...args: any[]) => void): unknown;
+
+   /**
+    * Writes a chunk; `false` when the stream buffer is full.
+    */
+   write(chunk: string): unknown;
+}
+
+/**
+ * Defines the options for the built-in transports.
+ */
+export interface TransportOptions
+{
+   /**
+    * The minimum log level output by the transport; default: `all`.
+    */
+   level?: LogLevel;
+
+   /**
+    * When true messages are output without ANSI color codes; default: `false`.
+    */
+   noColor?: boolean;
+}
+
+/**
+ * Defines a color theme for the `theme` option. Each style is a space separated list of tokens: modifiers (`bold`,
+ * `dim`, `italic`, `underline`, `inverse`, `strikethrough`), basic color names (`red`, `brightRed`, `gray`), 256
+ * color indexes (`0` - `255`) or hex truecolor (`#rrggbb`). Colors prefixed by `bg:` set the background color.
+ *
+ * Any line part without a style uses the level style.
+ *
+ * @example
+ * ```js
+ * const theme = {
+ *    levels: { error: 'bold #ff5f5f', info: '114' },
+ *    time: 'dim',
+ *    info: 'italic 245'
+ * };
+ * ```
+ */
+export interface ThemeDefinition
+{
+   /**
+    * Styles by log level name including custom levels. Levels without a style use the level color.
+    */
+   levels?: Record<string, string>;
+
+   /**
+    * Style of the tag.
+    */
+   tag?: string;
+
+   /**
+    * Style of the log level badge.
+    */
+   badge?: string;
+
+   /**
+    * Style of the timestamp.
+    */
+   time?: string;
+
+   /**
+    * Style of the file info.
+    */
+   info?: string;
+
+   /**
+    * Style of the message.
+    */
+   message?: string;
+
+   /**
+    * Style of interpolated tagged template values. Default: `bold`.
+    */
+   highlight?: string;
+}
+
+/**
+ * Defines the data passed to custom template tokens of the `tokens` option.
+ */
+export interface TemplateTokenData
+{
+   /**
+    * The original log arguments.
+    */
+   args: any[];
+
+   /**
+    * Context fields bound to the logger.
+    */
+   context: Record<string, any>;
+
+   /**
+    * The date of the log entry.
+    */
+   date: Date;
+
+   /**
+    * The log level of the entry.
+    */
+   level: LogLevel;
+
+   /**
+    * The logger tag.
+    */
+   tag?: string;
+}
+
+/**
+ * A custom timestamp formatter for the `timestamp` option.
+ *
+ * @param date - The date of the log entry.
+ *
+ * @param timing - Elapsed milliseconds since the logger started and since the last entry.
+ */
+export type TimestampFormatter = (date: Date, timing: { delta: number, elapsed: number }) => string;
+
+/**
+ * Defines the `serializer` option for serialized object arguments.
+ */
+export interface SerializerOptions
+{
+   /**
+    * When `true` object keys and values are colored with default styles when color output is enabled. An object
+    * defines styles by value type; IE `{ key: 'cyan', string: 'green' }`. Value types are `key`, `string`, `number`,
+    * `bigint`, `boolean`, `null`, `undefined`, `symbol`, `date` and `special` (functions, circular / depth markers).
+    * Default: `false`.
+    */
+   colors?: boolean | Record<string, string>;
+
+   /**
+    * Maximum depth of nested errors; the `cause` chain and `AggregateError` inner errors. Default: `5`.
+    */
+   causeDepth?: number;
+
+   /**
+    * Maximum nesting depth; deeper objects are output as `[Object]`. Default: `6`.
+    */
+   depth?: number;
+
+   /**
+    * Maximum array / Map / Set entries; remaining entries are output as `…N more`. Default: `100`.
+    */
+   maxArrayLength?: number;
+
+   /**
+    * Maximum string length; remaining characters are output as `…N more`. Default: `10000`.
+    */
+   maxStringLength?: number;
+}
+
+/**
+ * Defines the `redact` option replacing sensitive fields before formatting.
+ */
+export interface RedactOptions
+{
+   /**
+    * Replacement string. Default: `[REDACTED]`.
+    */
+   censor?: string;
+
+   /**
+    * Key names redacted at any depth; matched case-insensitively. IE `['password', 'authorization']`.
+    */
+   keys?: string[];
+
+   /**
+    * Dotted key paths from each logged object or the bound context where `*` matches any single key; IE
+    * `['req.headers.*', 'users.*.token']`.
+    */
+   paths?: string[];
+
+   /**
+    * Regular expressions replacing matching parts of string values; IE `[/Bearer\s+\S+/]`.
+    */
+   patterns?: RegExp[];
+}
+
+/**
+ * Defines the `batch` option buffering output.
+ */
+export interface BatchOptions
+{
+   /**
+    * Milliseconds until pending entries are written; `0` writes on the next microtask. Default: `0`.
+    */
+   interval?: number;
+
+   /**
+    * Pending entry count written immediately. Default: `100`.
+    */
+   size?: number;
+
+   /**
+    * Maximum pending entries while a destination is blocked. Default: `10000`.
+    */
+   limit?: number;
+
+   /**
+    * Policy when `limit` entries are pending while a destination is blocked; `drop` discards and counts new entries.
+    * `backpressure` keeps them without a bound and `ColorLogger.getBatchStats` reports `writable: false`; producers
+    * await `ColorLogger.flush` to wait for pending entries. Default: `drop`.
+    */
+   overflow?: 'drop' | 'backpressure';
+}
+
+/**
+ * Defines statistics of the `batch` option returned by `ColorLogger.getBatchStats`.
+ */
+export interface BatchStats
+{
+   /**
+    * Count of entries dropped by the `drop` overflow policy.
+    */
+   dropped: number;
+
+   /**
+    * Count of entries pending output.
+    */
+   pending: number;
+
+   /**
+    * False while `limit` or more entries are pending.
+    */
+   writable: boolean;
+}
+
+/**
+ * Defines an entry of the `buffer` option ring buffer.
+ */
+export interface BufferEntry
+{
+   /**
+    * Whether the entry was displayed when logged; displayed entries are not written again by `dumpBuffer`.
+    */
+   displayed: boolean;
+
+   /**
+    * Log level.
+    */
+   level: LogLevel;
+
+   /**
+    * Formatted log message without ANSI color codes.
+    */
+   message: string;
+
+   /**
+    * Structured record of the `json` format.
+    */
+   record?: LogRecord;
+
+   /**
+    * Logger tag.
+    */
+   tag?: string;
+
+   /**
+    * Entry time in milliseconds since the epoch.
+    */
+   time: number;
+}
+
+/**
+ * Defines the `buffer` option recording recent entries.
+ */
+export interface BufferOptions
+{
+   /**
+    * Maximum count of buffered entries.
+    */
+   size: number;
+
+   /**
+    * Capture level that may be lower than the display level. Default: `trace`.
+    */
+   level?: LogLevel;
+
+   /**
+    * Writes the buffered history before `fatal` entries and on uncaught exceptions. Default: `false`.
+    */
+   dump?: boolean;
+}
+
+/**
+ * Defines filters of `ColorLogger.queryBuffer`.
+ */
+export interface BufferQuery
+{
+   /**
+    * Entries at or above the level.
+    */
+   level?: LogLevel;
+
+   /**
+    * Tag name also matching nested child tags or a pattern.
+    */
+   tag?: string | RegExp;
+
+   /**
+    * Text included in or pattern matching the formatted message.
+    */
+   text?: string | RegExp;
+}
+
+/**
+ * Defines an entry collected by `CaptureTransport`.
+ */
+export interface CapturedEntry
+{
+   /**
+    * The original log arguments.
+    */
+   args: any[];
+
+   /**
+    * Log level.
+    */
+   level: LogLevel;
+
+   /**
+    * Formatted log message without ANSI escape sequences.
+    */
+   text: string;
+}
+
+/**
+ * Defines the `dedupe` option folding identical consecutive log entries.
+ */
+export interface DedupeOptions
+{
+   /**
+    * Milliseconds after the first repeat when the `(repeated N times)` summary is output if no different entry
+    * arrives before. Default: `1000`.
+    */
+   timeout?: number;
+}
+
+/**
+ * Defines the `rateLimit` option limiting log entries per key.
+ */
+export interface RateLimitOptions
+{
+   /**
+    * Maximum entries per key and interval.
+    */
+   limit: number;
+
+   /**
+    * Interval in milliseconds. Default: `1000`.
+    */
+   interval?: number;
+
+   /**
+    * Returns the rate limit key of an entry. Default: the log level and message text.
+    */
+   key?: (level: LogLevel, message: string) => string;
+}
+
+/**
+ * Defines a structured error of the `json` format.
+ */
+export interface LogRecordError
+{
+   /**
+    * The error `cause`; an error record or JSON safe value.
+    */
+   cause?: LogRecordError | any;
+
+   /**
+    * The inner errors of an `AggregateError`.
+    */
+   errors?: (LogRecordError | any)[];
+
+   /**
+    * The error message.
+    */
+   message: string;
+
+   /**
+    * The error name.
+    */
+   name: string;
+
+   /**
+    * Own error properties; IE `code`, `errno` or `status`.
+    */
+   props?: Record<string, any>;
+
+   /**
+    * The stack trace.
+    */
+   trace: string;
+}
+
+/**
+ * Defines a parsed stack frame.
+ */
+export interface StackFrame
+{
+   /**
+    * 1-based column.
+    */
+   column: number;
+
+   /**
+    * File path or URL.
+    */
+   file: string;
+
+   /**
+    * Function name when available.
+    */
+   function?: string;
+
+   /**
+    * 1-based line.
+    */
+   line: number;
+
+   /**
+    * The original stack frame line.
+    */
+   source: string;
+}
+
+/**
+ * Defines the timer handle returned by `ColorLogger.startTimer`.
+ */
+export interface LogTimer
+{
+   /**
+    * Logs the message with the elapsed duration; IE `Config loaded (12.3ms)`.
+    *
+    * @param msg - Log message; default: `done`.
+    *
+    * @param args - Additional log arguments.
+    *
+    * @returns Formatted log message or undefined if the log level is not enabled.
+    */
+   done(msg?: string, ...args: any[]): string | undefined;
+
+   /**
+    * @returns The elapsed milliseconds; `0` when the log level is disabled.
+    */
+   elapsed(): number;
+}
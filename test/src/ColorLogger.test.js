@@ -0,0 +1,2144 @@
+import events              from 'node:events';
+import fs                  from 'node:fs';
+import os                  from 'node:os';
+import path                from 'node:path';
+
+import {
+   assert,
+   vi }                    from 'vitest';
+
+import {
+   CallbackTransport,
+   ColorLogger,
+   ConsoleTransport,
+   StreamTransport }       from '../../src/ColorLogger.js';
+
+describe('ColorLogger:', () =>
+{
+   // Creates a logger without console output that collects plain messages in `output`.
+   let output;
+
+   const createLogger = (options) =>
+   {
+      output = [];
+
+      const logger = new ColorLogger({ consoleEnabled: false, noColor: true, ...options });
+
+      logger.addTransport({ noColor: true, write: (message) => output.push(message) });
+
+      return logger;
+   };
+
+   describe('transports:', () =>
+   {
+      it('stream / callback with separate level and color:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false });
+
+         const chunks = [];
+         const entries = [];
+
+         logger.addTransport(new StreamTransport({ write: (chunk) => chunks.push(chunk) }, { noColor: true }));
+         logger.addTransport(new CallbackTransport((message, entry) => entries.push({ message, entry }),
+          { level: 'error' }));
+
+         const result = logger.warn('A warning!');
+         logger.error('An error!');
+
+         assert.isTrue(result.startsWith('\u001b[33m'));
+
+         assert.deepEqual(chunks, ['A warning!\n', 'An error!\n']);
+
+         assert.strictEqual(entries.length, 1);
+         assert.strictEqual(entries[0].message, '\u001b[31mAn error!\u001b[0m');
+         assert.strictEqual(entries[0].entry.level, 'error');
+         assert.strictEqual(entries[0].entry.message, 'An error!');
+      });
+
+      it('add / remove:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false });
+
+         const messages = [];
+         const transport = new CallbackTransport((message) => messages.push(message));
+
+         assert.isTrue(logger.addTransport(transport));
+         assert.isFalse(logger.addTransport(transport));
+
+         logger.info('one');
+
+         assert.isTrue(logger.removeTransport(transport));
+         assert.isFalse(logger.removeTransport(transport));
+
+         logger.info('two');
+
+         assert.strictEqual(messages.length, 1);
+      });
+
+      it('ext NoColor applies to all transports:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false });
+
+         const messages = [];
+
+         logger.addTransport(new CallbackTransport((message) => messages.push(message)));
+
+         assert.strictEqual(logger.ext.infoNoColor('plain'), 'plain');
+         assert.deepEqual(messages, ['plain']);
+      });
+
+      it('failing transports reported:', async () =>
+      {
+         const error = vi.spyOn(console, 'error').mockImplementation(() => void 0);
+
+         const messages = [];
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         logger.addTransport(new CallbackTransport(async () => { throw new Error('remote down'); }));
+         logger.addTransport(new CallbackTransport(() => { throw new Error('sync failure'); }));
+         logger.addTransport(new CallbackTransport((message) => messages.push(message), { noColor: true }));
+
+         assert.strictEqual(logger.info('hi'), 'hi');
+
+         // Following transports are written.
+         assert.deepEqual(messages, ['hi']);
+
+         await new Promise((resolve) => setTimeout(resolve, 0));
+
+         assert.deepEqual(error.mock.calls.map((call) => call[1].message), ['sync failure', 'remote down']);
+         assert.match(error.mock.calls[0][0], /transport write failed/);
+
+         // Batched writes.
+         const batched = new ColorLogger({ batch: true, consoleEnabled: false });
+
+         batched.addTransport(new CallbackTransport(() => { throw new Error('sync failure'); }));
+         batched.addTransport(new CallbackTransport((message) => messages.push(message), { noColor: true }));
+
+         batched.info('one');
+         batched.info('two');
+
+         await batched.flush();
+
+         assert.deepEqual(messages, ['hi', 'one', 'two']);
+         assert.strictEqual(error.mock.calls.length, 4);
+
+         batched.setOptions({ batch: null });
+
+         error.mockRestore();
+      });
+
+      it('invalid transport:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false });
+
+         assert.throws(() => logger.addTransport({}), TypeError);
+         assert.throws(() => logger.addTransport({ level: 'bad', write: () => void 0 }), TypeError);
+         assert.throws(() => new StreamTransport({}), TypeError);
+         assert.throws(() => new CallbackTransport(null), TypeError);
+      });
+   });
+
+   describe('json format:', () =>
+   {
+      it('record fields:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, format: 'json', tag: 'app' });
+
+         const error = new Error('Bad!');
+         const result = JSON.parse(logger.error('Failed', { id: 1 }, error));
+
+         assert.strictEqual(result.level, 'error');
+         assert.strictEqual(result.levelValue, 6);
+         assert.strictEqual(result.tag, 'app');
+         assert.strictEqual(result.msg, 'Failed');
+         assert.strictEqual(new Date(result.time).toISOString(), result.time);
+         assert.isString(result.info);
+         assert.deepEqual(result.data, [{ id: 1 }]);
+         assert.strictEqual(result.errors[0].name, 'Error');
+         assert.strictEqual(result.errors[0].message, 'Bad!');
+      });
+
+      it('transport receives record:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, format: 'json' });
+
+         const lines = [];
+         const records = [];
+
+         logger.addTransport(new CallbackTransport((message, entry) =>
+         {
+            lines.push(message);
+            records.push(entry.record);
+         }));
+
+         logger.info('A', 'B');
+
+         assert.strictEqual(records[0].msg, 'A B');
+         assert.deepEqual(JSON.parse(lines[0]), records[0]);
+         assert.notInclude(lines[0], '\n');
+      });
+   });
+
+   describe('child loggers:', () =>
+   {
+      it('nested tags / inherited level / context:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, tag: 'app' });
+
+         const db = logger.child({ tag: 'db', context: { pool: 'main' } });
+         const pool = db.child({ tag: 'pool', context: { id: 2 } });
+
+         assert.strictEqual(pool.info('Connected'), '[app:db:pool] Connected {"pool":"main","id":2}');
+         assert.strictEqual(pool.getOptions().tag, 'app:db:pool');
+         assert.isTrue(pool.getOptions().noColor);
+
+         assert.isUndefined(pool.debug('hidden'));
+
+         logger.setLogLevel('debug');
+
+         assert.strictEqual(pool.getLogLevel(), 'debug');
+         assert.isString(pool.debug('shown'));
+
+         db.setLogLevel('error');
+
+         assert.isFalse(pool.is.warn);
+         assert.isTrue(logger.is.warn);
+      });
+
+      it('overridden options / shared transports:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false });
+
+         const messages = [];
+
+         logger.addTransport(new CallbackTransport((message) => messages.push(message), { noColor: true }));
+
+         const child = logger.child({ tag: 'http', showLevel: true });
+
+         child.warn('slow');
+         logger.setOptions({ showLevel: false });
+         child.warn('slow');
+
+         assert.deepEqual(messages, ['[http] [W] slow', '[http] [W] slow']);
+         assert.isFalse(logger.getOptions().showLevel);
+      });
+
+      it('json context:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, format: 'json' });
+
+         const record = JSON.parse(logger.child({ tag: 'db', context: { reqId: 1 } }).info('query'));
+
+         assert.strictEqual(record.tag, 'db');
+         assert.deepEqual(record.context, { reqId: 1 });
+      });
+
+      it('invalid context:', () =>
+      {
+         assert.throws(() => new ColorLogger().child({ context: 'bad' }), TypeError);
+      });
+   });
+
+   describe('custom levels:', () =>
+   {
+      const levels = {
+         notice: { priority: 4.5, color: '36', type: '[N]' },
+         success: { priority: 4.2, color: '1;32', type: '[S]', method: 'ok' }
+      };
+
+      it('logging methods / is / ext / level API:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, showLevel: true, levels });
+
+         assert.strictEqual(logger.notice('Heads up'), '\u001b[36m[N] Heads up\u001b[0m');
+         assert.strictEqual(logger.ok('Done'), '\u001b[1;32m[S] Done\u001b[0m');
+         assert.strictEqual(logger.ext.noticeNoColor('Plain'), '[N] Plain');
+
+         assert.isTrue(logger.isValidLevel('notice'));
+         assert.isTrue(logger.is.notice);
+         assert.isTrue(logger.setLogLevel('notice'));
+         assert.strictEqual(logger.getLogLevel(), 'notice');
+
+         assert.isFalse(logger.is.success);
+         assert.isTrue(logger.is.warn);
+         assert.isUndefined(logger.ok('Hidden'));
+      });
+
+      it('child loggers share levels:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, levels });
+
+         assert.strictEqual(logger.child({ tag: 'db' }).notice('Heads up'), '[db] Heads up');
+      });
+
+      it('eventbus bindings:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, levels });
+
+         const events = new Map();
+
+         logger.onPluginLoad({ eventbus: { on: (name, callback, context) => events.set(name, callback.bind(context)) } });
+
+         assert.strictEqual(events.get('log:notice')('Heads up'), 'Heads up');
+         assert.strictEqual(events.get('log:success:raw')('Done'), 'Done');
+         assert.isTrue(events.get('log:level:is:valid')('notice'));
+      });
+
+      it('invalid definitions:', () =>
+      {
+         assert.throws(() => new ColorLogger({ levels: { info: { priority: 4.5, color: '36' } } }), TypeError);
+         assert.throws(() => new ColorLogger({ levels: { notice: { priority: 4, color: '36' } } }), TypeError);
+         assert.throws(() => new ColorLogger({ levels: { notice: { priority: 9, color: '36' } } }), TypeError);
+         assert.throws(() => new ColorLogger({ levels: { notice: { priority: 4.5 } } }), TypeError);
+         assert.throws(() => new ColorLogger({ levels: { notice: { priority: 4.5, color: '36', method: 'child' } } }),
+          TypeError);
+      });
+   });
+
+   describe('themes:', () =>
+   {
+      it('part styles:', () =>
+      {
+         const logger = new ColorLogger({
+            consoleEnabled: false,
+            showLevel: true,
+            tag: 'app',
+            theme: {
+               levels: { warn: '#ff8800' },
+               tag: 'bold underline',
+               badge: 'inverse 208',
+               message: 'italic bg:blue'
+            }
+         });
+
+         assert.strictEqual(logger.warn('Careful'), '\u001b[1;4m[app]\u001b[0m \u001b[7;38;5;208m[W]\u001b[0m ' +
+          '\u001b[3;44mCareful\u001b[0m');
+      });
+
+      it('level style:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, tag: 'app', theme: { levels: { info: 'bold #0f0' } } });
+
+         assert.strictEqual(logger.info('Hi'), '\u001b[1;38;2;0;255;0m[app]\u001b[0m \u001b[1;38;2;0;255;0mHi\u001b[0m');
+
+         // Levels without a theme style use the level color.
+         assert.strictEqual(logger.warn('Hi'), '\u001b[33m[app]\u001b[0m \u001b[33mHi\u001b[0m');
+      });
+
+      it('built-in themes:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, showDate: true, theme: 'dark' });
+
+         const result = logger.info('Hi');
+
+         assert.isTrue(result.startsWith('\u001b[38;5;245m['));
+         assert.isTrue(result.endsWith('\u001b[38;2;135;215;135mHi\u001b[0m'));
+
+         logger.setOptions({ theme: 'light' });
+         assert.isTrue(logger.info('Hi').endsWith('\u001b[38;5;28mHi\u001b[0m'));
+
+         logger.setOptions({ theme: 'high-contrast' });
+         assert.isTrue(logger.info('Hi').endsWith('\u001b[1;92mHi\u001b[0m'));
+
+         logger.setOptions({ theme: null, showDate: false });
+         assert.strictEqual(logger.info('Hi'), '\u001b[32mHi\u001b[0m');
+      });
+
+      it('invalid themes:', () =>
+      {
+         assert.throws(() => new ColorLogger({ theme: 'bogus' }), TypeError);
+         assert.throws(() => new ColorLogger({ theme: { tag: 'sparkly' } }), TypeError);
+         assert.throws(() => new ColorLogger({ theme: { levels: { info: '256' } } }), TypeError);
+      });
+   });
+
+   describe('color detection:', () =>
+   {
+      const tty = { isTTY: true };
+
+      it('detectColorLevel:', () =>
+      {
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: tty, env: { NO_COLOR: '1', TERM: 'xterm' } }), 0);
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: tty, env: { NO_COLOR: '1', FORCE_COLOR: '3' } }), 3);
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: {}, env: { FORCE_COLOR: '2' } }), 2);
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: tty, env: { FORCE_COLOR: 'false' } }), 0);
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: {}, env: { TERM: 'xterm-256color' } }), 0);
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: tty, env: { TERM: 'dumb' } }), 0);
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: tty, env: { COLORTERM: 'truecolor' } }), 3);
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: tty, env: { TERM: 'xterm-256color' } }), 2);
+         assert.strictEqual(ColorLogger.detectColorLevel({ stream: tty, env: { TERM: 'xterm' } }), 1);
+      });
+
+      it('default color level:', () =>
+      {
+         assert.strictEqual(new ColorLogger().getOptions().colorLevel, 3);
+      });
+
+      it('color level 0 disables color / explicit noColor override:', () =>
+      {
+         assert.strictEqual(new ColorLogger({ consoleEnabled: false, colorLevel: 0 }).info('Hi'), 'Hi');
+
+         const original = process.env.FORCE_COLOR;
+
+         process.env.FORCE_COLOR = '0';
+
+         try
+         {
+            assert.strictEqual(new ColorLogger({ consoleEnabled: false }).info('Hi'), 'Hi');
+
+            const logger = new ColorLogger({ consoleEnabled: false, noColor: false });
+
+            assert.strictEqual(logger.getOptions().colorLevel, 1);
+            assert.strictEqual(logger.info('Hi'), '\u001b[32mHi\u001b[0m');
+         }
+         finally
+         {
+            process.env.FORCE_COLOR = original;
+         }
+      });
+
+      it('stderr routed levels detect stderr color level:', () =>
+      {
+         const env = ['COLORTERM', 'FORCE_COLOR', 'NO_COLOR', 'TERM'];
+         const original = Object.fromEntries(env.map((key) => [key, process.env[key]]));
+         const isTTY = { stdout: process.stdout.isTTY, stderr: process.stderr.isTTY };
+
+         for (const key of env) { delete process.env[key]; }
+
+         process.env.TERM = 'xterm-256color';
+         process.stdout.isTTY = true;
+         process.stderr.isTTY = false;
+
+         try
+         {
+            const logger = new ColorLogger({ consoleEnabled: false });
+
+            assert.strictEqual(logger.getOptions().colorLevel, 2);
+            assert.notStrictEqual(logger.info('Hi'), 'Hi');
+            assert.strictEqual(logger.error('Hi'), 'Hi');
+            assert.strictEqual(logger.warn('Hi'), 'Hi');
+            assert.strictEqual(logger.child({ tag: 'child' }).error('Hi'), '[child] Hi');
+
+            logger.setOptions({ consoleMethods: { error: 'log' } });
+
+            assert.notStrictEqual(logger.error('Hi'), 'Hi');
+
+            // Explicit color options apply to all levels.
+            assert.notStrictEqual(new ColorLogger({ consoleEnabled: false, colorLevel: 2 }).warn('Hi'), 'Hi');
+            assert.notStrictEqual(new ColorLogger({ consoleEnabled: false, noColor: false }).warn('Hi'), 'Hi');
+         }
+         finally
+         {
+            for (const key of env)
+            {
+               if (original[key] === void 0) { delete process.env[key]; }
+               else { process.env[key] = original[key]; }
+            }
+
+            process.stdout.isTTY = isTTY.stdout;
+            process.stderr.isTTY = isTTY.stderr;
+         }
+      });
+
+      it('theme styles converted to color level:', () =>
+      {
+         const theme = { levels: { info: '#ff8800' } };
+
+         assert.strictEqual(new ColorLogger({ consoleEnabled: false, colorLevel: 2, theme }).info('Hi'),
+          '\u001b[38;5;214mHi\u001b[0m');
+
+         assert.strictEqual(new ColorLogger({ consoleEnabled: false, colorLevel: 1, theme }).info('Hi'),
+          '\u001b[93mHi\u001b[0m');
+
+         assert.strictEqual(new ColorLogger({ consoleEnabled: false, colorLevel: 1, theme: { levels: { info: '196' } } })
+          .info('Hi'), '\u001b[91mHi\u001b[0m');
+      });
+   });
+
+   describe('browser backend:', () =>
+   {
+      it('CSS styles / live objects:', () =>
+      {
+         const logger = new ColorLogger({ backend: 'browser', tag: 'app' });
+
+         const spy = vi.spyOn(console, 'warn').mockImplementation(() => void 0);
+
+         const data = { id: 1 };
+
+         try
+         {
+            assert.strictEqual(logger.warn('100% loaded', data), '[app] 100% loaded\n{\n   "id": 1\n}');
+
+            assert.deepEqual(spy.mock.calls[0], ['%c[app] 100%% loaded %o', 'color: rgb(193, 156, 0)', data]);
+            assert.strictEqual(spy.mock.calls[0][2], data);
+         }
+         finally
+         {
+            spy.mockRestore();
+         }
+      });
+
+      it('theme parts / no color transport:', () =>
+      {
+         const logger = new ColorLogger({
+            backend: 'browser',
+            consoleEnabled: false,
+            showLevel: true,
+            theme: { levels: { info: 'bold #00ff00' }, badge: 'italic underline' }
+         });
+
+         const entries = [];
+
+         logger.addTransport(new CallbackTransport((message, entry) => entries.push({ message, entry })));
+         logger.addTransport(new CallbackTransport((message, entry) => entries.push({ message, entry }),
+          { noColor: true }));
+
+         logger.info('Hi');
+
+         assert.strictEqual(entries[0].message, '[I] Hi');
+         assert.deepEqual(entries[0].entry.consoleArgs, ['%c[I]%c %cHi',
+          'font-style: italic; text-decoration: underline', '', 'font-weight: bold; color: rgb(0, 255, 0)']);
+
+         assert.deepEqual(entries[1].entry.consoleArgs, ['[I] Hi']);
+      });
+   });
+
+   describe('console routing:', () =>
+   {
+      afterEach(() => vi.restoreAllMocks());
+
+      it('default / configured console methods:', () =>
+      {
+         const spies = Object.fromEntries(['debug', 'error', 'info', 'log', 'warn'].map(
+          (method) => [method, vi.spyOn(console, method).mockImplementation(() => void 0)]));
+
+         const logger = new ColorLogger({ noColor: true });
+
+         logger.setLogLevel('all');
+
+         logger.fatal('fatal');
+         logger.error('error');
+         logger.warn('warn');
+         logger.info('info');
+         logger.debug('debug');
+         logger.ext.verboseRaw('verbose', 1);
+
+         assert.deepEqual(spies.error.mock.calls, [['fatal'], ['error']]);
+         assert.deepEqual(spies.warn.mock.calls, [['warn']]);
+         assert.deepEqual(spies.info.mock.calls, [['info']]);
+         assert.deepEqual(spies.debug.mock.calls, [['debug'], ['verbose', 1]]);
+
+         logger.setOptions({ consoleMethods: { warn: 'log' } });
+         logger.warn('warn');
+
+         assert.deepEqual(spies.log.mock.calls, [['warn']]);
+         assert.deepEqual(logger.getOptions().consoleMethods, { warn: 'log' });
+      });
+
+      it('stderr:', () =>
+      {
+         const write = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+         const info = vi.spyOn(console, 'info').mockImplementation(() => void 0);
+
+         const logger = new ColorLogger({ noColor: true, stderr: true });
+
+         logger.error('error');
+         logger.warn('warn');
+         logger.info('info');
+
+         assert.deepEqual(write.mock.calls, [['error\n'], ['warn\n']]);
+         assert.deepEqual(info.mock.calls, [['info']]);
+      });
+
+      it('invalid console method:', () =>
+      {
+         assert.throws(() => new ColorLogger({ consoleMethods: { warn: 'shout' } }), TypeError);
+         assert.throws(() => new ConsoleTransport({ stderr: 'yes' }), TypeError);
+      });
+   });
+
+   describe('templates:', () =>
+   {
+      it('tokens and modifiers:', () =>
+      {
+         const logger = new ColorLogger({
+            consoleEnabled: false,
+            noColor: true,
+            tag: 'app',
+            template: '{{{level:upper:pad5}}} {badge:>3}|{tag:^7}| {msg} {context}'
+         });
+
+         const child = logger.child({ tag: 'db', context: { id: 1 } });
+
+         assert.strictEqual(logger.warn('Careful'), '{WARN } [W]|  app  | Careful ');
+         assert.strictEqual(child.info('Ready'), '{INFO } [I]|app:db | Ready {"id":1}');
+      });
+
+      it('custom tokens:', () =>
+      {
+         const logger = new ColorLogger({
+            consoleEnabled: false,
+            noColor: true,
+            template: '{pid} {level} {count} - {msg}',
+            tokens: {
+               count: ({ args }) => args.length,
+               pid: () => 42
+            }
+         });
+
+         assert.strictEqual(logger.info('a', 'b'), '42 info 2 - a\nb');
+      });
+
+      it('time:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, template: '{level}: {msg}' });
+
+         assert.match(logger.ext.infoTime('Ready'), /^\[\d{4}-\d{2}-\d{2}T[^\]]+\] info: Ready$/);
+
+         logger.setOptions({ template: '{msg} @ {time}' });
+
+         assert.match(logger.ext.infoTime('Ready'), /^Ready @ \d{4}-\d{2}-\d{2}T\S+$/);
+      });
+
+      it('themed parts:', () =>
+      {
+         const logger = new ColorLogger({
+            consoleEnabled: false,
+            template: '{level} {msg}',
+            theme: { badge: 'bold', message: 'italic' }
+         });
+
+         assert.strictEqual(logger.info('Ready'), '\u001b[1minfo\u001b[0m \u001b[3mReady\u001b[0m');
+      });
+
+      it('reset and options:', () =>
+      {
+         const tokens = { pid: () => 42 };
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, template: '{pid} {msg}', tokens });
+
+         assert.strictEqual(logger.getOptions().tokens.pid, tokens.pid);
+         assert.strictEqual(logger.getOptions().template, '{pid} {msg}');
+
+         logger.setOptions({ template: null });
+
+         assert.strictEqual(logger.info('Ready'), 'Ready');
+         assert.isUndefined(logger.getOptions().template);
+      });
+
+      it('invalid template:', () =>
+      {
+         assert.throws(() => new ColorLogger({ template: '{unknown}' }), TypeError);
+         assert.throws(() => new ColorLogger({ template: '{msg:shout}' }), TypeError);
+         assert.throws(() => new ColorLogger({ template: 42 }), TypeError);
+         assert.throws(() => new ColorLogger({ tokens: { pid: 42 } }), TypeError);
+      });
+   });
+
+   describe('timestamps:', () =>
+   {
+      afterEach(() => vi.useRealTimers());
+
+      it('iso / time:', () =>
+      {
+         vi.useFakeTimers({ now: Date.UTC(2024, 0, 2, 3, 4, 5, 6) });
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, showDate: true });
+
+         assert.strictEqual(logger.info('Ready'), '[2024-01-02T03:04:05.006Z] Ready');
+
+         logger.setOptions({ showDate: false, timestamp: 'time' });
+
+         assert.match(logger.ext.infoTime('Ready'), /^\[\d{2}:\d{2}:05\.006\] Ready$/);
+      });
+
+      it('local:', () =>
+      {
+         vi.useFakeTimers({ now: Date.UTC(2024, 0, 2, 3, 4, 5, 6) });
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, template: '{time}',
+          timestamp: 'local' });
+
+         const result = logger.info('Ready');
+
+         assert.match(result, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:05\.006[+-]\d{2}:\d{2}$/);
+         assert.strictEqual(new Date(result).getTime(), Date.UTC(2024, 0, 2, 3, 4, 5, 6));
+      });
+
+      it('elapsed / delta:', () =>
+      {
+         vi.useFakeTimers({ now: 1000 });
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, template: '{time} {msg}',
+          timestamp: 'elapsed' });
+
+         const child = logger.child({ timestamp: 'delta' });
+
+         vi.advanceTimersByTime(250);
+         assert.strictEqual(logger.info('a'), '+250ms a');
+
+         vi.advanceTimersByTime(100);
+         assert.strictEqual(child.info('b'), '+100ms b');
+         assert.strictEqual(logger.info('c'), '+350ms c');
+      });
+
+      it('formatter:', () =>
+      {
+         vi.useFakeTimers({ now: 5000 });
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true,
+          timestamp: (date, { elapsed }) => `${date.getTime()}/${elapsed}` });
+
+         vi.advanceTimersByTime(20);
+
+         assert.strictEqual(logger.ext.infoTime('Ready'), '[5020/20] Ready');
+         assert.throws(() => logger.setOptions({ timestamp: 'unix' }), TypeError);
+      });
+   });
+
+   describe('namespaces:', () =>
+   {
+      afterEach(() => vi.unstubAllEnvs());
+
+      it('matching rules:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, namespaces: 'app:db:*=trace,app:http=warn,*=error',
+          noColor: true, tag: 'app' });
+
+         const db = logger.child({ tag: 'db' }).child({ tag: 'pool' });
+         const http = logger.child({ tag: 'http' });
+
+         assert.isTrue(db.isLevelEnabled('trace'));
+         assert.isTrue(db.is.trace);
+         assert.match(db.trace('query'), /^\[app:db:pool\] query\n/);
+
+         assert.isFalse(http.is.info);
+         assert.isUndefined(http.info('request'));
+         assert.strictEqual(http.warn('slow'), '[app:http] slow');
+
+         assert.isFalse(logger.is.warn);
+         assert.isUndefined(logger.warn('ignored'));
+         assert.strictEqual(logger.error('failed'), '[app] failed');
+      });
+
+      it('fallback to log level / reset:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, namespaces: 'db=debug', noColor: true });
+
+         logger.setLogLevel('warn');
+
+         assert.isFalse(logger.is.info);
+         assert.isTrue(logger.child({ tag: 'db' }).is.debug);
+
+         logger.setOptions({ namespaces: null });
+
+         assert.isFalse(logger.child({ tag: 'db' }).is.debug);
+         assert.strictEqual(logger.getLogLevel(), 'warn');
+      });
+
+      it('environment variable:', () =>
+      {
+         vi.stubEnv('LOG_NAMESPACES', 'worker:*=verbose');
+
+         const logger = new ColorLogger({ consoleEnabled: false, tag: 'worker' });
+
+         assert.strictEqual(logger.getOptions().namespaces, 'worker:*=verbose');
+         assert.isFalse(logger.is.verbose);
+         assert.isTrue(logger.child({ tag: 'job' }).is.verbose);
+
+         assert.isUndefined(new ColorLogger({ namespaces: null }).getOptions().namespaces);
+      });
+
+      it('invalid environment variable ignored:', () =>
+      {
+         const warn = vi.spyOn(console, 'warn').mockImplementation(() => void 0);
+
+         vi.stubEnv('LOG_NAMESPACES', 'app:db');
+
+         const logger = new ColorLogger({ consoleEnabled: false });
+
+         assert.isUndefined(logger.getOptions().namespaces);
+         assert.isTrue(logger.child({ tag: 'db' }).is.info);
+
+         assert.strictEqual(warn.mock.calls.length, 1);
+         assert.match(warn.mock.calls[0][0], /ignoring LOG_NAMESPACES: 'namespaces' contains an invalid rule: 'app:db'/);
+
+         // Explicit and `fromEnv` namespaces are validated strictly.
+         assert.throws(() => new ColorLogger({ namespaces: 'app:db' }), TypeError);
+         assert.throws(() => ColorLogger.fromEnv({ env: { LOG_NAMESPACES: 'app:db' } }), TypeError);
+
+         // `fromEnv` only reads the given environment variables.
+         assert.isUndefined(ColorLogger.fromEnv({ env: {} }).getOptions().namespaces);
+         assert.strictEqual(ColorLogger.fromEnv({ env: { APP_NAMESPACES: 'db=debug' }, prefix: 'APP_' }).getOptions()
+          .namespaces, 'db=debug');
+
+         warn.mockRestore();
+      });
+
+      it('invalid rules:', () =>
+      {
+         assert.throws(() => new ColorLogger({ namespaces: 'db=loud' }), TypeError);
+         assert.throws(() => new ColorLogger({ namespaces: 'db' }), TypeError);
+         assert.throws(() => new ColorLogger({ namespaces: '=info' }), TypeError);
+         assert.throws(() => new ColorLogger({ namespaces: 42 }), TypeError);
+      });
+   });
+
+   describe('config:', () =>
+   {
+      it('fromEnv:', () =>
+      {
+         const logger = ColorLogger.fromEnv({
+            env: {
+               LOG_FORMAT: 'json',
+               LOG_LEVEL: 'debug',
+               LOG_NO_COLOR: 'TRUE',
+               LOG_SHOW_LEVEL: 'off',
+               LOG_TAG: 'app',
+               LOG_THEME: '{ "tag": "bold" }'
+            },
+            options: { consoleEnabled: false, showLevel: true }
+         });
+
+         const options = logger.getOptions();
+
+         assert.strictEqual(logger.getLogLevel(), 'debug');
+         assert.strictEqual(options.format, 'json');
+         assert.isTrue(options.noColor);
+         assert.isFalse(options.showLevel);
+         assert.isFalse(options.consoleEnabled);
+         assert.strictEqual(options.tag, 'app');
+         assert.deepEqual(options.theme, { tag: 'bold' });
+
+         assert.strictEqual(ColorLogger.fromEnv({ env: { APP_LEVEL: 'warn' }, prefix: 'APP_' }).getLogLevel(), 'warn');
+      });
+
+      it('fromEnv errors:', () =>
+      {
+         assert.throws(() => ColorLogger.fromEnv({ env: { LOG_LEVEL: 'loud' } }), TypeError,
+          `LOG_LEVEL: 'loud' is not a valid log level; expected: off, fatal, error, warn, info, verbose, debug, trace, all.`);
+
+         assert.throws(() => ColorLogger.fromEnv({ env: { LOG_NO_COLOR: 'maybe' } }), TypeError,
+          `LOG_NO_COLOR: 'maybe' is not a boolean`);
+
+         assert.throws(() => ColorLogger.fromEnv({ env: { LOG_COLOR_LEVEL: '5' } }), TypeError,
+          'LOG_COLOR_LEVEL: 5 is not valid; expected: 0, 1, 2, 3.');
+
+         assert.throws(() => ColorLogger.fromEnv({ env: { LOG_TEMPLATE: '{unknown}' } }), TypeError,
+          `LOG_TEMPLATE: 'template' contains an unknown token: {unknown}`);
+
+         assert.throws(() => ColorLogger.fromEnv({ env: { LOG_TAG: 'app', LOG_NAMESPACES: 'app:db' } }), TypeError,
+          'LOG_NAMESPACES: ');
+
+         assert.throws(() => ColorLogger.fromEnv({ env: { LOG_TAG: 'app', LOG_THEME: '{"levels":{"info":"zzz"}}' } }),
+          TypeError, 'LOG_THEME: Unknown style token: zzz');
+      });
+
+      it('fromConfig:', () =>
+      {
+         const logger = ColorLogger.fromConfig({
+            level: 'notice',
+            levels: { notice: { priority: 4.5, color: '36' } },
+            showDate: true
+         });
+
+         assert.strictEqual(logger.getLogLevel(), 'notice');
+         assert.isTrue(logger.getOptions().showDate);
+
+         assert.throws(() => ColorLogger.fromConfig({ shoDate: true }), TypeError, 'config.shoDate: unknown config key');
+         assert.throws(() => ColorLogger.fromConfig({ showDate: 'yes' }), TypeError,
+          'config.showDate: "yes" is not valid; expected: a boolean.');
+         assert.throws(() => ColorLogger.fromConfig([]), TypeError, 'config: config is not an object.');
+
+         // Construction errors name the config key; options may refer to custom levels defined later in the config.
+         assert.throws(() => ColorLogger.fromConfig({ namespaces: 'db=notice',
+          levels: { notice: { priority: 4.5, color: '36' } }, theme: 'nope' }), TypeError, 'config.theme: ');
+
+         assert.deepEqual(ColorLogger.fromConfig({ serializer: { depth: 1, colors: true } }).getOptions().serializer,
+          { causeDepth: 5, colors: true, depth: 1, maxArrayLength: 100, maxStringLength: 10000 });
+
+         assert.throws(() => ColorLogger.fromConfig({ serializer: { depth: -1 } }), TypeError,
+          `config.serializer: 'serializer.depth' is not a positive integer or Infinity.`);
+
+         // Redaction `patterns` are RegExp and are not representable in config files.
+         assert.include(ColorLogger.fromConfig({ consoleEnabled: false, format: 'json',
+          redact: { keys: ['token'], censor: '***' } }).info({ token: 'secret' }), '"token":"***"');
+
+         assert.throws(() => ColorLogger.fromConfig({ redact: { patterns: ['Bearer'] } }), TypeError,
+          `config.redact: 'redact.patterns' is not an array of RegExp.`);
+
+         assert.deepEqual(ColorLogger.fromConfig({ ignoreFrames: ['node_modules/'] }).getOptions().ignoreFrames,
+          ['node_modules/']);
+
+         assert.throws(() => ColorLogger.fromConfig({ ignoreFrames: 'node_modules/' }), TypeError,
+          'config.ignoreFrames: "node_modules/" is not valid; expected: an array of strings.');
+
+         const limited = ColorLogger.fromConfig({ dedupe: { timeout: 500 }, rateLimit: { limit: 10 } }).getOptions();
+
+         assert.deepEqual(limited.dedupe, { timeout: 500 });
+         assert.deepEqual(limited.rateLimit, { interval: 1000, key: void 0, limit: 10 });
+         assert.isDefined(ColorLogger.fromConfig({ dedupe: true }).getOptions().dedupe);
+
+         assert.throws(() => ColorLogger.fromConfig({ dedupe: 'yes' }), TypeError,
+          'config.dedupe: "yes" is not valid; expected: a boolean or object.');
+
+         assert.throws(() => ColorLogger.fromConfig({ rateLimit: { limit: 0 } }), TypeError,
+          `config.rateLimit: 'rateLimit.limit' is not a positive integer.`);
+
+         assert.deepEqual(ColorLogger.fromConfig({ buffer: { size: 50, level: 'debug' } }).getOptions().buffer,
+          { size: 50, level: 'debug', dump: false });
+
+         assert.throws(() => ColorLogger.fromConfig({ buffer: { size: 0 } }), TypeError, 'config.buffer: ');
+
+         assert.include(ColorLogger.fromConfig({ batch: { size: 10, overflow: 'drop' } }).getOptions().batch,
+          { size: 10, overflow: 'drop' });
+
+         assert.throws(() => ColorLogger.fromConfig({ batch: { overflow: 'block' } }), TypeError,
+          `config.batch: 'batch.overflow' is not 'drop' or 'backpressure'.`);
+      });
+
+      it('fromFile:', async () =>
+      {
+         const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-color-'));
+
+         try
+         {
+            const filepath = path.join(dir, 'logger.json');
+
+            fs.writeFileSync(filepath, JSON.stringify({ level: 'trace', tag: 'app', consoleEnabled: false }));
+
+            const logger = await ColorLogger.fromFile(filepath);
+
+            assert.strictEqual(logger.getLogLevel(), 'trace');
+            assert.strictEqual(logger.getOptions().tag, 'app');
+
+            fs.writeFileSync(filepath, '{ "level": ');
+
+            let error = await ColorLogger.fromFile(filepath).catch((err) => err);
+
+            assert.instanceOf(error, Error);
+            assert.include(error.message, `Could not load config file '${filepath}'`);
+
+            fs.writeFileSync(filepath, JSON.stringify({ level: 'loud' }));
+
+            error = await ColorLogger.fromFile(filepath).catch((err) => err);
+
+            assert.instanceOf(error, TypeError);
+            assert.include(error.message, `'${filepath}' level: 'loud' is not a valid log level`);
+         }
+         finally
+         {
+            fs.rmSync(dir, { recursive: true, force: true });
+         }
+      });
+   });
+
+   describe('serializer:', () =>
+   {
+      it('special values:', () =>
+      {
+         class Point
+         {
+            constructor() { this.x = 1; }
+         }
+
+         const data = {
+            big: 10n,
+            date: new Date(Date.UTC(2024, 0, 2)),
+            fn: function named() {},
+            map: new Map([['a', 1]]),
+            point: new Point(),
+            set: new Set([1, 2]),
+            symbol: Symbol('id'),
+            typed: new Uint8Array([1, 2]),
+            undef: void 0
+         };
+
+         data.self = data;
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         assert.strictEqual(logger.ext.infoCompact(data), '{"big":10n,"date":2024-01-02T00:00:00.000Z,' +
+          '"fn":[Function named],"map":Map(1) {"a" => 1},"point":Point {"x":1},"set":Set(2) [1, 2],' +
+           '"symbol":Symbol(id),"typed":Uint8Array(2) [1, 2],"undef":undefined,"self":[Circular]}');
+
+         assert.strictEqual(logger.info({ list: [1, 2], map: new Map([['a', { b: true }]]) }), '{\n' +
+          '   "list": [\n      1,\n      2\n   ],\n   "map": Map(1) {\n      "a" => {\n         "b": true\n      }\n   }\n}');
+      });
+
+      it('top level primitives:', () =>
+      {
+         const symbol = Symbol('id');
+
+         assert.strictEqual(new ColorLogger({ consoleEnabled: false, noColor: true }).info(symbol, 10n, 'text'),
+          'Symbol(id)\n10\ntext');
+
+         assert.strictEqual(new ColorLogger({ consoleEnabled: false, noColor: true }).ext.infoCompact(symbol),
+          'Symbol(id)');
+         assert.strictEqual(new ColorLogger({ consoleEnabled: false, noColor: true, dedupe: true }).info(symbol),
+          'Symbol(id)');
+
+         assert.include(new ColorLogger({ consoleEnabled: false, format: 'json' }).info(symbol), '"msg":"Symbol(id)"');
+      });
+
+      it('limits:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true,
+          serializer: { depth: 1, maxArrayLength: 2, maxStringLength: 3 } });
+
+         assert.strictEqual(logger.ext.infoCompact({ a: { b: { c: 1 } }, list: [1, 2, 3, 4], text: 'abcdef' }),
+          '{"a":{"b":[Object]},"list":[1,2,…2 more],"text":"abc"…3 more}');
+
+         assert.deepEqual(logger.getOptions().serializer, { causeDepth: 5, colors: false, depth: 1, maxArrayLength: 2,
+          maxStringLength: 3 });
+
+         assert.throws(() => logger.setOptions({ serializer: { depth: -1 } }), TypeError);
+         assert.throws(() => logger.setOptions({ serializer: { colors: 'yes' } }), TypeError);
+      });
+
+      it('colors:', () =>
+      {
+         const logger = new ColorLogger({ colorLevel: 1, consoleEnabled: false,
+          serializer: { colors: { key: 'cyan', number: 'yellow' } } });
+
+         assert.strictEqual(logger.ext.infoCompact('id', { id: 1 }),
+          '\u001b[32mid\n{\u001b[36m"id"\u001b[0m\u001b[32m:\u001b[33m1\u001b[0m\u001b[32m}\u001b[0m');
+
+         assert.strictEqual(logger.ext.infoNoColor({ id: 1 }), '{\n   "id": 1\n}');
+      });
+
+      it('json / raw / context never throw:', () =>
+      {
+         const data = { big: 1n };
+
+         data.self = data;
+
+         const logger = new ColorLogger({ consoleEnabled: false, format: 'json', noColor: true });
+         const record = JSON.parse(logger.child({ context: { data } }).info('Ready', data));
+
+         assert.deepEqual(record.data, [{ big: '1n', self: '[Circular]' }]);
+         assert.deepEqual(record.context, { data: { big: '1n', self: '[Circular]' } });
+
+         assert.strictEqual(logger.ext.infoRaw(data), '{"big":1n,"self":[Circular]}');
+      });
+   });
+
+   describe('redaction:', () =>
+   {
+      const redact = {
+         keys: ['password', 'Authorization'],
+         paths: ['req.cookies.*', 'users.*.token'],
+         patterns: [/Bearer\s+\S+/, /\b\d{4}(?:[ -]?\d{4}){3}\b/]
+      };
+
+      const data = {
+         password: 'secret',
+         req: { cookies: { session: 'abc' }, headers: { authorization: 'Basic xyz' }, url: '/' },
+         users: [{ name: 'a', token: 't1' }],
+         note: 'paid with 4111 1111 1111 1111 using Bearer abc.def'
+      };
+
+      it('pretty / compact:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, redact });
+
+         assert.strictEqual(logger.ext.infoCompact(data), '{"password":"[REDACTED]","req":{"cookies":' +
+          '{"session":"[REDACTED]"},"headers":{"authorization":"[REDACTED]"},"url":"/"},"users":[{"name":"a",' +
+           '"token":"[REDACTED]"}],"note":"paid with [REDACTED] using [REDACTED]"}');
+
+         assert.include(logger.info(data), '"password": "[REDACTED]"');
+         assert.strictEqual(logger.info('token Bearer abc'), 'token [REDACTED]');
+
+         // Logged objects are not modified.
+         assert.strictEqual(data.password, 'secret');
+      });
+
+      it('json / context / transports:', () =>
+      {
+         const entries = [];
+         const logger = new ColorLogger({ consoleEnabled: false, format: 'json', redact: { ...redact, censor: '***' } });
+
+         logger.addTransport(new CallbackTransport((message, entry) => entries.push(entry)));
+
+         const record = logger.child({ context: { password: 'secret', user: 'a' } }).info('Ready', data);
+
+         assert.deepEqual(JSON.parse(record).context, { password: '***', user: 'a' });
+         assert.strictEqual(JSON.parse(record).data[0].users[0].token, '***');
+         assert.strictEqual(entries[0].args[1].password, '***');
+      });
+
+      it('circular / reset / invalid:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, redact: { keys: ['password'] } });
+         const circular = { password: 'secret' };
+
+         circular.self = circular;
+
+         assert.strictEqual(logger.ext.infoCompact(circular), '{"password":"[REDACTED]","self":[Circular]}');
+
+         logger.setOptions({ redact: null });
+
+         assert.strictEqual(logger.ext.infoCompact({ password: 'secret' }), '{"password":"secret"}');
+
+         assert.throws(() => logger.setOptions({ redact: { keys: 'password' } }), TypeError);
+         assert.throws(() => logger.setOptions({ redact: { patterns: ['Bearer'] } }), TypeError);
+      });
+
+      it('toJSON objects:', () =>
+      {
+         class Secret
+         {
+            #value = 'x';
+
+            toJSON() { return { value: this.#value, password: 'secret' }; }
+         }
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, redact });
+
+         assert.strictEqual(logger.ext.infoCompact({ url: new URL('https://example.com/a'), secret: new Secret() }),
+          '{"url":"https://example.com/a","secret":{"value":"x","password":"[REDACTED]"}}');
+      });
+
+      it('error messages / stack traces:', () =>
+      {
+         const error = new Error('auth failed Bearer abc123');
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, redact });
+
+         const text = logger.error(error);
+
+         assert.isTrue(text.startsWith('Error: auth failed [REDACTED]\n'));
+         assert.notInclude(text, 'abc123');
+
+         logger.setOptions({ format: 'json' });
+
+         const record = JSON.parse(logger.error('Failed', new Error('wrapped', { cause: error })));
+
+         assert.strictEqual(record.errors[0].cause.message, 'auth failed [REDACTED]');
+         assert.notInclude(JSON.stringify(record), 'abc123');
+      });
+   });
+
+   describe('errors:', () =>
+   {
+      it('name / properties / cause chain:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         const inner = new Error('connect failed');
+         inner.code = 'ECONNREFUSED';
+         inner.errno = -111;
+
+         const outer = new TypeError('request failed', { cause: inner });
+         outer.status = 503;
+
+         const lines = logger.error(outer).split('\n');
+
+         assert.strictEqual(lines[0], 'TypeError: request failed');
+         assert.strictEqual(lines[1], '{"status":503}');
+         assert.match(lines[2], /^\s+at /);
+
+         const causeIndex = lines.indexOf('   Caused by: Error: connect failed');
+
+         assert.isAbove(causeIndex, 2);
+         assert.strictEqual(lines[causeIndex + 1], '   {"code":"ECONNREFUSED","errno":-111}');
+         assert.match(lines[causeIndex + 2], /^ {7}at /);
+         assert.match(lines.at(-1), /^ {7}\.\.\. \d+ more$/);
+      });
+
+      it('AggregateError / circular / depth limit:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, serializer: { causeDepth: 2 } });
+
+         const aggregate = logger.error(new AggregateError([new Error('a'), new RangeError('b')], 'many'));
+
+         assert.include(aggregate, '\n   [0] Error: a\n');
+         assert.include(aggregate, '\n   [1] RangeError: b\n');
+
+         const circular = new Error('loop');
+         circular.cause = circular;
+
+         assert.include(logger.error(circular), '\n   Caused by: [Circular]');
+
+         let chain = new Error('0');
+
+         for (let i = 1; i < 5; i++) { chain = new Error(String(i), { cause: chain }); }
+
+         const result = logger.error(chain);
+
+         assert.include(result, '      Caused by: Error: 2');
+         assert.notInclude(result, 'Error: 1');
+         assert.match(result, /\n {9}…2 more$/);
+      });
+
+      it('json:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, format: 'json', redact: { keys: ['token'] } });
+
+         const inner = new Error('inner');
+         inner.token = 'secret';
+
+         const record = JSON.parse(logger.error(new AggregateError([new Error('a')], 'outer', { cause: inner })));
+
+         assert.strictEqual(record.errors[0].name, 'AggregateError');
+         assert.strictEqual(record.errors[0].errors[0].message, 'a');
+         assert.deepEqual(record.errors[0].cause.props, { token: '[REDACTED]' });
+         assert.isString(record.errors[0].cause.trace);
+      });
+   });
+
+   describe('source maps:', () =>
+   {
+      let dir;
+
+      beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-color-')); });
+      afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+      // Generated line 2 / column 10 maps to line 5 / column 3 of the first source.
+      const map = { version: 3, sources: ['../src/app.ts'], names: [], mappings: ';SAIE' };
+
+      const createError = (file) =>
+      {
+         const error = new Error('mapped');
+         error.stack = `Error: mapped\n    at run (${file}:2:10)\n    at main (${file}:9:1)`;
+         return error;
+      };
+
+      it('map file:', async () =>
+      {
+         const file = path.join(dir, 'dist', 'gen.js');
+
+         fs.mkdirSync(path.dirname(file));
+         fs.writeFileSync(file, 'export {};\n\n//# sourceMappingURL=gen.js.map\n');
+         fs.writeFileSync(`${file}.map`, JSON.stringify(map));
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         assert.include(logger.error(createError(file)), `at run (${file}:2:10)`);
+
+         logger.setOptions({ sourceMaps: true });
+
+         // Node versions before 20.16 resolve once the Node modules are imported.
+         const result = await vi.waitFor(() =>
+         {
+            const output = logger.error(createError(file));
+
+            assert.include(output, `at run (${path.join(dir, 'src', 'app.ts')}:5:3)`);
+
+            return output;
+         });
+
+         // Lines without a mapping are unchanged.
+         assert.include(result, `at main (${file}:9:1)`);
+
+         // Parsed maps are cached.
+         fs.rmSync(`${file}.map`);
+
+         assert.include(logger.error(createError(file)), `at run (${path.join(dir, 'src', 'app.ts')}:5:3)`);
+      });
+
+      it('inline map / file URL:', async () =>
+      {
+         const file = path.join(dir, 'inline.js');
+         const data = Buffer.from(JSON.stringify({ ...map, sources: ['app.ts'], sourceRoot: 'src' })).toString('base64');
+
+         fs.writeFileSync(file, `export {};\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${data}\n`);
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, sourceMaps: true });
+
+         await vi.waitFor(() => assert.include(logger.error(createError(`file://${file}`)),
+          `at run (file://${path.join(dir, 'src', 'app.ts')}:5:3)`));
+      });
+   });
+
+   describe('stack frames:', () =>
+   {
+      it('parseStack:', () =>
+      {
+         assert.deepEqual(ColorLogger.parseStack([
+            'Error: boom',
+            '    at run (/app/dir with space/index.js:10:15)',
+            '    at file:///app/main.js:2:3',
+            '    at async Promise.all (index 0)'
+         ].join('\n')), [
+            { file: '/app/dir with space/index.js', function: 'run', line: 10, column: 15,
+             source: '    at run (/app/dir with space/index.js:10:15)' },
+            { file: 'file:///app/main.js', line: 2, column: 3, source: '    at file:///app/main.js:2:3' }
+         ]);
+
+         // SpiderMonkey / JavaScriptCore.
+         assert.deepEqual(ColorLogger.parseStack('run@http://host/app.js:10:15\nglobal code@http://host/app.js:1:2'), [
+            { file: 'http://host/app.js', function: 'run', line: 10, column: 15, source: 'run@http://host/app.js:10:15' },
+            { file: 'http://host/app.js', function: 'global code', line: 1, column: 2,
+             source: 'global code@http://host/app.js:1:2' }
+         ]);
+      });
+
+      it('path display / ignore patterns:', () =>
+      {
+         const createError = () =>
+         {
+            const error = new Error('boom');
+            error.stack = `Error: boom\n    at wrap (${process.cwd()}/lib/wrap.js:1:1)\n` +
+             `    at run (file://${process.cwd()}/src/dir%20a/app.js:10:15)`;
+            return error;
+         };
+
+         const logger = new ColorLogger({ consoleEnabled: false, format: 'json', ignoreFrames: [/\/lib\//] });
+
+         assert.strictEqual(JSON.parse(logger.error(createError())).errors[0].trace,
+          `    at run (file://${process.cwd()}/src/dir%20a/app.js:10:15)`);
+
+         const info = () => (/^\[([^\]]+)\] boom/).exec(logger.ext.errorNoColor('boom'))?.[1];
+
+         logger.setOptions({ format: 'text', ignoreFrames: [], showInfo: true });
+
+         // Call-site info of the log invocation is this test file.
+         assert.match(info(), /^ColorLogger\.test\.js:\d+:\d+$/);
+
+         logger.setOptions({ pathDisplay: 'relative' });
+         assert.match(info(), /^test\/src\/ColorLogger\.test\.js:\d+:\d+$/);
+
+         logger.setOptions({ pathDisplay: 'full' });
+         assert.match(info(), /^(?:file:\/\/)?\/.+\/test\/src\/ColorLogger\.test\.js:\d+:\d+$/);
+
+         logger.setOptions({ ignoreFrames: ['ColorLogger.test.js'] });
+         assert.notMatch(info() ?? '', /ColorLogger\.test\.js/);
+
+         assert.throws(() => logger.setOptions({ pathDisplay: 'short' }), TypeError);
+         assert.throws(() => logger.setOptions({ ignoreFrames: [42] }), TypeError);
+      });
+   });
+
+   describe('timers:', () =>
+   {
+      let now;
+
+      beforeEach(() =>
+      {
+         now = 0;
+         vi.spyOn(performance, 'now').mockImplementation(() => now);
+      });
+
+      afterEach(() => vi.restoreAllMocks());
+
+      it('time / timeEnd:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, tag: 'app' });
+         const db = logger.child({ tag: 'db' });
+
+         logger.setLogLevel('debug');
+
+         assert.isTrue(logger.time('load'));
+         assert.isFalse(logger.time('load'));
+         assert.isTrue(db.time('load'));
+
+         now = 12.345;
+         assert.strictEqual(db.timeEnd('load'), '[app:db] load: 12.3ms');
+
+         now = 2500;
+         assert.strictEqual(logger.timeEnd('load', 'info'), '[app] load: 2.50s');
+
+         assert.isUndefined(logger.timeEnd('load'));
+         assert.throws(() => logger.timeEnd('load', 'loud'), TypeError);
+      });
+
+      it('startTimer:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         const timer = logger.startTimer('info');
+
+         now = 0.5;
+         assert.strictEqual(timer.elapsed(), 0.5);
+         assert.strictEqual(timer.done(), 'done (500µs)');
+
+         now = 125000;
+         assert.strictEqual(timer.done('Config loaded', { files: 2 }), 'Config loaded (2m 5s)\n{\n   "files": 2\n}');
+      });
+
+      it('disabled level:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         performance.now.mockClear();
+
+         const timer = logger.startTimer();
+
+         assert.isUndefined(timer.done('ignored'));
+         assert.strictEqual(timer.elapsed(), 0);
+         assert.strictEqual(performance.now.mock.calls.length, 0);
+
+         logger.time();
+         assert.isUndefined(logger.timeEnd());
+      });
+   });
+
+   describe('groups:', () =>
+   {
+      it('group / groupEnd:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+         const child = logger.child({ tag: 'db' });
+
+         assert.strictEqual(logger.group('outer'), 'outer');
+         assert.strictEqual(logger.info('a'), '   a');
+         assert.isUndefined(logger.group());
+         assert.strictEqual(logger.info({ id: 1 }), '      {\n         "id": 1\n      }');
+
+         // Group depth is tracked per logger.
+         assert.strictEqual(child.info('b'), '[db] b');
+
+         assert.strictEqual(logger.groupEnd(), 1);
+         assert.strictEqual(logger.groupEnd(), 0);
+         assert.strictEqual(logger.groupEnd(), 0);
+         assert.strictEqual(logger.info('c'), 'c');
+      });
+
+      it('groupGuides / errors:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true, groupGuides: true });
+
+         logger.group();
+         logger.group();
+
+         const lines = logger.error(new Error('boom')).split('\n');
+
+         assert.strictEqual(lines[0], '│  │  Error: boom');
+         assert.isAbove(lines.length, 1);
+         assert.isTrue(lines.every((line) => line.startsWith('│  │  ')));
+      });
+
+      it('withGroup:', async () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         const result = await logger.withGroup('task', async () =>
+         {
+            await Promise.resolve();
+
+            return logger.info('step');
+         });
+
+         assert.strictEqual(result, '   step');
+         assert.strictEqual(logger.info('done'), 'done');
+
+         const err = await logger.withGroup('task', () => { throw new Error('fail'); }).catch((e) => e);
+
+         assert.instanceOf(err, Error);
+         assert.strictEqual(logger.info('after'), 'after');
+
+         assert.instanceOf(await logger.withGroup('task').catch((e) => e), TypeError);
+      });
+   });
+
+   describe('dedupe / rate limit:', () =>
+   {
+      beforeEach(() => vi.useFakeTimers());
+
+      afterEach(() => vi.useRealTimers());
+
+      it('dedupe:', () =>
+      {
+         const logger = createLogger({ dedupe: true });
+
+         assert.strictEqual(logger.warn('retrying'), 'retrying');
+         assert.isUndefined(logger.warn('retrying'));
+         logger.warn('retrying');
+         logger.warn('retrying');
+
+         assert.deepEqual(output, ['retrying']);
+
+         logger.warn('connected', { id: 1 });
+
+         assert.deepEqual(output, ['retrying', 'retrying (repeated 3 times)', 'connected\n{\n   "id": 1\n}']);
+
+         // The same message at a different level is not a repeat.
+         logger.info('connected', { id: 1 });
+
+         assert.strictEqual(output.length, 4);
+      });
+
+      it('dedupe timeout / fatal:', () =>
+      {
+         const logger = createLogger({ dedupe: { timeout: 500 } });
+
+         logger.error('retrying');
+         logger.error('retrying');
+
+         vi.advanceTimersByTime(499);
+         assert.deepEqual(output, ['retrying']);
+
+         vi.advanceTimersByTime(1);
+         assert.deepEqual(output, ['retrying', 'retrying (repeated 1 time)']);
+
+         // Further repeats are folded into the next summary.
+         logger.error('retrying');
+         logger.fatal('crashed');
+         logger.fatal('crashed');
+
+         assert.deepEqual(output, ['retrying', 'retrying (repeated 1 time)', 'retrying (repeated 1 time)', 'crashed',
+          'crashed']);
+
+         assert.deepEqual(logger.getOptions().dedupe, { timeout: 500 });
+
+         logger.setOptions({ dedupe: null });
+         assert.isUndefined(logger.getOptions().dedupe);
+         assert.throws(() => logger.setOptions({ dedupe: 'yes' }), TypeError);
+         assert.throws(() => logger.setOptions({ dedupe: { timeout: -1 } }), TypeError);
+      });
+
+      it('rateLimit:', () =>
+      {
+         const logger = createLogger({ rateLimit: { limit: 2, interval: 1000 } });
+
+         for (let i = 0; i < 5; i++) { logger.warn('busy'); }
+
+         logger.info('busy');
+
+         assert.deepEqual(output, ['busy', 'busy', 'busy']);
+
+         vi.advanceTimersByTime(1000);
+
+         assert.deepEqual(output, ['busy', 'busy', 'busy', 'busy (rate limited: 3 suppressed)']);
+
+         logger.warn('busy');
+         assert.strictEqual(output.length, 5);
+
+         logger.fatal('busy');
+         logger.fatal('busy');
+         logger.fatal('busy');
+         assert.strictEqual(output.length, 8);
+      });
+
+      it('rateLimit key:', () =>
+      {
+         const logger = createLogger({ rateLimit: { limit: 1, key: (level) => level } });
+
+         logger.warn('a');
+         logger.warn('b');
+         logger.warn('c');
+         logger.info('d');
+
+         assert.deepEqual(output, ['a', 'd']);
+
+         logger.setOptions({ rateLimit: null });
+
+         assert.deepEqual(output, ['a', 'd', 'a (rate limited: 2 suppressed)']);
+
+         assert.throws(() => logger.setOptions({ rateLimit: { limit: 0 } }), TypeError);
+         assert.throws(() => logger.setOptions({ rateLimit: { limit: 1, interval: 0 } }), TypeError);
+         assert.throws(() => logger.setOptions({ rateLimit: { limit: 1, key: 'level' } }), TypeError);
+      });
+   });
+
+   describe('buffer:', () =>
+   {
+      it('captures below the display level / ring buffer:', () =>
+      {
+         const logger = createLogger({ buffer: { size: 3, level: 'debug' }, tag: 'app' });
+         const db = logger.child({ tag: 'db' });
+
+         assert.isUndefined(logger.debug('one'));
+         logger.info('two');
+         db.debug('three');
+         logger.trace('skipped');
+         db.warn('four');
+
+         assert.deepEqual(output, ['[app] two', '[app:db] four']);
+
+         const entries = logger.queryBuffer();
+
+         assert.deepEqual(entries.map(({ level, message, tag }) => ({ level, message, tag })), [
+            { level: 'info', message: '[app] two', tag: 'app' },
+            { level: 'debug', message: '[app:db] three', tag: 'app:db' },
+            { level: 'warn', message: '[app:db] four', tag: 'app:db' }
+         ]);
+
+         assert.isNumber(entries[0].time);
+         assert.isFrozen(entries[0]);
+
+         assert.deepEqual(db.queryBuffer({ level: 'info' }).map((entry) => entry.message), ['[app] two',
+          '[app:db] four']);
+         assert.deepEqual(logger.queryBuffer({ tag: 'app' }).length, 3);
+         assert.deepEqual(logger.queryBuffer({ tag: 'app:db' }).length, 2);
+         assert.deepEqual(logger.queryBuffer({ tag: /db$/, text: 'thr' }).map((entry) => entry.message),
+          ['[app:db] three']);
+         assert.deepEqual(logger.queryBuffer({ text: /^\[app\] / }).length, 1);
+
+         assert.throws(() => logger.queryBuffer({ level: 'loud' }), TypeError);
+         assert.throws(() => logger.queryBuffer({ text: 1 }), TypeError);
+
+         logger.clearBuffer();
+         assert.deepEqual(logger.queryBuffer(), []);
+      });
+
+      it('json records / resize / reset:', () =>
+      {
+         const logger = createLogger({ buffer: { size: 5 }, format: 'json' });
+
+         logger.trace('a');
+         logger.trace('b');
+
+         assert.deepEqual(output, []);
+         assert.strictEqual(logger.queryBuffer()[0].record.msg, 'a');
+
+         logger.setOptions({ buffer: { size: 1 } });
+         assert.deepEqual(logger.queryBuffer().map((entry) => entry.record.msg), ['b']);
+         assert.deepEqual(logger.getOptions().buffer, { size: 1, level: 'trace', dump: false });
+
+         logger.setOptions({ buffer: null });
+         assert.isUndefined(logger.getOptions().buffer);
+         assert.deepEqual(logger.queryBuffer(), []);
+
+         assert.throws(() => logger.setOptions({ buffer: { size: 0 } }), TypeError);
+         assert.throws(() => logger.setOptions({ buffer: { size: 1, level: 'loud' } }), TypeError);
+         assert.throws(() => logger.setOptions({ buffer: { size: 1, dump: 'yes' } }), TypeError);
+      });
+
+      it('dump on fatal / uncaught exception:', () =>
+      {
+         const logger = createLogger({ buffer: { size: 10, level: 'debug', dump: true } });
+
+         const listeners = process.listeners('uncaughtExceptionMonitor').length;
+
+         logger.debug('connecting');
+         logger.info('started');
+         logger.fatal('crashed');
+
+         // Displayed entries are not written again.
+         assert.deepEqual(output, ['started', 'connecting', 'crashed']);
+         assert.deepEqual(logger.queryBuffer().map((entry) => entry.message), ['crashed']);
+
+         logger.debug('retry');
+         process.listeners('uncaughtExceptionMonitor').at(-1)(new Error('uncaught'));
+
+         assert.deepEqual(output.slice(3), ['retry']);
+
+         // A single monitor dumps all loggers.
+         const other = new ColorLogger({ buffer: { size: 10, dump: true }, consoleEnabled: false });
+
+         assert.strictEqual(process.listeners('uncaughtExceptionMonitor').length, listeners);
+
+         logger.setOptions({ buffer: null });
+         other.setOptions({ buffer: null });
+
+         logger.setOptions({ buffer: { size: 10, level: 'debug' } });
+         logger.debug('ignored');
+         process.listeners('uncaughtExceptionMonitor').at(-1)(new Error('uncaught'));
+
+         assert.deepEqual(output.slice(3), ['retry']);
+      });
+   });
+
+   describe('capture:', () =>
+   {
+      afterEach(() => vi.restoreAllMocks());
+
+      it('capture / restore:', () =>
+      {
+         const spy = vi.spyOn(console, 'warn').mockImplementation(() => void 0);
+
+         const logger = new ColorLogger({ tag: 'app' });
+         const child = logger.child({ tag: 'db' });
+
+         const capture = logger.capture();
+
+         const data = { attempt: 2 };
+
+         logger.warn('retry', data);
+         child.info('connected');
+         logger.debug('hidden');
+
+         assert.strictEqual(spy.mock.calls.length, 0);
+
+         assert.deepEqual(capture.entries, [
+            { level: 'warn', text: '[app] retry\n{\n   "attempt": 2\n}', args: ['retry', data] },
+            { level: 'info', text: '[app:db] connected', args: ['connected'] }
+         ]);
+
+         assert.strictEqual(capture.expectLogged('warn', /retry/).args[1], data);
+         assert.strictEqual(capture.expectLogged(void 0, 'connected').level, 'info');
+         assert.strictEqual(capture.filter('info').length, 1);
+
+         assert.throws(() => capture.expectLogged('error'), /Expected a 'error' entry; captured:\n {2}\[warn\]/);
+         assert.throws(() => capture.expectLogged('warn', 'timeout'), `Expected a 'warn' entry matching "timeout"`);
+         assert.throws(() => capture.expectNotLogged('warn', /retry/), /found: \[warn\] \[app\] retry/);
+         capture.expectNotLogged('error');
+
+         capture.clear();
+         assert.deepEqual(capture.entries, []);
+
+         capture.restore();
+         capture.restore();
+
+         logger.warn('printed');
+         assert.strictEqual(spy.mock.calls.length, 1);
+         assert.deepEqual(capture.entries, []);
+         assert.isTrue(logger.getOptions().consoleEnabled);
+      });
+
+      it('strips ANSI / level override:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false });
+         const child = logger.child();
+
+         const capture = child.capture({ level: 'trace' });
+
+         child.verbose('\u001b[1mbold\u001b[0m text');
+
+         assert.strictEqual(capture.expectLogged('verbose').text, 'bold text');
+
+         capture.restore();
+
+         assert.strictEqual(child.getLogLevel(), 'info');
+
+         logger.setOptions({ consoleEnabled: true });
+         assert.isTrue(child.getOptions().consoleEnabled);
+
+         assert.throws(() => logger.capture({ level: 'loud' }), TypeError);
+      });
+
+      it('batched output:', async () =>
+      {
+         const logger = createLogger({ batch: true });
+         const capture = logger.capture();
+
+         logger.warn('retry');
+
+         // Captured entries are not batched; other transports are.
+         assert.strictEqual(capture.expectLogged('warn', 'retry').text, 'retry');
+         assert.deepEqual(output, []);
+
+         await logger.flush();
+
+         assert.deepEqual(output, ['retry']);
+
+         capture.restore();
+         logger.setOptions({ batch: null });
+      });
+
+      it('withCapture:', async () =>
+      {
+         const spy = vi.spyOn(console, 'error').mockImplementation(() => void 0);
+
+         const logger = new ColorLogger();
+
+         const capture = await logger.withCapture(async () =>
+         {
+            await Promise.resolve();
+            logger.error('failed');
+         });
+
+         capture.expectLogged('error', 'failed');
+
+         const err = await logger.withCapture(() => { throw new Error('boom'); }).catch((e) => e);
+
+         assert.strictEqual(err.message, 'boom');
+
+         logger.error('printed');
+         assert.strictEqual(spy.mock.calls.length, 1);
+      });
+   });
+
+   describe('lazy:', () =>
+   {
+      it('thunks only invoked when enabled:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         const thunk = vi.fn(() => ({ rows: 3 }));
+
+         assert.isUndefined(logger.lazy.trace('dump:', thunk));
+         assert.strictEqual(thunk.mock.calls.length, 0);
+
+         assert.strictEqual(logger.lazy.info('dump:', thunk), 'dump:\n{\n   "rows": 3\n}');
+         assert.strictEqual(thunk.mock.calls.length, 1);
+
+         assert.strictEqual(logger.lazy.warn(() => { throw new Error('bad thunk'); }).split('\n')[0],
+          'Error: bad thunk');
+
+         // Regular log methods do not invoke functions.
+         logger.info(thunk);
+         assert.strictEqual(thunk.mock.calls.length, 1);
+      });
+
+      it('promise thunks keep order:', async () =>
+      {
+         const logger = createLogger({ showInfo: true });
+         const child = logger.child({ tag: 'db' });
+
+         let resolve;
+
+         const pending = logger.lazy.info('rows:', () => new Promise((r) => { resolve = r; }));
+
+         assert.instanceOf(pending, Promise);
+         assert.isUndefined(child.info('after'));
+
+         const rejected = logger.lazy.error(() => Promise.reject(new Error('failed')));
+
+         assert.deepEqual(output, []);
+
+         resolve(42);
+
+         assert.match(await pending, /^\[ColorLogger\.test\.js:\d+:\d+\] rows:\n42$/);
+         assert.match(await rejected, /Error: failed/);
+         await logger.lazy.info('done', () => Promise.resolve(true));
+
+         assert.strictEqual(output.length, 4);
+
+         // Deferred entries keep their call-site.
+         const lines = output.map((entry) => Number((/\[ColorLogger\.test\.js:(\d+):/).exec(entry)[1]));
+
+         assert.deepEqual(lines.map((line) => line - lines[0]), [0, 3, 5, 13]);
+         assert.match(output[1], /^\[db\] .* after$/);
+
+         // The queue is idle again.
+         assert.isString(logger.info('sync'));
+      });
+
+      it('deferred entries keep call time state:', async () =>
+      {
+         vi.useFakeTimers({ toFake: ['Date'], now: 0 });
+
+         try
+         {
+            const logger = createLogger({ showDate: true, timestamp: 'elapsed' });
+
+            let resolve;
+
+            const pending = logger.lazy.info('rows:', () => new Promise((r) => { resolve = r; }));
+
+            vi.setSystemTime(100);
+
+            logger.group('task');
+            logger.info('inside');
+            logger.groupEnd();
+
+            logger.setOptions({ tag: 'late', timestamp: 'delta' });
+
+            vi.setSystemTime(300);
+
+            resolve(1);
+
+            await pending;
+            await logger.lazy.info('done', () => Promise.resolve(true));
+
+            assert.deepEqual(output, ['[+0ms] rows:\n1', '[+100ms] task', '   [+100ms] inside',
+             '[late] [+200ms] done\ntrue']);
+         }
+         finally
+         {
+            vi.useRealTimers();
+         }
+      });
+   });
+
+   describe('tagged templates:', () =>
+   {
+      it('plain / colored text:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, colorLevel: 1, noColor: false });
+
+         const count = 3;
+         const dir = { path: '/plugins' };
+
+         assert.strictEqual(logger.ext.infoNoColor`Loaded ${count} plugins from ${dir}`,
+          'Loaded 3 plugins from {"path":"/plugins"}');
+
+         assert.strictEqual(logger.warn`Retry ${2} of ${'three'}`,
+          '\u001b[33mRetry \u001b[1m2\u001b[0m\u001b[33m of \u001b[1mthree\u001b[0m\u001b[33m\u001b[0m');
+
+         assert.strictEqual(logger.ext.warnRaw`Retry ${2} of ${[1, 2]}`, 'Retry 2 of [1,2]');
+
+         // Arrays without `raw` are regular arguments.
+         assert.strictEqual(logger.ext.infoNoColor(['a', 'b'], 1), '[\n   "a",\n   "b"\n]\n1');
+      });
+
+      it('theme highlight / serializer colors:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, colorLevel: 1, noColor: false,
+          theme: { levels: { info: 'green' }, highlight: 'cyan' }, serializer: { colors: { number: 'yellow' } } });
+
+         assert.strictEqual(logger.info`id ${'a'} ${{ n: 1 }}`,
+          '\u001b[32mid \u001b[36ma\u001b[0m\u001b[32m {"n":\u001b[33m1\u001b[0m\u001b[32m}\u001b[0m');
+      });
+
+      it('json / redaction / dedupe:', () =>
+      {
+         const logger = new ColorLogger({ consoleEnabled: false, format: 'json', redact: { keys: ['token'] } });
+
+         const record = JSON.parse(logger.info`Login ${'alice'} with ${{ token: 'secret' }} failed: ${new Error('denied')}`);
+
+         assert.strictEqual(record.msg, 'Login alice with {"token":"[REDACTED]"} failed: [Error: denied]');
+         assert.strictEqual(record.template, 'Login {0} with {1} failed: {2}');
+         assert.deepEqual(record.values.slice(0, 2), ['alice', { token: '[REDACTED]' }]);
+         assert.strictEqual(record.values[2].message, 'denied');
+         assert.isUndefined(record.data);
+
+         const deduped = createLogger({ dedupe: true });
+
+         for (let i = 0; i < 3; i++) { deduped.warn`Retry ${1}`; }
+
+         deduped.info('done');
+
+         assert.deepEqual(output, ['Retry 1', 'Retry 1 (repeated 2 times)', 'done']);
+      });
+
+      it('revoked Proxy arguments:', () =>
+      {
+         const { proxy, revoke } = Proxy.revocable({}, {});
+
+         revoke();
+
+         const unserializable = `[Unserializable: Cannot perform 'getPrototypeOf' on a proxy that has been revoked]`;
+
+         const logger = new ColorLogger({ consoleEnabled: false, noColor: true });
+
+         assert.strictEqual(logger.info(proxy), unserializable);
+         assert.strictEqual(logger.ext.infoRaw(proxy), unserializable);
+         assert.strictEqual(logger.info`Value ${proxy}`, `Value ${unserializable}`);
+
+         const json = new ColorLogger({ consoleEnabled: false, format: 'json', redact: { keys: ['token'] } });
+
+         assert.deepEqual(JSON.parse(json.info(proxy)).data, [unserializable]);
+         assert.deepEqual(JSON.parse(json.info`Value ${proxy}`).values, [unserializable]);
+      });
+   });
+
+   describe('batch:', () =>
+   {
+      afterEach(() =>
+      {
+         vi.restoreAllMocks();
+         vi.useRealTimers();
+      });
+
+      it('writes chunks on microtask:', async () =>
+      {
+         const info = vi.spyOn(console, 'info').mockImplementation(() => void 0);
+         const warn = vi.spyOn(console, 'warn').mockImplementation(() => void 0);
+
+         const logger = new ColorLogger({ batch: true, noColor: true });
+
+         assert.strictEqual(logger.info('one'), 'one');
+         logger.info('two');
+         logger.child({ tag: 'db' }).info('three');
+         logger.warn('four');
+
+         assert.strictEqual(info.mock.calls.length, 0);
+         assert.deepEqual(logger.getBatchStats(), { dropped: 0, pending: 4, writable: true });
+
+         await Promise.resolve();
+
+         assert.deepEqual(info.mock.calls, [['one\ntwo'], ['[db] three']]);
+         assert.deepEqual(warn.mock.calls, [['four']]);
+         assert.strictEqual(logger.getBatchStats().pending, 0);
+
+         logger.setOptions({ batch: null });
+      });
+
+      it('writes chunks on interval / size threshold:', async () =>
+      {
+         vi.useFakeTimers();
+
+         const messages = [];
+
+         const logger = new ColorLogger({ batch: { interval: 100, size: 3 }, consoleEnabled: false });
+
+         logger.addTransport(new CallbackTransport((message) => messages.push(message), { noColor: true }));
+
+         logger.info('one');
+         await Promise.resolve();
+         assert.deepEqual(messages, []);
+
+         vi.advanceTimersByTime(100);
+         assert.deepEqual(messages, ['one']);
+
+         logger.info('two');
+         logger.info('three');
+         logger.info('four');
+         assert.deepEqual(messages, ['one', 'two', 'three', 'four']);
+
+         logger.info('five');
+         await logger.flush();
+         assert.deepEqual(messages, ['one', 'two', 'three', 'four', 'five']);
+
+         // Resetting writes pending entries.
+         logger.info('six');
+         logger.setOptions({ batch: false });
+         assert.strictEqual(messages.at(-1), 'six');
+
+         logger.info('seven');
+         assert.strictEqual(messages.at(-1), 'seven');
+      });
+
+      it('blocked destination / drop policy:', async () =>
+      {
+         const messages = [];
+
+         let release;
+
+         const logger = new ColorLogger({ batch: { limit: 2 }, consoleEnabled: false });
+
+         logger.addTransport(new CallbackTransport((message) =>
+         {
+            messages.push(message);
+
+            // The first write blocks the destination.
+            if (messages.length === 1) { return new Promise((resolve) => { release = resolve; }); }
+         }, { noColor: true }));
+
+         logger.info('one');
+         await Promise.resolve();
+         assert.deepEqual(messages, ['one']);
+
+         logger.info('two');
+         logger.info('three');
+         logger.info('four');
+         await Promise.resolve();
+
+         assert.deepEqual(logger.getBatchStats(), { dropped: 1, pending: 2, writable: false });
+
+         const flushed = logger.flush();
+
+         release();
+         await flushed;
+
+         assert.deepEqual(messages, ['one', 'two', 'three']);
+         assert.deepEqual(logger.getBatchStats(), { dropped: 1, pending: 0, writable: true });
+
+         logger.setOptions({ batch: null });
+      });
+
+      it('blocked destination / backpressure policy:', async () =>
+      {
+         const chunks = [];
+
+         const stream = Object.assign(new events.EventEmitter(), { write: (chunk) => chunks.push(chunk) > 1 });
+
+         const logger = new ColorLogger({ batch: { limit: 2, overflow: 'backpressure' }, consoleEnabled: false,
+          noColor: true });
+
+         logger.addTransport(new StreamTransport(stream, { noColor: true }));
+
+         // Pending entries are written at the limit; the stream buffer is full until `drain`.
+         logger.info('one');
+         assert.strictEqual(logger.info('two'), 'two');
+         assert.deepEqual(chunks, ['one\ntwo\n']);
+
+         assert.strictEqual(logger.info('three'), 'three');
+
+         // Log calls stay synchronous; entries over the limit are kept.
+         assert.strictEqual(logger.info('four'), 'four');
+         assert.strictEqual(logger.info('five'), 'five');
+         assert.deepEqual(logger.getBatchStats(), { dropped: 0, pending: 3, writable: false });
+
+         const flushed = logger.flush();
+
+         stream.emit('drain');
+
+         await flushed;
+
+         assert.deepEqual(chunks, ['one\ntwo\n', 'three\nfour\nfive\n']);
+         assert.deepEqual(logger.getBatchStats(), { dropped: 0, pending: 0, writable: true });
+         assert.deepEqual(['close', 'drain', 'error'].map((event) => stream.listenerCount(event)), [0, 0, 0]);
+
+         logger.setOptions({ batch: null });
+      });
+
+      it('stream errors / unbatched writes:', async () =>
+      {
+         const error = vi.spyOn(console, 'error').mockImplementation(() => void 0);
+
+         const { Writable } = await import('node:stream');
+
+         const stream = new Writable({
+            highWaterMark: 1,
+            write: (chunk, encoding, callback) => callback(Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }))
+         });
+
+         const logger = new ColorLogger({ batch: true, consoleEnabled: false });
+
+         logger.addTransport(new StreamTransport(stream, { noColor: true }));
+
+         logger.info('one');
+
+         // A stream error settles the blocked write.
+         const err = await logger.flush().catch((e) => e);
+
+         assert.strictEqual(err.code, 'EPIPE');
+         assert.strictEqual(error.mock.calls.length, 1);
+
+         // Destroyed streams do not block.
+         logger.info('two');
+         await logger.flush();
+
+         // Unbatched writes do not wait for `drain`.
+         const full = Object.assign(new events.EventEmitter(), { write: () => false });
+         const unbatched = new ColorLogger({ consoleEnabled: false });
+
+         unbatched.addTransport(new StreamTransport(full));
+
+         for (let i = 0; i < 15; i++) { unbatched.info('full'); }
+
+         assert.strictEqual(full.listenerCount('drain'), 0);
+
+         logger.setOptions({ batch: null });
+      });
+
+      it('flushes on process exit:', () =>
+      {
+         const messages = [];
+
+         const createBatchLogger = () =>
+         {
+            const logger = new ColorLogger({ batch: { interval: 1000 }, consoleEnabled: false });
+
+            logger.addTransport(new CallbackTransport((message) => messages.push(message), { noColor: true }));
+
+            return logger;
+         };
+
+         const beforeExit = process.listenerCount('beforeExit');
+         const exit = process.listenerCount('exit');
+
+         const loggers = [createBatchLogger(), createBatchLogger(), createBatchLogger()];
+
+         loggers.forEach((logger, index) => logger.info(`entry ${index}`));
+
+         // Single listeners are shared by all loggers.
+         assert.isAtMost(process.listenerCount('beforeExit'), beforeExit + 1);
+         assert.isAtMost(process.listenerCount('exit'), exit + 1);
+
+         process.listeners('beforeExit').at(-1)();
+         assert.deepEqual(messages, ['entry 0', 'entry 1', 'entry 2']);
+
+         // Resetting the option of a child keeps flushing the parent on exit.
+         const parent = loggers[0];
+
+         parent.child({ tag: 'job' }).setOptions({ batch: null });
+         parent.info('last');
+
+         process.listeners('exit').at(-1)();
+         assert.strictEqual(messages.at(-1), 'last');
+
+         for (const logger of loggers) { logger.setOptions({ batch: null }); }
+      });
+
+      it('validates options:', () =>
+      {
+         const logger = new ColorLogger();
+
+         assert.throws(() => logger.setOptions({ batch: 'yes' }), TypeError);
+         assert.throws(() => logger.setOptions({ batch: { interval: -1 } }), TypeError);
+         assert.throws(() => logger.setOptions({ batch: { size: 0 } }), TypeError);
+         assert.throws(() => logger.setOptions({ batch: { limit: 1.5 } }), TypeError);
+         assert.throws(() => logger.setOptions({ batch: { overflow: 'block' } }), TypeError);
+
+         logger.setOptions({ batch: { interval: 50 } });
+
+         assert.deepEqual(logger.getOptions().batch, { interval: 50, size: 100, limit: 10000, overflow: 'drop' });
+      });
+   });
+});
@@ -13,6 +13,10 @@ export default defineConfig({
          reporter: ['text', 'json', 'html']
       },
       reporters: ['default', 'html'],
+      env: {
+         // Enable truecolor output for color detection in ColorLogger.
+         FORCE_COLOR: '3'
+      },
       globals: true,
       testTimeout: 40000
    }